@@ -0,0 +1,581 @@
+// AI Encyclopedia Annotations
+// Reader highlights, notes and card bookmarks, anchored by quoted text so they survive re-rendering
+
+const ANNOTATION_CONTEXT = 32;
+const BOOKMARKABLE_CARDS = '.milestone-card[data-anchor], .prediction-card[data-anchor]';
+
+// Text-quote selectors: the selected text plus a little context on either side
+class TextQuote {
+    static textOf(root) {
+        return TextHighlighter.textNodes(root, true).map(node => node.nodeValue).join('');
+    }
+
+    static describe(root, range) {
+        const before = root.ownerDocument.createRange();
+        before.setStart(root, 0);
+        before.setEnd(range.startContainer, range.startOffset);
+
+        const raw = range.toString();
+        const exact = raw.trim();
+        const start = before.toString().length + (raw.length - raw.trimStart().length);
+        const text = TextQuote.textOf(root);
+
+        return {
+            exact,
+            prefix: text.slice(Math.max(0, start - ANNOTATION_CONTEXT), start),
+            suffix: text.slice(start + exact.length, start + exact.length + ANNOTATION_CONTEXT)
+        };
+    }
+
+    // Character offsets of the best match for a quote, or null when it no longer appears
+    static locate(root, quote) {
+        const text = TextQuote.textOf(root);
+        const candidates = [];
+        let index = text.indexOf(quote.exact);
+
+        while (index !== -1) {
+            candidates.push({ start: index, end: index + quote.exact.length });
+            index = text.indexOf(quote.exact, index + 1);
+        }
+
+        // Markup whitespace may differ after re-rendering; match the words instead
+        if (!candidates.length) {
+            const words = quote.exact.split(/\s+/).filter(Boolean).map(word => TextHighlighter.escapeRegExp(word));
+            if (!words.length) return null;
+
+            const pattern = new RegExp(words.join('\\s+'), 'g');
+            let match;
+            while ((match = pattern.exec(text))) {
+                candidates.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        const score = ({ start, end }) =>
+            (quote.prefix && text.slice(0, start).endsWith(quote.prefix) ? 1 : 0) +
+            (quote.suffix && text.slice(end).startsWith(quote.suffix) ? 1 : 0);
+
+        return candidates.reduce((best, candidate) =>
+            !best || score(candidate) > score(best) ? candidate : best, null);
+    }
+
+    // Wrap the characters between two offsets in marks, one per text node
+    static wrap(root, { start, end }, createMark) {
+        const marks = [];
+        let offset = 0;
+
+        TextHighlighter.textNodes(root, true).forEach(node => {
+            const length = node.nodeValue.length;
+            const from = Math.max(start - offset, 0);
+            const to = Math.min(end - offset, length);
+            offset += length;
+
+            if (from >= to || !node.nodeValue.slice(from, to).trim()) return;
+
+            if (to < length) node.splitText(to);
+            const target = from > 0 ? node.splitText(from) : node;
+            const mark = createMark();
+            target.parentNode.replaceChild(mark, target);
+            mark.appendChild(target);
+            marks.push(mark);
+        });
+
+        return marks;
+    }
+}
+
+class AnnotationStore {
+    constructor(storage, key = 'ai-encyclopedia:annotations') {
+        this.storage = storage;
+        this.key = key;
+        this.listeners = [];
+        this.items = this.load();
+    }
+
+    static isValid(item) {
+        if (!item || typeof item.id !== 'string' || typeof item.chapter !== 'string') return false;
+        if (item.type === 'highlight') return Boolean(item.quote && typeof item.quote.exact === 'string' && item.quote.exact);
+        if (item.type === 'bookmark') return typeof item.anchor === 'string';
+        return false;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            if (Array.isArray(saved)) return saved.filter(AnnotationStore.isValid);
+        } catch (e) {
+            // Storage unavailable or corrupted; start with no annotations
+        }
+        return [];
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.items));
+        } catch (e) {
+            // Annotations are kept for this visit only
+        }
+        this.listeners.forEach(listener => listener(this.items));
+    }
+
+    add(fields) {
+        const item = {
+            id: `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            note: '',
+            created: new Date().toISOString(),
+            ...fields
+        };
+
+        this.items.push(item);
+        this.save();
+        return item;
+    }
+
+    update(id, fields) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        Object.assign(item, fields);
+        this.save();
+        return item;
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    // Put a removed item back where it was, e.g. to undo a removal
+    restore(item, index = this.items.length) {
+        if (this.get(item.id)) return;
+
+        this.items.splice(Math.min(index, this.items.length), 0, item);
+        this.save();
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    findBookmark(chapter, anchor) {
+        return this.items.find(item => item.type === 'bookmark' && item.chapter === chapter && item.anchor === anchor) || null;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    export() {
+        return JSON.stringify({ version: 1, exported: new Date().toISOString(), annotations: this.items }, null, 2);
+    }
+
+    // Merge annotations from an export file; returns how many were added or updated
+    import(json) {
+        const data = JSON.parse(json);
+        const incoming = (Array.isArray(data) ? data : data && data.annotations) || [];
+        const valid = incoming.filter(AnnotationStore.isValid);
+
+        valid.forEach(item => {
+            const existing = this.items.findIndex(current => current.id === item.id);
+            if (existing === -1) {
+                this.items.push(item);
+            } else {
+                this.items[existing] = item;
+            }
+        });
+
+        if (valid.length) this.save();
+        return valid.length;
+    }
+}
+
+// Draws highlights and bookmark toggles in the chapters and handles new selections
+class AnnotationLayer {
+    constructor(store, content) {
+        this.store = store;
+        this.content = content;
+        this.marks = [];
+        this.missing = new Set();
+        this.toolbar = null;
+        this.editor = null;
+    }
+
+    mount() {
+        this.addBookmarkButtons();
+        this.render();
+        this.store.onChange(() => this.render());
+
+        // Offer the toolbar once a selection has settled
+        const onSelect = () => setTimeout(() => this.handleSelection(), 0);
+        this.content.addEventListener('mouseup', onSelect);
+        this.content.addEventListener('keyup', (e) => {
+            if (e.shiftKey) onSelect();
+        });
+
+        this.content.addEventListener('click', (e) => {
+            const mark = e.target.closest('mark.user-highlight');
+            if (mark && window.getSelection().isCollapsed) {
+                this.openEditor(this.store.get(mark.dataset.annotation), mark);
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.toolbar && !this.toolbar.contains(e.target)) this.hideToolbar();
+        });
+    }
+
+    render() {
+        this.clear();
+
+        this.store.items.filter(item => item.type === 'highlight').forEach(item => {
+            const section = document.getElementById(item.chapter);
+            const position = section && TextQuote.locate(section, item.quote);
+
+            if (!position) {
+                if (this.missing.has(item.id)) return;
+                this.missing.add(item.id);
+                console.warn(`[notes] Highlight "${item.quote.exact.slice(0, 40)}" no longer matches chapter "${item.chapter}"`);
+                return;
+            }
+
+            this.marks.push(...TextQuote.wrap(section, position, () => {
+                const mark = document.createElement('mark');
+                mark.className = `user-highlight${item.note ? ' has-note' : ''}`;
+                mark.dataset.annotation = item.id;
+                if (item.note) mark.title = item.note;
+                return mark;
+            }));
+        });
+
+        this.content.querySelectorAll('.card-bookmark').forEach(button => {
+            const card = button.parentNode;
+            const section = card.closest('.content-section');
+            const bookmarked = Boolean(this.store.findBookmark(section.id, card.getAttribute('data-anchor')));
+
+            button.classList.toggle('active', bookmarked);
+            button.setAttribute('aria-pressed', String(bookmarked));
+            button.querySelector('i').className = `${bookmarked ? 'fas' : 'far'} fa-bookmark`;
+        });
+    }
+
+    clear() {
+        const parents = new Set();
+
+        this.marks.forEach(mark => {
+            const parent = mark.parentNode;
+            if (!parent) return;
+
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parents.add(parent);
+        });
+
+        parents.forEach(parent => parent.normalize());
+        this.marks = [];
+    }
+
+    marksFor(id) {
+        return this.marks.filter(mark => mark.dataset.annotation === id);
+    }
+
+    addBookmarkButtons() {
+        this.content.querySelectorAll(BOOKMARKABLE_CARDS).forEach(card => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'card-bookmark';
+            button.title = I18n.t('notes.bookmarkCard');
+            button.setAttribute('aria-label', button.title);
+            button.innerHTML = '<i class="far fa-bookmark"></i>';
+
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleBookmark(card);
+            });
+
+            card.appendChild(button);
+        });
+    }
+
+    toggleBookmark(card) {
+        const chapter = card.closest('.content-section').id;
+        const anchor = card.getAttribute('data-anchor');
+        const existing = this.store.findBookmark(chapter, anchor);
+
+        if (existing) {
+            this.store.remove(existing.id);
+            return;
+        }
+
+        const heading = card.querySelector('h3, .predictor');
+        const year = card.querySelector('.milestone-year, .year');
+        const title = [year, heading].filter(Boolean).map(el => el.textContent.trim()).join(' · ');
+
+        this.store.add({ type: 'bookmark', chapter, anchor, title });
+    }
+
+    // Selection must sit inside a single chapter to be saved
+    currentSelection() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount || selection.isCollapsed) return null;
+
+        const range = selection.getRangeAt(0);
+        const start = range.startContainer.parentNode && range.startContainer.parentNode.closest('.content-section');
+        const end = range.endContainer.parentNode && range.endContainer.parentNode.closest('.content-section');
+        if (!start || start !== end || !range.toString().trim()) return null;
+
+        return { range, section: start };
+    }
+
+    handleSelection() {
+        const current = this.currentSelection();
+        if (!current) {
+            this.hideToolbar();
+            return;
+        }
+
+        if (!this.toolbar) this.buildToolbar();
+        this.pending = current;
+        this.toolbar.hidden = false;
+        this.position(this.toolbar, current.range.getBoundingClientRect());
+    }
+
+    buildToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'annotation-toolbar';
+        toolbar.hidden = true;
+        toolbar.innerHTML = `
+            <button type="button" data-action="highlight"><i class="fas fa-highlighter"></i> ${I18n.t('notes.highlight')}</button>
+            <button type="button" data-action="note"><i class="fas fa-sticky-note"></i> ${I18n.t('notes.addNote')}</button>
+        `;
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || !this.pending) return;
+
+            const item = this.saveHighlight(this.pending);
+            this.hideToolbar();
+            window.getSelection().removeAllRanges();
+
+            if (button.dataset.action === 'note') {
+                this.openEditor(item, this.marksFor(item.id)[0]);
+            }
+        });
+
+        document.body.appendChild(toolbar);
+        this.toolbar = toolbar;
+    }
+
+    hideToolbar() {
+        if (this.toolbar) this.toolbar.hidden = true;
+        this.pending = null;
+    }
+
+    saveHighlight({ range, section }) {
+        const card = range.commonAncestorContainer.parentNode.closest('[data-anchor]');
+
+        return this.store.add({
+            type: 'highlight',
+            chapter: section.id,
+            anchor: card ? card.getAttribute('data-anchor') : null,
+            quote: TextQuote.describe(section, range)
+        });
+    }
+
+    buildEditor() {
+        const editor = document.createElement('div');
+        editor.className = 'annotation-editor';
+        editor.hidden = true;
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-label', I18n.t('notes.note'));
+        editor.innerHTML = `
+            <blockquote class="annotation-quote"></blockquote>
+            <textarea class="annotation-note" rows="3" placeholder="${I18n.t('notes.placeholder')}" aria-label="${I18n.t('notes.note')}"></textarea>
+            <div class="annotation-actions">
+                <button type="button" class="annotation-delete"><i class="fas fa-trash"></i> ${I18n.t('notes.remove')}</button>
+                <button type="button" class="annotation-cancel">${I18n.t('notes.cancel')}</button>
+                <button type="button" class="annotation-save">${I18n.t('notes.save')}</button>
+            </div>
+        `;
+
+        this.noteInput = editor.querySelector('.annotation-note');
+
+        editor.querySelector('.annotation-save').addEventListener('click', () => {
+            this.store.update(this.editing, { note: this.noteInput.value.trim() });
+            this.closeEditor();
+        });
+        editor.querySelector('.annotation-delete').addEventListener('click', () => {
+            this.store.remove(this.editing);
+            this.closeEditor();
+        });
+        editor.querySelector('.annotation-cancel').addEventListener('click', () => this.closeEditor());
+
+        // Keep typing in the note away from the page-level shortcuts
+        editor.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closeEditor();
+        });
+
+        document.body.appendChild(editor);
+        this.editor = editor;
+    }
+
+    openEditor(item, mark) {
+        if (!item) return;
+        if (!this.editor) this.buildEditor();
+
+        this.editing = item.id;
+        this.editor.querySelector('.annotation-quote').textContent = item.quote ? item.quote.exact : item.title;
+        this.noteInput.value = item.note || '';
+        this.editor.hidden = false;
+
+        if (mark) {
+            this.position(this.editor, mark.getBoundingClientRect());
+        }
+        this.noteInput.focus();
+    }
+
+    closeEditor() {
+        if (this.editor) this.editor.hidden = true;
+        this.editing = null;
+    }
+
+    // Place a floating element above a rectangle, kept inside the viewport
+    position(element, rect) {
+        const width = element.offsetWidth || 0;
+        const left = Math.min(Math.max(rect.left + rect.width / 2 - width / 2, 8), window.innerWidth - width - 8);
+        const above = rect.top - (element.offsetHeight || 0) - 8;
+
+        element.style.left = `${Math.max(left, 8)}px`;
+        element.style.top = `${above > 52 ? above : rect.bottom + 8}px`;
+    }
+}
+
+// "My Notes" section of the sidebar
+class NotesPanel {
+    constructor(store, labelFor, onOpen, notify) {
+        this.store = store;
+        this.labelFor = labelFor;
+        this.onOpen = onOpen;
+        this.notify = notify;
+        this.element = null;
+    }
+
+    mount(navContainer) {
+        const section = document.createElement('div');
+        section.className = 'nav-section notes-section';
+        section.innerHTML = `
+            <h3>${I18n.t('notes.heading')} <span class="notes-count"></span></h3>
+            <ul class="notes-list"></ul>
+            <p class="notes-empty">${I18n.t('notes.empty')}</p>
+            <div class="notes-actions">
+                <button type="button" class="notes-export"><i class="fas fa-download"></i> ${I18n.t('notes.export')}</button>
+                <button type="button" class="notes-import"><i class="fas fa-upload"></i> ${I18n.t('notes.import')}</button>
+                <input type="file" class="notes-file" accept="application/json,.json" hidden>
+            </div>
+        `;
+
+        const fileInput = section.querySelector('.notes-file');
+        section.querySelector('.notes-export').addEventListener('click', () => this.exportFile());
+        section.querySelector('.notes-import').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+            fileInput.value = '';
+        });
+
+        navContainer.appendChild(section);
+        this.element = section;
+        this.store.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        const list = this.element.querySelector('.notes-list');
+        const items = this.store.items;
+
+        list.innerHTML = '';
+        this.element.querySelector('.notes-count').textContent = items.length ? `(${items.length})` : '';
+        this.element.querySelector('.notes-empty').hidden = items.length > 0;
+
+        items.forEach(item => {
+            const entry = document.createElement('li');
+            entry.className = `note-item note-${item.type}`;
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'note-open';
+            open.innerHTML = `<i class="fas fa-${item.type === 'bookmark' ? 'bookmark' : 'highlighter'}"></i>`;
+
+            const body = document.createElement('span');
+            body.className = 'note-body';
+
+            const quote = document.createElement('span');
+            quote.className = 'note-quote';
+            quote.textContent = item.type === 'bookmark' ? item.title || item.anchor : `“${item.quote.exact}”`;
+            body.appendChild(quote);
+
+            if (item.note) {
+                const note = document.createElement('span');
+                note.className = 'note-text';
+                note.textContent = item.note;
+                body.appendChild(note);
+            }
+
+            const chapter = document.createElement('span');
+            chapter.className = 'note-chapter';
+            chapter.textContent = this.labelFor(item.chapter);
+            body.appendChild(chapter);
+
+            open.appendChild(body);
+            open.addEventListener('click', () => this.onOpen(item));
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'note-remove';
+            remove.title = I18n.t('notes.remove');
+            remove.setAttribute('aria-label', remove.title);
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => this.removeItem(item));
+
+            entry.appendChild(open);
+            entry.appendChild(remove);
+            list.appendChild(entry);
+        });
+    }
+
+    removeItem(item) {
+        const index = this.store.items.indexOf(item);
+        this.store.remove(item.id);
+        this.notify(I18n.t(item.type === 'bookmark' ? 'notify.bookmarkRemoved' : 'notify.highlightRemoved'), 'info', {
+            actions: [{ label: I18n.t('notify.undo'), run: () => this.store.restore(item, index) }]
+        });
+    }
+
+    exportFile() {
+        const blob = new Blob([this.store.export()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'ai-encyclopedia-notes.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = this.store.import(reader.result);
+                this.notify(count ? I18n.t('notes.imported', { count }) : I18n.t('notes.importEmpty'), count ? 'info' : 'warning');
+            } catch (e) {
+                this.notify(I18n.t('notes.importFailed', { error: e.message }), 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextQuote, AnnotationStore, AnnotationLayer, NotesPanel };
+}
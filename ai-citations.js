@@ -0,0 +1,137 @@
+// AI Encyclopedia Citations
+// Shows a chapter's reference entry in a popover when a footnote marker is hovered or focused
+
+// Tooltip shown for any trigger inside root that matches selector, on hover or keyboard focus.
+// Subclasses fill it in for a trigger and decide what a click on the trigger does.
+class HoverPopover {
+    constructor(root, selector, id) {
+        this.root = root;
+        this.selector = selector;
+        this.id = id;
+        this.element = null;
+        this.current = null;
+    }
+
+    mount() {
+        const popover = document.createElement('div');
+        popover.className = this.id;
+        popover.id = this.id;
+        popover.setAttribute('role', 'tooltip');
+        popover.hidden = true;
+        document.body.appendChild(popover);
+        this.element = popover;
+
+        const triggerFor = (e) => e.target.closest && e.target.closest(this.selector);
+
+        this.root.addEventListener('mouseover', (e) => {
+            const trigger = triggerFor(e);
+            if (trigger) this.show(trigger);
+        });
+        this.root.addEventListener('mouseout', (e) => {
+            const trigger = triggerFor(e);
+            if (trigger && !trigger.contains(e.relatedTarget) && !popover.contains(e.relatedTarget)) this.hideSoon();
+        });
+        this.root.addEventListener('focusin', (e) => {
+            const trigger = triggerFor(e);
+            if (trigger) this.show(trigger);
+        });
+        this.root.addEventListener('focusout', (e) => {
+            if (triggerFor(e)) this.hideSoon();
+        });
+        this.root.addEventListener('click', (e) => {
+            const trigger = triggerFor(e);
+            if (trigger) this.activate(trigger, e);
+        });
+
+        // Keep the popover open while the pointer is over it so its links can be used
+        popover.addEventListener('mouseenter', () => clearTimeout(this.hideTimer));
+        popover.addEventListener('mouseleave', () => this.hideSoon());
+
+        // Escape only closes the popover, not whatever else the page binds it to
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.current) {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+    }
+
+    // Returns false when there is nothing to show for the trigger
+    fill() {
+        return false;
+    }
+
+    activate() {
+        this.hide();
+    }
+
+    show(trigger) {
+        clearTimeout(this.hideTimer);
+        if (this.current && this.current !== trigger) this.current.removeAttribute('aria-describedby');
+
+        this.element.innerHTML = '';
+        if (!this.fill(trigger)) {
+            this.hide();
+            return;
+        }
+
+        this.current = trigger;
+        this.element.hidden = false;
+        trigger.setAttribute('aria-describedby', this.element.id);
+
+        const rect = trigger.getBoundingClientRect();
+        const width = this.element.offsetWidth || 0;
+        this.element.style.left = `${Math.min(Math.max(rect.left + rect.width / 2 - width / 2, 8), window.innerWidth - width - 8)}px`;
+        this.element.style.top = `${rect.bottom + 8}px`;
+    }
+
+    hideSoon() {
+        clearTimeout(this.hideTimer);
+        this.hideTimer = setTimeout(() => this.hide(), 150);
+    }
+
+    hide() {
+        clearTimeout(this.hideTimer);
+        if (!this.element) return;
+
+        this.element.hidden = true;
+        if (this.current) this.current.removeAttribute('aria-describedby');
+        this.current = null;
+    }
+}
+
+class CitationPopover extends HoverPopover {
+    constructor(root, onJump) {
+        super(root, '.footnote-ref', 'citation-popover');
+        this.onJump = onJump;
+    }
+
+    entryFor(marker) {
+        const section = marker.closest('.content-section');
+        return section && section.querySelector(`.chapter-references li[data-footnote="${marker.dataset.footnote}"]`);
+    }
+
+    fill(marker) {
+        const entry = this.entryFor(marker);
+        if (!entry) return false;
+
+        const number = document.createElement('span');
+        number.className = 'citation-number';
+        number.textContent = `[${marker.dataset.footnote}]`;
+        this.element.appendChild(number);
+        Array.from(entry.childNodes).forEach(node => this.element.appendChild(node.cloneNode(true)));
+        return true;
+    }
+
+    // Clicking a marker jumps to the entry in the chapter's reference list
+    activate(marker, e) {
+        e.stopPropagation();
+        const entry = this.entryFor(marker);
+        this.hide();
+        if (entry) this.onJump(entry);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HoverPopover, CitationPopover };
+}
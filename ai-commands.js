@@ -0,0 +1,474 @@
+// AI Encyclopedia Commands
+// One registry for every action and its key bindings, the Cmd/Ctrl+K command palette and the shortcut overlay
+
+const MODIFIER_KEYS = ['Meta', 'Control', 'Alt', 'Shift'];
+const KEY_SEQUENCE_LIMIT = 12;
+
+// Widgets that use the arrow keys themselves, so bare arrows are left to them
+const ARROW_KEY_WIDGETS = [
+    '[role="slider"]', '[role="listbox"]', '[role="radiogroup"]', '[role="tablist"]',
+    '[role="menu"]', '[role="menubar"]', '[role="grid"]', '[role="tree"]', '[role="spinbutton"]',
+    'audio', 'video'
+].join(', ');
+
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Enter: '↵',
+    Space: 'Space'
+};
+
+// Bindings are strings such as "Mod+K", "?", "ArrowLeft" or a space-separated sequence.
+// Mod is Cmd on a Mac and Ctrl elsewhere; Shift is only written for letters and named keys,
+// since it is already part of characters like "?".
+class KeyCombo {
+    static isMac() {
+        return typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+    }
+
+    // The binding a keydown event would trigger, or null for a bare modifier
+    static fromEvent(e) {
+        if (!e.key || MODIFIER_KEYS.includes(e.key)) return null;
+
+        let key = e.key === ' ' ? 'Space' : e.key;
+        // Option on a Mac turns letters into symbols; fall back to the physical key
+        if (e.altKey && /^(Key[A-Z]|Digit\d)$/.test(e.code || '')) key = e.code.replace(/^(Key|Digit)/, '');
+        if (key.length === 1) key = key.toUpperCase();
+
+        const named = key.length > 1 || /[A-Z]/.test(key);
+        const parts = [];
+        if (e.metaKey || e.ctrlKey) parts.push('Mod');
+        if (e.altKey) parts.push('Alt');
+        if (e.shiftKey && named) parts.push('Shift');
+        parts.push(key);
+
+        return parts.join('+');
+    }
+
+    static label(binding, mac = KeyCombo.isMac()) {
+        const names = mac
+            ? { Mod: '⌘', Alt: '⌥', Shift: '⇧' }
+            : { Mod: 'Ctrl', Alt: 'Alt', Shift: 'Shift' };
+
+        return binding.split(' ').map(combo => {
+            const parts = combo.length > 1 ? combo.split(/\+(?!$)/) : [combo];
+            return parts.map(part => names[part] || KEY_LABELS[part] || part).join(mac ? '' : '+');
+        }).join(' ');
+    }
+}
+
+class CommandRegistry {
+    constructor(storage, key = 'ai-encyclopedia:keybindings') {
+        this.storage = storage;
+        this.key = key;
+        this.commands = new Map();
+        this.listeners = [];
+        this.recent = [];
+        this.overrides = this.load();
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            if (saved && typeof saved === 'object' && !Array.isArray(saved)) return saved;
+        } catch (e) {
+            // Storage unavailable or corrupted; use the default bindings
+        }
+        return {};
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.overrides));
+        } catch (e) {
+            // Custom bindings are kept for this visit only
+        }
+        this.listeners.forEach(listener => listener());
+    }
+
+    // { id, title, group, keys, run, global, hidden }: global commands also fire while typing in
+    // a field, hidden ones are left out of the palette and the shortcut overlay
+    register(command) {
+        this.commands.set(command.id, { group: I18n.t('commandGroup.general'), keys: [], global: false, hidden: false, ...command });
+    }
+
+    get(id) {
+        return this.commands.get(id) || null;
+    }
+
+    list({ includeHidden = false } = {}) {
+        return Array.from(this.commands.values()).filter(command => includeHidden || !command.hidden);
+    }
+
+    bindingsFor(id) {
+        if (Array.isArray(this.overrides[id])) return this.overrides[id];
+        const command = this.commands.get(id);
+        return command ? command.keys : [];
+    }
+
+    isCustomized(id) {
+        return Array.isArray(this.overrides[id]);
+    }
+
+    // Assigning a binding takes it away from whichever command had it before
+    setBindings(id, bindings) {
+        this.commands.forEach(command => {
+            if (command.id === id) return;
+            const current = this.bindingsFor(command.id);
+            const kept = current.filter(binding => !bindings.includes(binding));
+            if (kept.length !== current.length) this.overrides[command.id] = kept;
+        });
+
+        this.overrides[id] = bindings;
+        this.save();
+    }
+
+    resetBindings() {
+        this.overrides = {};
+        this.save();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    run(id) {
+        const command = this.commands.get(id);
+        if (command) command.run();
+    }
+
+    start() {
+        document.addEventListener('keydown', this.handleKeydown);
+    }
+
+    stop() {
+        document.removeEventListener('keydown', this.handleKeydown);
+    }
+
+    static isTyping(target) {
+        return Boolean(target && target.closest &&
+            target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+    }
+
+    // Arrow keys inside composite widgets or a sideways-scrolling box belong to that element
+    static ownsArrowKeys(target) {
+        for (let element = target; element && element.nodeType === 1; element = element.parentElement) {
+            if (element.matches(ARROW_KEY_WIDGETS)) return true;
+            if (element.scrollWidth > element.clientWidth && /auto|scroll/.test(getComputedStyle(element).overflowX)) return true;
+        }
+        return false;
+    }
+
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.isComposing) return;
+
+        const combo = KeyCombo.fromEvent(e);
+        if (!combo) return;
+
+        const typing = CommandRegistry.isTyping(e.target) ||
+            (combo.startsWith('Arrow') && CommandRegistry.ownsArrowKeys(e.target));
+        if (!typing) this.recent = [...this.recent, combo].slice(-KEY_SEQUENCE_LIMIT);
+
+        const command = this.match(combo, typing);
+        if (!command) return;
+
+        e.preventDefault();
+        if (command.sequence) this.recent = [];
+        command.run();
+    }
+
+    // A completed key sequence wins over a single-key binding for its last key
+    match(combo, typing) {
+        let best = null;
+
+        this.commands.forEach(command => {
+            if (typing && !command.global) return;
+
+            this.bindingsFor(command.id).forEach(binding => {
+                const parts = binding.split(' ');
+                const pressed = parts.length > 1 ? this.recent.slice(-parts.length) : [combo];
+                const matches = pressed.length === parts.length && parts.every((part, i) => part === pressed[i]);
+
+                if (matches && (!best || parts.length > best.length)) {
+                    best = { command, length: parts.length };
+                }
+            });
+        });
+
+        return best && { ...best.command, sequence: best.length > 1 };
+    }
+}
+
+class CommandPalette extends ListDialog {
+    constructor(registry) {
+        super('command', { label: I18n.t('command.palette'), placeholder: I18n.t('commands.placeholder'), icon: 'terminal' });
+        this.registry = registry;
+    }
+
+    // Subsequence match that prefers consecutive letters and the starts of words
+    static fuzzyMatch(query, text) {
+        const needle = query.toLowerCase().replace(/\s+/g, '');
+        const haystack = text.toLowerCase();
+        if (!needle) return { score: 0, indices: [] };
+
+        const indices = [];
+        let score = 0;
+        let from = 0;
+
+        for (const char of needle) {
+            const index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            const previous = indices[indices.length - 1];
+            score += 1;
+            if (previous === index - 1) score += 2;
+            if (index === 0 || /[\s:\-–]/.test(haystack[index - 1])) score += 3;
+
+            indices.push(index);
+            from = index + 1;
+        }
+
+        // Shorter titles with the same letters are closer matches
+        return { score: score - haystack.length * 0.01, indices };
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    // The palette's own shortcut closes it again
+    closesOn(e) {
+        return this.registry.bindingsFor('palette').includes(KeyCombo.fromEvent(e));
+    }
+
+    find(query) {
+        const results = this.registry.list()
+            .filter(command => command.id !== 'palette')
+            .map(command => ({ command, match: CommandPalette.fuzzyMatch(query, command.title) }))
+            .filter(({ match }) => match);
+
+        return query ? results.sort((a, b) => b.match.score - a.match.score) : results;
+    }
+
+    renderResult(item, { command, match }) {
+        const title = document.createElement('span');
+        title.className = 'command-title';
+        ListDialog.appendHighlighted(title, command.title, match.indices.map(index => [index, index + 1]));
+
+        const group = document.createElement('span');
+        group.className = 'command-group';
+        group.textContent = command.group;
+
+        item.append(title, group);
+
+        this.registry.bindingsFor(command.id).forEach(binding => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = KeyCombo.label(binding);
+            item.appendChild(kbd);
+        });
+    }
+
+    statusText() {
+        return this.results.length
+            ? I18n.t('commands.results', { count: this.results.length })
+            : I18n.t('commands.noResults', { query: this.query });
+    }
+
+    run(result) {
+        result.command.run();
+    }
+}
+
+// The "?" overlay: every command with its current shortcut, and a way to change it
+class ShortcutOverlay {
+    constructor(registry) {
+        this.registry = registry;
+        this.capturing = null;
+        this.element = null;
+    }
+
+    build() {
+        const overlay = document.createElement('div');
+        overlay.className = 'shortcut-overlay';
+        overlay.hidden = true;
+        overlay.innerHTML = `
+            <div class="shortcut-panel" role="dialog" aria-modal="true" aria-labelledby="shortcut-title">
+                <div class="shortcut-header">
+                    <h2 id="shortcut-title">${I18n.t('shortcuts.title')}</h2>
+                    <button type="button" class="shortcut-close" aria-label="${I18n.t('shortcuts.close')}"><i class="fas fa-times"></i></button>
+                </div>
+                <p class="shortcut-intro">${I18n.t('shortcuts.intro', { change: `<strong>${I18n.t('shortcuts.change')}</strong>` })}</p>
+                <div class="shortcut-groups"></div>
+                <p class="shortcut-status" aria-live="polite"></p>
+                <button type="button" class="shortcut-reset">${I18n.t('shortcuts.reset')}</button>
+            </div>
+        `;
+
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (this.capturing) {
+                this.capture(e);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+
+            const change = e.target.closest('.shortcut-change');
+            if (change) this.startCapture(change.dataset.command);
+        });
+
+        overlay.querySelector('.shortcut-close').addEventListener('click', () => this.close());
+        overlay.querySelector('.shortcut-reset').addEventListener('click', () => {
+            this.registry.resetBindings();
+            this.setStatus(I18n.t('shortcuts.restored'));
+        });
+
+        this.registry.onChange(() => {
+            if (this.isOpen()) this.render();
+        });
+
+        document.body.appendChild(overlay);
+        this.element = overlay;
+    }
+
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    open() {
+        if (!this.element) this.build();
+
+        this.previousFocus = document.activeElement;
+        this.capturing = null;
+        this.setStatus('');
+        this.render();
+        this.element.hidden = false;
+        this.element.querySelector('.shortcut-close').focus();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.capturing = null;
+        this.element.hidden = true;
+        if (this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+    }
+
+    render() {
+        const container = this.element.querySelector('.shortcut-groups');
+        const groups = new Map();
+
+        this.registry.list().forEach(command => {
+            if (!groups.has(command.group)) groups.set(command.group, []);
+            groups.get(command.group).push(command);
+        });
+
+        container.textContent = '';
+        groups.forEach((commands, name) => {
+            const heading = document.createElement('h3');
+            heading.textContent = name;
+
+            const list = document.createElement('dl');
+            list.className = 'shortcut-list';
+
+            commands.forEach(command => {
+                const row = document.createElement('div');
+                row.className = 'shortcut-row';
+                if (this.registry.isCustomized(command.id)) row.classList.add('is-custom');
+
+                const title = document.createElement('dt');
+                title.textContent = command.title;
+
+                const keys = document.createElement('dd');
+                const bindings = this.registry.bindingsFor(command.id);
+
+                if (this.capturing === command.id) {
+                    keys.className = 'shortcut-capturing';
+                    keys.textContent = I18n.t('shortcuts.pressKeys');
+                } else if (bindings.length) {
+                    bindings.forEach(binding => {
+                        const kbd = document.createElement('kbd');
+                        kbd.textContent = KeyCombo.label(binding);
+                        keys.appendChild(kbd);
+                    });
+                } else {
+                    keys.className = 'shortcut-none';
+                    keys.textContent = I18n.t('shortcuts.none');
+                }
+
+                const change = document.createElement('button');
+                change.type = 'button';
+                change.className = 'shortcut-change';
+                change.dataset.command = command.id;
+                change.textContent = I18n.t('shortcuts.change');
+                change.setAttribute('aria-label', I18n.t('shortcuts.changeLabel', { command: command.title }));
+                keys.appendChild(change);
+
+                row.append(title, keys);
+                list.appendChild(row);
+            });
+
+            container.append(heading, list);
+        });
+    }
+
+    startCapture(id) {
+        this.capturing = id;
+        this.render();
+        this.setStatus(I18n.t('shortcuts.capture', { command: this.registry.get(id).title }));
+
+        const row = this.element.querySelector(`.shortcut-change[data-command="${id}"]`);
+        if (row) row.focus();
+    }
+
+    capture(e) {
+        const combo = KeyCombo.fromEvent(e);
+        if (!combo) return;
+
+        e.preventDefault();
+        const id = this.capturing;
+        const command = this.registry.get(id);
+        this.capturing = null;
+
+        if (combo === 'Escape') {
+            this.setStatus('');
+            this.render();
+        } else if (combo === 'Backspace' || combo === 'Delete') {
+            this.registry.setBindings(id, []);
+            this.setStatus(I18n.t('shortcuts.removed', { command: command.title }));
+        } else {
+            const previous = this.registry.list({ includeHidden: true })
+                .find(other => other.id !== id && this.registry.bindingsFor(other.id).includes(combo));
+
+            this.registry.setBindings(id, [combo]);
+            this.setStatus(previous
+                ? I18n.t('shortcuts.reassigned', { keys: KeyCombo.label(combo), command: command.title, previous: previous.title })
+                : I18n.t('shortcuts.assigned', { keys: KeyCombo.label(combo), command: command.title }));
+        }
+
+        const button = this.element.querySelector(`.shortcut-change[data-command="${id}"]`);
+        if (button) button.focus();
+    }
+
+    setStatus(message) {
+        this.element.querySelector('.shortcut-status').textContent = message;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KeyCombo, CommandRegistry, CommandPalette, ShortcutOverlay };
+}
@@ -0,0 +1,197 @@
+// AI Encyclopedia Navigation Drawer
+// On narrow screens the sidebar becomes an off-canvas drawer behind the menu-bar hamburger,
+// and swiping sideways over a chapter moves to the previous or next one
+
+const DRAWER_QUERY = '(max-width: 1024px)';
+
+const DRAWER_FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+class NavigationDrawer {
+    constructor(sidebar, toggle, query = window.matchMedia ? window.matchMedia(DRAWER_QUERY) : { matches: false }) {
+        this.sidebar = sidebar;
+        this.toggleButton = toggle;
+        this.query = query;
+        this.backdrop = null;
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    mount() {
+        if (!this.sidebar) return;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'drawer-backdrop';
+        backdrop.hidden = true;
+        backdrop.addEventListener('click', () => this.close());
+        document.body.appendChild(backdrop);
+        this.backdrop = backdrop;
+
+        if (this.toggleButton) {
+            this.toggleButton.setAttribute('aria-expanded', 'false');
+            this.toggleButton.addEventListener('click', () => this.toggle());
+        }
+
+        // Following a link from the drawer closes it so the chapter is visible
+        this.sidebar.addEventListener('click', (e) => {
+            if (this.isOpen() && e.target.closest('a[href]')) this.close({ restoreFocus: false });
+        });
+
+        // Crossing the breakpoint resets the drawer instead of leaving it half open
+        const onQueryChange = () => {
+            this.close({ restoreFocus: false });
+            this.sync();
+        };
+        if (this.query.addEventListener) {
+            this.query.addEventListener('change', onQueryChange);
+        } else if (this.query.addListener) {
+            this.query.addListener(onQueryChange);
+        }
+
+        this.sync();
+    }
+
+    isCompact() {
+        return Boolean(this.query.matches);
+    }
+
+    isOpen() {
+        return Boolean(this.sidebar && this.sidebar.classList.contains('open'));
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.sidebar || !this.isCompact() || this.isOpen()) return;
+
+        this.returnFocus = document.activeElement;
+        this.sidebar.classList.add('open');
+        this.sync();
+
+        document.addEventListener('keydown', this.handleKeydown, true);
+
+        const target = this.sidebar.querySelector('.nav-link.active') || this.focusable()[0];
+        if (target) target.focus();
+    }
+
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen()) return;
+
+        this.sidebar.classList.remove('open');
+        this.sync();
+
+        document.removeEventListener('keydown', this.handleKeydown, true);
+
+        if (restoreFocus && this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    // A closed drawer is off screen, so keep it out of the tab order and away from screen readers
+    sync() {
+        const open = this.isOpen();
+        const hidden = this.isCompact() && !open;
+
+        this.sidebar.toggleAttribute('inert', hidden);
+        if (this.isCompact() && open) {
+            this.sidebar.setAttribute('role', 'dialog');
+            this.sidebar.setAttribute('aria-modal', 'true');
+        } else {
+            this.sidebar.removeAttribute('role');
+            this.sidebar.removeAttribute('aria-modal');
+        }
+
+        if (this.backdrop) this.backdrop.hidden = !open;
+        if (this.toggleButton) this.toggleButton.setAttribute('aria-expanded', String(open));
+        document.documentElement.classList.toggle('drawer-open', open);
+    }
+
+    focusable() {
+        return Array.from(this.sidebar.querySelectorAll(DRAWER_FOCUSABLE))
+            .filter(element => !element.closest('[hidden]'));
+    }
+
+    // Escape closes the drawer; Tab cycles through its controls without escaping to the page behind
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.close();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const items = this.focusable();
+        if (!items.length) return;
+
+        const first = items[0];
+        const last = items[items.length - 1];
+        const inside = this.sidebar.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+class SwipeNavigator {
+    // onSwipe receives 'left' or 'right', the direction the finger moved.
+    // ignore(target) keeps gestures that start on sliders, carousels and the like for those widgets.
+    constructor(element, onSwipe, { ignore = () => false, distance = 60, maxDuration = 600 } = {}) {
+        this.element = element;
+        this.onSwipe = onSwipe;
+        this.ignore = ignore;
+        this.distance = distance;
+        this.maxDuration = maxDuration;
+        this.start = null;
+    }
+
+    mount() {
+        if (!this.element) return;
+
+        this.element.addEventListener('touchstart', (e) => this.begin(e), { passive: true });
+        this.element.addEventListener('touchend', (e) => this.end(e), { passive: true });
+        this.element.addEventListener('touchcancel', () => {
+            this.start = null;
+        }, { passive: true });
+    }
+
+    begin(e) {
+        // Pinch zoom and gestures on widgets that handle their own are left alone
+        if (e.touches.length !== 1 || this.ignore(e.target)) {
+            this.start = null;
+            return;
+        }
+
+        const touch = e.touches[0];
+        this.start = { x: touch.clientX, y: touch.clientY, time: Date.now() };
+    }
+
+    end(e) {
+        if (!this.start) return;
+
+        const touch = e.changedTouches[0];
+        const dx = touch.clientX - this.start.x;
+        const dy = touch.clientY - this.start.y;
+        const quick = Date.now() - this.start.time <= this.maxDuration;
+        this.start = null;
+
+        // Mostly sideways and long enough; vertical scrolling and selecting text are not swipes
+        const selection = window.getSelection ? window.getSelection() : null;
+        if (!quick || Math.abs(dx) < this.distance || Math.abs(dx) < Math.abs(dy) * 2) return;
+        if (selection && !selection.isCollapsed) return;
+
+        this.onSwipe(dx < 0 ? 'left' : 'right');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationDrawer, SwipeNavigator, DRAWER_QUERY };
+}
@@ -0,0 +1,570 @@
+// AI Encyclopedia Export
+// Markdown and EPUB copies of one chapter or the whole encyclopedia, and a print mode that lays out every chapter
+
+// Serializes chapter data (not the live page) so highlights, popovers and widgets never leak into the copy
+class MarkdownExporter {
+    constructor(chapters, sources = {}, glossary = []) {
+        this.chapters = chapters;
+        this.sources = sources;
+        this.glossary = glossary;
+    }
+
+    // Characters that would otherwise turn prose into Markdown syntax
+    static escape(value) {
+        return String(value == null ? '' : value)
+            .replace(/([\\`*_[\]<>|])/g, '\\$1')
+            .replace(/^(\s*)([#>+-]|\d+\.)(?=\s)/gm, (match, space, marker) => `${space}\\${marker}`);
+    }
+
+    static label(chapter) {
+        return chapter.number ? I18n.t('chapter.label', { number: chapter.number, title: chapter.title }) : chapter.title;
+    }
+
+    // One chapter, with its own numbered footnotes
+    chapter(chapter, { footnotePrefix = '', level = 1 } = {}) {
+        this.footnotePrefix = footnotePrefix;
+        this.references = [];
+
+        const lines = [`${'#'.repeat(level)} ${MarkdownExporter.escape(MarkdownExporter.label(chapter))}`];
+        if (chapter.subtitle) lines.push(`_${MarkdownExporter.escape(chapter.subtitle)}_`);
+
+        if (chapter.blocks) {
+            chapter.blocks.forEach(block => lines.push(this.block(block, level + 1)));
+        } else {
+            lines.push(`_${MarkdownExporter.escape(I18n.t('chapter.placeholderHeading'))}._`);
+        }
+
+        lines.push(this.renderReferences());
+        return `${lines.filter(Boolean).join('\n\n')}\n`;
+    }
+
+    // Every chapter in order behind a linked table of contents; footnotes are prefixed per chapter
+    encyclopedia() {
+        const contents = this.chapters
+            .map(chapter => `- [${MarkdownExporter.escape(MarkdownExporter.label(chapter))}](#${MarkdownExporter.slug(MarkdownExporter.label(chapter))})`)
+            .join('\n');
+
+        const chapters = this.chapters
+            .map(chapter => this.chapter(chapter, { footnotePrefix: `${chapter.id}-`, level: 2 }))
+            .join('\n---\n\n');
+
+        return `# ${MarkdownExporter.escape(I18n.t('app.title'))}\n\n## ${MarkdownExporter.escape(I18n.t('export.contents'))}\n\n${contents}\n\n---\n\n${chapters}`;
+    }
+
+    // The anchor GitHub-style renderers give a heading
+    static slug(text) {
+        return String(text).toLowerCase().trim()
+            .replace(/[^\p{L}\p{N}\s-]/gu, '')
+            .replace(/\s/g, '-');
+    }
+
+    block(block, level) {
+        const escape = MarkdownExporter.escape;
+
+        switch (block.type) {
+            case 'group':
+                return [
+                    block.title ? `${'#'.repeat(Math.min(level, 6))} ${escape(block.title)}` : '',
+                    ...block.blocks.map(child => this.block(child, level + 1))
+                ].filter(Boolean).join('\n\n');
+            case 'paragraph':
+                return `${escape(block.text)}${this.footnotes(block)}`;
+            case 'quote':
+                return `> "${escape(block.text)}"\n>\n> — ${escape(block.cite)}${this.footnotes(block)}`;
+            case 'alert':
+                return `> **${escape(block.label)}** ${escape(block.text)}${this.footnotes(block)}`;
+            case 'cards':
+                // Metric and stat cards become list items, so keep a row of them in one list
+                return block.items.map(item => this.card(item, level))
+                    .join(block.items.every(item => item.type === 'metric' || item.type === 'stat') ? '\n' : '\n\n');
+            case 'timeline':
+                return this.timeline();
+            case 'glossary':
+                return this.renderGlossary(level);
+            default:
+                // Interactive views such as the prediction explorer only re-present cards exported elsewhere
+                return '';
+        }
+    }
+
+    card(item, level) {
+        const escape = MarkdownExporter.escape;
+        const heading = title => `${'#'.repeat(Math.min(level, 6))} ${escape(title)}`;
+
+        switch (item.type) {
+            case 'timeline-item':
+                return `${heading(`${item.date}: ${item.title}`)}\n\n${escape(item.text)}`;
+            case 'milestone-card':
+                return `${heading(`${item.year}: ${item.title}`)}\n\n${escape(item.text)}`;
+            case 'metric':
+            case 'stat':
+                return `- **${escape(item.value)}** ${escape(item.label)}${this.footnotes(item)}`;
+            case 'dark-card':
+                return [
+                    heading(item.title),
+                    escape(item.text),
+                    item.details ? `**${escape(item.details.heading)}**\n\n${item.details.items.map(detail => `- ${escape(detail)}`).join('\n')}` : ''
+                ].filter(Boolean).join('\n\n');
+            case 'crisis-item':
+            case 'aspect':
+                return `${heading(item.emoji ? `${item.emoji} ${item.title}` : item.title)}\n\n${escape(item.text)}`;
+            case 'prediction-card':
+                return [
+                    heading(`${item.predictor}: ${Forecast.estimateLabel(item.estimate)}`),
+                    `_${escape(Forecast.confidenceLabel(item.confidence))}_`,
+                    `> "${escape(item.quote)}"`,
+                    `${escape(item.source.title)}, ${escape(item.madeIn)}${this.footnotes(item)}`
+                ].join('\n\n');
+            default:
+                return item.title ? `${heading(item.title)}\n\n${escape(item.text)}` : escape(item.text);
+        }
+    }
+
+    // The chart's dated events, across every chapter, as a list
+    timeline() {
+        if (typeof TimelineData === 'undefined') return '';
+
+        return TimelineData.collect(this.chapters)
+            .map(event => `- **${MarkdownExporter.escape(event.label)}** ${MarkdownExporter.escape(event.title)}`)
+            .join('\n');
+    }
+
+    renderGlossary(level) {
+        const byId = new Map(this.glossary.map(entry => [entry.id, entry]));
+
+        return [...this.glossary]
+            .sort((a, b) => a.term.localeCompare(b.term))
+            .map(entry => {
+                const term = entry.abbreviation ? `${entry.term} (${entry.abbreviation})` : entry.term;
+                const related = (entry.related || []).filter(id => byId.has(id)).map(id => byId.get(id).term);
+                return [
+                    `${'#'.repeat(Math.min(level, 6))} ${MarkdownExporter.escape(term)}`,
+                    MarkdownExporter.escape(entry.definition),
+                    related.length ? `_${MarkdownExporter.escape(I18n.t('glossary.seeAlso'))} ${related.map(MarkdownExporter.escape).join(', ')}_` : ''
+                ].filter(Boolean).join('\n\n');
+            })
+            .join('\n\n');
+    }
+
+    // Numbered per chapter in order of first citation, like the page's footnote markers
+    footnotes(item) {
+        const cited = (item.refs || []).map(id => ({ key: id, entry: this.sources[id] }));
+        if (item.type === 'prediction-card' && item.source) {
+            cited.push({ key: `${item.id}:source`, entry: item.source });
+        }
+
+        return cited.map(({ key, entry }) => {
+            let index = this.references.findIndex(reference => reference.key === key);
+            if (index === -1) {
+                this.references.push({ key, entry });
+                index = this.references.length - 1;
+            }
+            return `[^${this.footnotePrefix}${index + 1}]`;
+        }).join('');
+    }
+
+    renderReferences() {
+        return this.references
+            .map((reference, i) => `[^${this.footnotePrefix}${i + 1}]: ${this.renderSource(reference.entry)}`)
+            .join('\n');
+    }
+
+    renderSource(entry) {
+        if (!entry) return MarkdownExporter.escape(I18n.t('references.unknown'));
+
+        const parts = [`_${MarkdownExporter.escape(entry.title)}_`];
+        if (entry.publisher) parts.push(MarkdownExporter.escape(entry.publisher));
+        if (entry.published) parts.push(entry.published);
+        if (entry.url) parts.push(`<${entry.url}>`);
+        if (entry.accessed) parts.push(MarkdownExporter.escape(I18n.t('export.accessed', { date: entry.accessed })));
+
+        return `${parts.join('. ')}.`;
+    }
+}
+
+// Minimal ZIP writer: stored (uncompressed) entries, which is all an EPUB container needs
+class ZipArchive {
+    constructor(date = new Date()) {
+        this.date = date;
+        this.entries = [];
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.table) {
+            ZipArchive.table = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = ZipArchive.table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    add(name, content) {
+        const encoder = new TextEncoder();
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        this.entries.push({ name: encoder.encode(name), data, crc: ZipArchive.crc32(data) });
+        return this;
+    }
+
+    // MS-DOS time and date fields
+    dosTimestamp() {
+        const d = this.date;
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    }
+
+    toUint8Array() {
+        const { time, date } = this.dosTimestamp();
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true);      // stored
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.data.length, true);
+            header.setUint32(22, entry.data.length, true);
+            header.setUint16(26, entry.name.length, true);
+            local.push(new Uint8Array(header.buffer), entry.name, entry.data);
+
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.data.length, true);
+            record.setUint32(24, entry.data.length, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, offset, true);
+            central.push(new Uint8Array(record.buffer), entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...local, ...central, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+}
+
+// EPUB 3 package of every chapter, built from the same markup the page renders
+class EpubBuilder {
+    constructor(chapters, renderer, { title = I18n.t('app.title'), language = 'en', identifier = 'urn:ai-encyclopedia', date = new Date() } = {}) {
+        this.chapters = chapters;
+        this.renderer = renderer;
+        this.title = title;
+        this.language = language;
+        this.identifier = identifier;
+        this.date = date;
+    }
+
+    static escape(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    fileFor(chapter) {
+        return `${chapter.id}.xhtml`;
+    }
+
+    // A chapter's rendered section stripped of icons, controls and interactive widgets
+    chapterBody(chapter) {
+        const doc = document.implementation.createHTMLDocument('');
+        const holder = doc.createElement('div');
+        holder.innerHTML = this.renderer.renderSection(chapter);
+        const section = holder.firstElementChild;
+
+        section.querySelectorAll('[data-timeline], [data-prediction-explorer], [data-quiz], i.fas, i.far').forEach(node => node.remove());
+        section.querySelectorAll('.footnote-ref').forEach(button => {
+            const link = doc.createElement('a');
+            link.href = `#ref-${button.dataset.footnote}`;
+            link.setAttribute('epub:type', 'noteref');
+            link.textContent = button.textContent;
+            button.replaceWith(link);
+        });
+        section.querySelectorAll('.chapter-references li').forEach(item => {
+            item.id = `ref-${item.dataset.footnote}`;
+        });
+        // Links between chapters point at the matching file instead of the page's hash routes
+        section.querySelectorAll('a[href^="#"]:not([epub\\:type])').forEach(link => {
+            const [chapterId, anchor] = link.getAttribute('href').slice(1).split('/');
+            const target = this.chapters.find(item => item.id === chapterId);
+            if (target) link.setAttribute('href', `${this.fileFor(target)}${anchor ? `#${anchor}` : ''}`);
+        });
+        section.querySelectorAll('[data-anchor]').forEach(node => {
+            node.id = node.dataset.anchor;
+        });
+        [section, ...section.querySelectorAll('*')].forEach(node => {
+            [...node.attributes].forEach(attribute => {
+                if (attribute.name.startsWith('data-') || attribute.name === 'tabindex') node.removeAttribute(attribute.name);
+            });
+        });
+        section.removeAttribute('id');
+
+        return new XMLSerializer().serializeToString(section).replace(/ xmlns="http:\/\/www\.w3\.org\/1999\/xhtml"/g, '');
+    }
+
+    page(title, body) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${this.language}" lang="${this.language}">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${EpubBuilder.escape(title)}</title>
+    <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    }
+
+    navigation() {
+        const items = this.chapters
+            .map(chapter => `            <li><a href="${this.fileFor(chapter)}">${EpubBuilder.escape(this.renderer.navLabel(chapter))}</a></li>`)
+            .join('\n');
+
+        const heading = I18n.t('export.contents');
+        return this.page(heading, `    <nav epub:type="toc" id="toc">
+        <h1>${EpubBuilder.escape(heading)}</h1>
+        <ol>
+${items}
+        </ol>
+    </nav>`);
+    }
+
+    packageDocument() {
+        const modified = this.date.toISOString().replace(/\.\d+Z$/, 'Z');
+        const description = this.chapters[0] && this.chapters[0].subtitle;
+        const manifest = this.chapters
+            .map(chapter => `        <item id="${chapter.id}" href="${this.fileFor(chapter)}" media-type="application/xhtml+xml"/>`)
+            .join('\n');
+        const spine = this.chapters.map(chapter => `        <itemref idref="${chapter.id}"/>`).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${this.language}">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        <dc:identifier id="book-id">${EpubBuilder.escape(this.identifier)}</dc:identifier>
+        <dc:title>${EpubBuilder.escape(this.title)}</dc:title>
+        <dc:language>${this.language}</dc:language>
+        ${description ? `<dc:description>${EpubBuilder.escape(description)}</dc:description>` : ''}
+        <dc:date>${modified.slice(0, 10)}</dc:date>
+        <meta property="dcterms:modified">${modified}</meta>
+    </metadata>
+    <manifest>
+        <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+        <item id="style" href="style.css" media-type="text/css"/>
+${manifest}
+    </manifest>
+    <spine>
+${spine}
+    </spine>
+</package>
+`;
+    }
+
+    stylesheet() {
+        return [
+            'body { font-family: serif; line-height: 1.5; }',
+            'h1, h2, h3, h4 { font-family: sans-serif; }',
+            '.chapter-number { display: block; font-family: sans-serif; font-size: 2em; color: #888; }',
+            'blockquote { margin: 1em 2em; font-style: italic; }',
+            'cite { display: block; font-style: normal; text-align: right; }',
+            'sup a { text-decoration: none; }',
+            '.chapter-references { font-size: 0.85em; border-top: 1px solid #ccc; margin-top: 2em; }'
+        ].join('\n');
+    }
+
+    build() {
+        const zip = new ZipArchive(this.date);
+
+        // The mimetype entry must come first and uncompressed
+        zip.add('mimetype', 'application/epub+zip');
+        zip.add('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>
+`);
+        zip.add('OEBPS/content.opf', this.packageDocument());
+        zip.add('OEBPS/nav.xhtml', this.navigation());
+        zip.add('OEBPS/style.css', this.stylesheet());
+        this.chapters.forEach(chapter => {
+            zip.add(`OEBPS/${this.fileFor(chapter)}`, this.page(this.renderer.navLabel(chapter), this.chapterBody(chapter)));
+        });
+
+        return zip.toUint8Array();
+    }
+}
+
+// Lays the page out for printing: the current chapter, or every chapter behind a table of contents
+class PrintMode {
+    constructor(chapters, labelFor) {
+        this.chapters = chapters;
+        this.labelFor = labelFor;
+        this.toc = null;
+    }
+
+    // Printed only in whole-encyclopedia mode; hidden on screen
+    mount(contentContainer) {
+        const toc = document.createElement('nav');
+        toc.className = 'print-toc';
+        toc.setAttribute('aria-hidden', 'true');
+        toc.innerHTML = `<h1>${I18n.t('app.title')}</h1><h2>${I18n.t('export.contents')}</h2><ol></ol>`;
+
+        const list = toc.querySelector('ol');
+        this.chapters.forEach(chapter => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = `#${chapter.id}`;
+            link.textContent = this.labelFor(chapter);
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+
+        contentContainer.insertBefore(toc, contentContainer.firstChild);
+        this.toc = toc;
+    }
+
+    print(scope = 'all') {
+        const root = document.documentElement;
+        root.dataset.print = scope;
+
+        const finish = () => {
+            delete root.dataset.print;
+            window.removeEventListener('afterprint', finish);
+        };
+        window.addEventListener('afterprint', finish);
+        window.print();
+    }
+}
+
+function downloadFile(filename, content, type) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+class ExportPanel {
+    constructor(onExport) {
+        this.onExport = onExport;
+        this.element = null;
+        this.outsideClick = new OutsideClick(
+            target => this.element.contains(target) || Boolean(this.trigger && this.trigger.contains(target)),
+            () => this.close()
+        );
+    }
+
+    build() {
+        const panel = document.createElement('div');
+        panel.className = 'export-panel';
+        panel.hidden = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', I18n.t('menu.export'));
+        panel.innerHTML = `
+            <h2>${I18n.t('export.title')}</h2>
+
+            <div class="export-group">
+                <span>${I18n.t('export.chapter')}</span>
+                <button type="button" class="export-option" data-export="chapter-markdown"><i class="fab fa-markdown" aria-hidden="true"></i> ${I18n.t('export.markdown')}</button>
+                <button type="button" class="export-option" data-export="print-chapter"><i class="fas fa-print" aria-hidden="true"></i> ${I18n.t('export.print')}</button>
+            </div>
+
+            <div class="export-group">
+                <span>${I18n.t('export.all')}</span>
+                <button type="button" class="export-option" data-export="markdown"><i class="fab fa-markdown" aria-hidden="true"></i> ${I18n.t('export.markdown')}</button>
+                <button type="button" class="export-option" data-export="epub"><i class="fas fa-book" aria-hidden="true"></i> ${I18n.t('export.epub')}</button>
+                <button type="button" class="export-option" data-export="print-all"><i class="fas fa-print" aria-hidden="true"></i> ${I18n.t('export.print')}</button>
+            </div>
+        `;
+
+        panel.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-export]');
+            if (!option) return;
+
+            this.close();
+            this.onExport(option.dataset.export);
+        });
+
+        panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        document.body.appendChild(panel);
+        this.element = panel;
+    }
+
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    toggle(trigger) {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open(trigger);
+        }
+    }
+
+    open(trigger) {
+        if (!this.element) this.build();
+
+        this.trigger = trigger;
+        this.element.hidden = false;
+        this.element.querySelector('button').focus();
+
+        this.outsideClick.start();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.element.hidden = true;
+        this.outsideClick.stop();
+        if (this.trigger && this.trigger.focus) this.trigger.focus();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MarkdownExporter, ZipArchive, EpubBuilder, PrintMode, ExportPanel, downloadFile };
+}
@@ -0,0 +1,148 @@
+// AI Encyclopedia Glossary
+// Links the first mention of each glossary term in a chapter and previews its definition on hover or focus
+
+// Text that is never linked: cards, chapter headers, quotations, existing controls and generated widgets
+const GLOSSARY_SKIP = [
+    'a', 'button', 'h1', 'h2', 'h3', 'h4', 'blockquote', 'cite', 'svg',
+    '[data-cards]', '[data-timeline]', '[data-prediction-explorer]', '[data-quiz]',
+    '.section-header', '.chapter-header', '.chapter-references', '.glossary-list'
+].join(', ');
+
+class GlossaryLinker {
+    constructor(glossary, chapterId = 'glossary') {
+        this.glossary = glossary;
+        this.chapterId = chapterId;
+        this.forms = new Map();
+
+        glossary.forEach(entry => {
+            [entry.term, entry.abbreviation, ...(entry.aliases || [])].filter(Boolean).forEach(form => {
+                this.forms.set(form.toLowerCase(), { entry, form });
+            });
+        });
+
+        this.pattern = GlossaryLinker.buildPattern([...this.forms.values()].map(({ form }) => form));
+    }
+
+    // Longest forms first so "Recursive Self-Improvement" wins over "self-improvement"; plurals match too
+    static buildPattern(forms) {
+        if (!forms.length) return null;
+
+        const alternatives = [...forms]
+            .sort((a, b) => b.length - a.length)
+            .map(form => TextHighlighter.escapeRegExp(form).replace(/\s+/g, '\\s+'));
+
+        return new RegExp(`(?<![\\p{L}\\p{N}-])(${alternatives.join('|')})(?:s|es)?(?![\\p{L}\\p{N}-])`, 'giu');
+    }
+
+    static isAcronym(form) {
+        return form.length > 1 && form === form.toUpperCase();
+    }
+
+    // Glossary entry for matched text, honouring case for acronyms so "agi" in prose is left alone
+    lookup(text) {
+        const match = this.forms.get(text.replace(/\s+/g, ' ').toLowerCase());
+        if (!match) return null;
+        if (GlossaryLinker.isAcronym(match.form) && text !== match.form) return null;
+        return match.entry;
+    }
+
+    linkAll(root) {
+        root.querySelectorAll('.content-section').forEach(section => {
+            if (section.id !== this.chapterId) this.linkSection(section);
+        });
+    }
+
+    linkSection(section) {
+        if (!this.pattern) return [];
+
+        const linked = new Set();
+        const links = [];
+
+        TextHighlighter.textNodes(section)
+            .filter(node => !node.parentNode.closest(GLOSSARY_SKIP))
+            .forEach(node => {
+                const text = node.nodeValue;
+                const fragment = section.ownerDocument.createDocumentFragment();
+                let last = 0;
+                let match;
+
+                this.pattern.lastIndex = 0;
+                while ((match = this.pattern.exec(text))) {
+                    const entry = this.lookup(match[1]);
+                    if (!entry || linked.has(entry.id)) continue;
+
+                    linked.add(entry.id);
+                    fragment.appendChild(section.ownerDocument.createTextNode(text.slice(last, match.index)));
+                    const link = this.createLink(section.ownerDocument, entry, match[0]);
+                    fragment.appendChild(link);
+                    links.push(link);
+                    last = match.index + match[0].length;
+                }
+
+                if (!last) return;
+                fragment.appendChild(section.ownerDocument.createTextNode(text.slice(last)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+
+        return links;
+    }
+
+    createLink(doc, entry, text) {
+        const link = doc.createElement('a');
+        link.className = 'glossary-term';
+        link.href = `#${this.chapterId}/${encodeURIComponent(entry.id)}`;
+        link.dataset.term = entry.id;
+        link.textContent = text;
+        return link;
+    }
+}
+
+class GlossaryPopover extends HoverPopover {
+    constructor(root, glossary, onOpen) {
+        super(root, '.glossary-term', 'glossary-popover');
+        this.entries = new Map(glossary.map(entry => [entry.id, entry]));
+        this.onOpen = onOpen;
+    }
+
+    fill(link) {
+        const entry = this.entries.get(link.dataset.term);
+        if (!entry) return false;
+
+        const term = document.createElement('strong');
+        term.className = 'glossary-popover-term';
+        term.textContent = entry.abbreviation ? `${entry.term} (${entry.abbreviation})` : entry.term;
+
+        const definition = document.createElement('p');
+        definition.textContent = entry.definition;
+
+        const more = document.createElement('a');
+        more.className = 'glossary-popover-link';
+        more.href = link.getAttribute('href');
+        more.textContent = I18n.t('glossary.readMore');
+        more.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.open(entry);
+        });
+
+        this.element.append(term, definition, more);
+        return true;
+    }
+
+    // Go through the router so following a term twice still scrolls to its entry
+    activate(link, e) {
+        const entry = this.entries.get(link.dataset.term);
+        if (!entry) return;
+
+        e.preventDefault();
+        this.open(entry);
+    }
+
+    open(entry) {
+        this.hide();
+        this.onOpen(entry);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GlossaryLinker, GlossaryPopover, GLOSSARY_SKIP };
+}
@@ -0,0 +1,226 @@
+// AI Encyclopedia Highlighter
+// Marks every occurrence of a search term in the chapters and steps through the matches
+
+class TextHighlighter {
+    constructor(root, className = 'find-highlight') {
+        this.root = root;
+        this.className = className;
+        this.marks = [];
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Each word of the query is matched literally and case-insensitively
+    static buildPattern(query) {
+        const words = String(query).trim().split(/\s+/).filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map(word => TextHighlighter.escapeRegExp(word));
+
+        return words.length ? new RegExp(words.join('|'), 'gi') : null;
+    }
+
+    // Text nodes under root in document order, skipping scripts, styles and SVG text, which can't hold HTML marks
+    static textNodes(root, includeBlank = false) {
+        const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (includeBlank || node.nodeValue.trim()) && !node.parentNode.closest('script, style, svg')
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT
+        });
+
+        const nodes = [];
+        let node;
+
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+        return nodes;
+    }
+
+    highlight(query) {
+        this.clear();
+
+        const pattern = TextHighlighter.buildPattern(query);
+        if (!pattern || !this.root) return this.marks;
+
+        TextHighlighter.textNodes(this.root).forEach(textNode => {
+            const ranges = [];
+            let match;
+
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(textNode.nodeValue))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+
+            // Split from the end so earlier offsets stay valid
+            const marks = ranges.reverse().map(([start, end]) => this.createMark(textNode, start, end));
+
+            this.marks.push(...marks.reverse());
+        });
+
+        return this.marks;
+    }
+
+    // Wrap part of a text node in a mark; clear() removes it again
+    wrap(textNode, start, end) {
+        const mark = this.createMark(textNode, start, end);
+        this.marks.push(mark);
+        return mark;
+    }
+
+    createMark(textNode, start, end) {
+        textNode.splitText(end);
+        const matchNode = textNode.splitText(start);
+        const mark = textNode.ownerDocument.createElement('mark');
+        mark.className = this.className;
+        matchNode.parentNode.replaceChild(mark, matchNode);
+        mark.appendChild(matchNode);
+        return mark;
+    }
+
+    clear() {
+        const parents = new Set();
+
+        this.marks.forEach(mark => {
+            const parent = mark.parentNode;
+            if (!parent) return;
+
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parents.add(parent);
+        });
+
+        // Re-merge the text nodes that were split around each match
+        parents.forEach(parent => parent.normalize());
+        this.marks = [];
+    }
+}
+
+class FindBar {
+    constructor(highlighter, onReveal) {
+        this.highlighter = highlighter;
+        this.onReveal = onReveal;
+        this.currentIndex = -1;
+        this.element = null;
+    }
+
+    build() {
+        const bar = document.createElement('div');
+        bar.className = 'find-bar';
+        bar.hidden = true;
+        bar.setAttribute('role', 'search');
+        bar.innerHTML = `
+            <i class="fas fa-highlighter"></i>
+            <input type="text" class="find-input" aria-label="${I18n.t('find.label')}" autocomplete="off" spellcheck="false">
+            <span class="find-count" aria-live="polite"></span>
+            <button type="button" class="find-button" data-step="-1" aria-label="${I18n.t('find.previous')}" title="${I18n.t('find.previousHint')}">
+                <i class="fas fa-chevron-up"></i>
+            </button>
+            <button type="button" class="find-button" data-step="1" aria-label="${I18n.t('find.next')}" title="${I18n.t('find.nextHint')}">
+                <i class="fas fa-chevron-down"></i>
+            </button>
+            <button type="button" class="find-button find-close" aria-label="${I18n.t('find.clear')}" title="${I18n.t('find.clearHint')}">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+
+        this.input = bar.querySelector('.find-input');
+        this.count = bar.querySelector('.find-count');
+
+        this.input.addEventListener('input', () => this.update(this.input.value));
+
+        // Keep typing in the bar away from the page-level shortcuts
+        bar.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.go(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+
+        bar.querySelectorAll('[data-step]').forEach(button => {
+            button.addEventListener('click', () => this.go(Number(button.dataset.step)));
+        });
+        bar.querySelector('.find-close').addEventListener('click', () => this.close());
+
+        document.body.appendChild(bar);
+        this.element = bar;
+    }
+
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    // Highlight a query and start at the first match inside `within`, if any
+    open(query, { within = null, reveal = true } = {}) {
+        if (!this.element) this.build();
+
+        this.element.hidden = false;
+        this.input.value = query;
+        this.update(query, { within, reveal });
+    }
+
+    close() {
+        if (!this.element) return;
+
+        this.element.hidden = true;
+        this.highlighter.clear();
+        this.currentIndex = -1;
+        this.updateCount();
+    }
+
+    update(query, { within = null, reveal = true } = {}) {
+        const marks = this.highlighter.highlight(query);
+        const start = within ? marks.findIndex(mark => within.contains(mark)) : -1;
+
+        this.currentIndex = -1;
+        if (marks.length) {
+            this.setCurrent(Math.max(start, 0), reveal);
+        } else {
+            this.updateCount();
+        }
+    }
+
+    go(step) {
+        const total = this.highlighter.marks.length;
+        if (!total) return;
+
+        this.setCurrent((this.currentIndex + step + total) % total);
+    }
+
+    setCurrent(index, reveal = true) {
+        const marks = this.highlighter.marks;
+
+        if (marks[this.currentIndex]) {
+            marks[this.currentIndex].classList.remove('current');
+        }
+
+        this.currentIndex = index;
+        marks[index].classList.add('current');
+        this.updateCount();
+
+        if (reveal) this.onReveal(marks[index]);
+    }
+
+    updateCount() {
+        const total = this.highlighter.marks.length;
+
+        if (!this.input || !this.input.value.trim()) {
+            this.count.textContent = '';
+        } else if (!total) {
+            this.count.textContent = I18n.t('find.noMatches');
+        } else {
+            this.count.textContent = I18n.t('find.position', { index: this.currentIndex + 1, count: total });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TextHighlighter, FindBar };
+}
@@ -0,0 +1,190 @@
+// AI Encyclopedia Internationalisation
+// Looks up interface strings for the active locale, merges translated chapter content over the English
+// original and formats numbers and stats the way each language writes them
+
+const DEFAULT_LOCALE = 'en';
+
+// Stats are written in English shorthand in the chapter data, e.g. $200B+, 1000+ or 85%
+const STAT_PATTERN = /^(\$)?(\d+(?:\.\d+)?)([KMBT])?(%)?(\+)?$/;
+
+const STAT_MAGNITUDES = { K: 1e3, M: 1e6, B: 1e9, T: 1e12 };
+
+// Chapter fields a translation can replace; any it leaves out are shown in English
+const LOCALIZED_FIELDS = ['navTitle', 'title', 'subtitle', 'blocks', 'quiz'];
+
+class I18n {
+    constructor(catalogs, locales, locale = DEFAULT_LOCALE) {
+        this.catalogs = catalogs;
+        this.locales = locales;
+        this.locale = locales[locale] ? locale : DEFAULT_LOCALE;
+        this.pluralRules = typeof Intl !== 'undefined' ? new Intl.PluralRules(this.locale) : null;
+    }
+
+    // The active instance used by I18n.t(); English until setupLocale picks the reader's language
+    static use(instance) {
+        I18n.current = instance;
+        return instance;
+    }
+
+    static t(key, params) {
+        if (!I18n.current) {
+            I18n.current = new I18n(typeof AI_STRINGS !== 'undefined' ? AI_STRINGS : {}, typeof AI_LOCALES !== 'undefined' ? AI_LOCALES : { en: {} });
+        }
+        return I18n.current.t(key, params);
+    }
+
+    static formatStat(value) {
+        return I18n.current ? I18n.current.formatStat(value) : value;
+    }
+
+    static formatTime(date) {
+        return I18n.current ? I18n.current.formatTime(date) : date.toLocaleTimeString();
+    }
+
+    // An explicit locale in the URL wins, then the saved choice, then the browser's languages
+    static detect(available, { hashLocale = null, stored = null, languages = [] } = {}) {
+        if (hashLocale && available.includes(hashLocale)) return hashLocale;
+        if (stored && available.includes(stored)) return stored;
+
+        const preferred = languages
+            .map(language => String(language).toLowerCase().split('-')[0])
+            .find(language => available.includes(language));
+
+        return preferred || DEFAULT_LOCALE;
+    }
+
+    static savedLocale(storage, key = 'ai-encyclopedia:locale') {
+        try {
+            return storage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static saveLocale(storage, locale, key = 'ai-encyclopedia:locale') {
+        try {
+            storage.setItem(key, locale);
+        } catch (e) {
+            // Storage unavailable; the locale in the URL still applies for this visit
+        }
+    }
+
+    // Chapters with this locale's translated fields laid over the English ones. Outside English, each
+    // chapter lists the fields still in English as `untranslated` so the renderer can mark their language.
+    static localizeChapters(chapters, translations = {}, locale = DEFAULT_LOCALE) {
+        if (locale === DEFAULT_LOCALE) return chapters;
+
+        return chapters.map(chapter => {
+            const translation = (translations && translations[chapter.id]) || {};
+            const untranslated = LOCALIZED_FIELDS.filter(field => chapter[field] !== undefined && !(field in translation));
+            return { ...chapter, ...translation, untranslated };
+        });
+    }
+
+    dir() {
+        return (this.locales[this.locale] && this.locales[this.locale].dir) || 'ltr';
+    }
+
+    name(locale = this.locale) {
+        return this.locales[locale] ? this.locales[locale].name : locale;
+    }
+
+    // Missing keys fall back to English, then to the key itself so gaps are easy to spot
+    t(key, params = {}) {
+        const catalog = this.catalogs[this.locale] || {};
+        const fallback = this.catalogs[DEFAULT_LOCALE] || {};
+        let message = key in catalog ? catalog[key] : (key in fallback ? fallback[key] : key);
+
+        if (message && typeof message === 'object') {
+            const form = this.pluralRules ? this.pluralRules.select(params.count) : 'other';
+            message = message[form] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => (
+            name in params ? (name === 'count' ? this.formatNumber(params.count) : params[name]) : placeholder
+        ));
+    }
+
+    formatNumber(value, options = {}) {
+        try {
+            return new Intl.NumberFormat(this.locale, options).format(value);
+        } catch (e) {
+            return String(value);
+        }
+    }
+
+    formatTime(date) {
+        try {
+            return new Intl.DateTimeFormat(this.locale, { hour: 'numeric', minute: '2-digit' }).format(date);
+        } catch (e) {
+            return date.toLocaleTimeString();
+        }
+    }
+
+    // Reformat a stat like $200B+ for the locale; anything unrecognised is returned as written
+    formatStat(value) {
+        const match = STAT_PATTERN.exec(String(value).trim());
+        if (!match) return value;
+
+        const [, currency, digits, magnitude, percent, plus] = match;
+        const number = Number(digits) * (magnitude ? STAT_MAGNITUDES[magnitude] : 1);
+        let formatted;
+
+        if (percent) {
+            formatted = this.formatNumber(number / 100, { style: 'percent', maximumFractionDigits: 1 });
+        } else if (currency) {
+            formatted = this.formatNumber(number, {
+                style: 'currency',
+                currency: 'USD',
+                notation: magnitude ? 'compact' : 'standard',
+                minimumFractionDigits: 0,
+                maximumFractionDigits: magnitude ? 1 : 0
+            });
+        } else {
+            formatted = this.formatNumber(number, { notation: magnitude ? 'compact' : 'standard', maximumFractionDigits: 1 });
+        }
+
+        return plus ? `${formatted}+` : formatted;
+    }
+
+    // Static markup carries its string keys: data-i18n for text, data-i18n-label for aria-label and title
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            const label = this.t(element.dataset.i18nLabel);
+            element.setAttribute('aria-label', label);
+            if (element.hasAttribute('title')) element.title = label;
+        });
+
+        if (root.title !== undefined) root.title = this.t('app.documentTitle');
+    }
+}
+
+class LanguageSwitcher {
+    constructor(select, i18n, onSelect) {
+        this.select = select;
+        this.i18n = i18n;
+        this.onSelect = onSelect;
+    }
+
+    mount() {
+        if (!this.select) return;
+
+        // Each language is listed in its own script and direction
+        this.select.innerHTML = Object.keys(this.i18n.locales).map(code => {
+            const locale = this.i18n.locales[code];
+            return `<option value="${code}" lang="${code}" dir="${locale.dir || 'ltr'}">${locale.name}</option>`;
+        }).join('');
+
+        this.select.value = this.i18n.locale;
+        this.select.setAttribute('aria-label', this.i18n.t('language.label'));
+        this.select.addEventListener('change', () => this.onSelect(this.select.value));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, LanguageSwitcher, DEFAULT_LOCALE };
+}
@@ -0,0 +1,178 @@
+// AI Encyclopedia List Dialogs
+// The type-to-filter list behind the search panel and the command palette
+
+class ListDialog {
+    // prefix names the elements (search-overlay, search-input, search-result…) so each dialog keeps its styles.
+    // Subclasses provide find(query), renderResult(item, result), statusText() and run(result).
+    constructor(prefix, { label, placeholder, icon, type = 'text' }) {
+        this.prefix = prefix;
+        this.label = label;
+        this.placeholder = placeholder;
+        this.icon = icon;
+        this.type = type;
+        this.query = '';
+        this.results = [];
+        this.selectedIndex = 0;
+        this.element = null;
+    }
+
+    // Appends text with each [from, to) range wrapped in a <mark>
+    static appendHighlighted(container, text, ranges) {
+        let position = 0;
+        ranges.forEach(([from, to]) => {
+            container.append(text.slice(position, from));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(from, to);
+            container.appendChild(mark);
+            position = to;
+        });
+        container.append(text.slice(position));
+    }
+
+    build() {
+        const prefix = this.prefix;
+        const overlay = document.createElement('div');
+        overlay.className = `${prefix}-overlay`;
+        overlay.hidden = true;
+        overlay.innerHTML = `
+            <div class="${prefix}-panel" role="dialog" aria-modal="true" aria-label="${this.label}">
+                <div class="${prefix}-field">
+                    <i class="fas fa-${this.icon}"></i>
+                    <input type="${this.type}" class="${prefix}-input" placeholder="${this.placeholder}"
+                           autocomplete="off" spellcheck="false" role="combobox"
+                           aria-expanded="true" aria-controls="${prefix}-results" aria-autocomplete="list">
+                    <kbd class="${prefix}-hint">esc</kbd>
+                </div>
+                <ul class="${prefix}-results" id="${prefix}-results" role="listbox"></ul>
+                <div class="${prefix}-status" aria-live="polite"></div>
+            </div>
+        `;
+
+        this.input = overlay.querySelector(`.${prefix}-input`);
+        this.list = overlay.querySelector(`.${prefix}-results`);
+        this.status = overlay.querySelector(`.${prefix}-status`);
+
+        this.input.addEventListener('input', () => this.update(this.input.value));
+
+        // Keep typing in the dialog away from the page-level shortcuts
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            this.handleKeydown(e);
+        });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.close();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest(`.${prefix}-result`);
+            if (item) this.choose(Number(item.dataset.index));
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest(`.${prefix}-result`);
+            if (item) this.select(Number(item.dataset.index));
+        });
+
+        document.body.appendChild(overlay);
+        this.element = overlay;
+    }
+
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    open(query = '') {
+        if (!this.element) this.build();
+
+        this.previousFocus = document.activeElement;
+        this.element.hidden = false;
+        this.input.value = query;
+        this.update(query);
+        this.input.focus();
+        this.input.select();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.element.hidden = true;
+        if (this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+    }
+
+    // Keys besides Escape that close the dialog, such as the palette's own shortcut
+    closesOn() {
+        return false;
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape' || this.closesOn(e)) {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            this.select(this.selectedIndex + 1);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.select(this.selectedIndex - 1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.choose(this.selectedIndex);
+        }
+    }
+
+    update(query) {
+        this.query = query.trim();
+        this.results = this.find(this.query);
+        this.selectedIndex = 0;
+        this.renderResults();
+    }
+
+    renderResults() {
+        this.list.textContent = '';
+
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = `${this.prefix}-result`;
+            item.id = `${this.prefix}-result-${index}`;
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+
+            this.renderResult(item, result);
+            this.list.appendChild(item);
+        });
+
+        this.status.textContent = this.statusText();
+        this.select(0);
+    }
+
+    select(index) {
+        if (!this.results.length) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.selectedIndex = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll(`.${this.prefix}-result`).forEach((item, i) => {
+            const selected = i === this.selectedIndex;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', String(selected));
+            if (selected && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+        });
+        this.input.setAttribute('aria-activedescendant', `${this.prefix}-result-${this.selectedIndex}`);
+    }
+
+    choose(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        this.close();
+        this.run(result);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ListDialog };
+}
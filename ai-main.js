@@ -0,0 +1,74 @@
+// AI Encyclopedia Startup
+// Starts the encyclopedia once the page has loaded and adds the decorative card effects
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const encyclopedia = new AIEncyclopedia(AI_CHAPTERS);
+
+    // The running instance, for the browser console and the test suite
+    window.aiEncyclopedia = encyclopedia;
+    
+    // Add some additional interactive features
+    
+    // Hover effects for cards
+    document.querySelectorAll('.intro-card, .milestone-card, .domain-card, .crisis-item').forEach(card => {
+        card.addEventListener('mouseenter', function() {
+            if (encyclopedia.animationLevel() !== 'full') return;
+            this.style.transform = 'translateY(-8px) scale(1.02)';
+        });
+        
+        card.addEventListener('mouseleave', function() {
+            this.style.transform = 'translateY(0) scale(1)';
+        });
+    });
+    
+    // Add click ripple effect
+    document.querySelectorAll('.nav-link, .intro-card').forEach(element => {
+        element.addEventListener('click', function(e) {
+            if (encyclopedia.animationLevel() !== 'full') return;
+
+            const ripple = document.createElement('div');
+            const rect = this.getBoundingClientRect();
+            const size = Math.max(rect.width, rect.height);
+            const x = e.clientX - rect.left - size / 2;
+            const y = e.clientY - rect.top - size / 2;
+            
+            ripple.style.cssText = `
+                position: absolute;
+                border-radius: 50%;
+                background: var(--ripple-color);
+                transform: scale(0);
+                animation: ripple 0.6s linear;
+                width: ${size}px;
+                height: ${size}px;
+                left: ${x}px;
+                top: ${y}px;
+                pointer-events: none;
+            `;
+            
+            this.style.position = 'relative';
+            this.style.overflow = 'hidden';
+            this.appendChild(ripple);
+            
+            setTimeout(() => {
+                if (ripple.parentNode) {
+                    ripple.parentNode.removeChild(ripple);
+                }
+            }, 600);
+        });
+    });
+    
+    // Add ripple animation to CSS
+    const style = document.createElement('style');
+    style.textContent = `
+        @keyframes ripple {
+            to {
+                transform: scale(4);
+                opacity: 0;
+            }
+        }
+    `;
+    document.head.appendChild(style);
+    
+    console.log('🤖 AI Encyclopedia loaded. Press ? for keyboard shortcuts or Cmd/Ctrl+K for the command palette.');
+});
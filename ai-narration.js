@@ -0,0 +1,484 @@
+// AI Encyclopedia Narration
+// Listen mode: reads a chapter aloud sentence by sentence, highlighting the sentence being spoken
+
+const NARRATION_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+// Elements read aloud, in document order; anything inside NARRATION_SKIP is left out
+const NARRATION_READABLE = 'h1, h2, h3, h4, p, li, blockquote, dt, .timeline-date, .milestone-year, .state-metric, .psych-stat, .prediction-card .predictor';
+const NARRATION_SKIP = [
+    '[data-timeline]', '[data-prediction-explorer]', '[data-quiz]', '.chapter-references',
+    'sup.footnote', 'button', '.sr-only', '[aria-hidden="true"]'
+].join(', ');
+
+// Speech backend on the Web Speech API. Anything with the same methods can stand in for it,
+// e.g. a stub in tests that "speaks" by calling onEnd.
+class SpeechSynthesisBackend {
+    constructor(synth = typeof window !== 'undefined' ? window.speechSynthesis : null,
+                Utterance = typeof window !== 'undefined' ? window.SpeechSynthesisUtterance : null) {
+        this.synth = synth;
+        this.Utterance = Utterance;
+    }
+
+    isSupported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    // [{ id, name, lang, isDefault }]
+    getVoices() {
+        if (!this.isSupported()) return [];
+
+        return this.synth.getVoices().map(voice => ({
+            id: voice.voiceURI,
+            name: voice.name,
+            lang: voice.lang,
+            isDefault: voice.default
+        }));
+    }
+
+    // Browsers load their voice list asynchronously
+    onVoicesChanged(listener) {
+        if (this.isSupported() && this.synth.addEventListener) {
+            this.synth.addEventListener('voiceschanged', listener);
+        }
+    }
+
+    speak(text, { voice = null, rate = 1, lang = null } = {}, { onEnd = () => {}, onError = () => {} } = {}) {
+        const utterance = new this.Utterance(text);
+        if (lang) utterance.lang = lang;
+        const match = voice && this.synth.getVoices().find(item => item.voiceURI === voice);
+        if (match) {
+            utterance.voice = match;
+            utterance.lang = match.lang;
+        }
+        utterance.rate = rate;
+        utterance.onend = onEnd;
+        utterance.onerror = (e) => onError(e.error || 'error');
+
+        this.synth.speak(utterance);
+    }
+
+    pause() {
+        this.synth.pause();
+    }
+
+    resume() {
+        this.synth.resume();
+    }
+
+    cancel() {
+        this.synth.cancel();
+    }
+}
+
+class NarrationPreferences {
+    constructor(storage, key = 'ai-encyclopedia:narration') {
+        this.storage = storage;
+        this.key = key;
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(this.key)) || {};
+        } catch (e) {
+            // Storage unavailable or corrupted; use the system voice at normal speed
+        }
+
+        return {
+            voice: typeof saved.voice === 'string' ? saved.voice : null,
+            rate: NARRATION_RATES.includes(saved.rate) ? saved.rate : 1
+        };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (e) {
+            // Private browsing or quota exceeded; preferences last for this visit only
+        }
+    }
+
+    set(name, value) {
+        if (name === 'rate' && !NARRATION_RATES.includes(value)) return;
+        if (name === 'voice' && value !== null && typeof value !== 'string') return;
+        if (this.values[name] === value) return;
+
+        this.values[name] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(this.values));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+class Narrator {
+    constructor(backend, preferences, { onChapterEnd = () => {}, onSentence = () => {} } = {}) {
+        this.backend = backend;
+        this.preferences = preferences;
+        this.onChapterEnd = onChapterEnd;
+        this.onSentence = onSentence;
+        this.state = 'idle';
+        this.section = null;
+        this.paragraphs = [];
+        this.paragraphIndex = 0;
+        this.sentenceIndex = 0;
+        this.listeners = [];
+        // Bumped whenever speech is cut short so late callbacks from the old utterance are ignored
+        this.token = 0;
+    }
+
+    // Sentences with their offsets in text; a full stop only ends a sentence before whitespace
+    static sentences(text) {
+        const sentences = [];
+        const pattern = /\S[\s\S]*?(?:[.!?…]+["'”’)\]]*(?=\s|$)|$)/g;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            const spoken = match[0].replace(/\s+/g, ' ').trim();
+            if (/[\p{L}\p{N}]/u.test(spoken)) {
+                sentences.push({ start: match.index, end: match.index + match[0].length, text: spoken });
+            }
+        }
+        return sentences;
+    }
+
+    // The text nodes a readable element contributes, skipping footnote markers and controls
+    static textNodesOf(element) {
+        return TextHighlighter.textNodes(element, true)
+            .filter(node => !node.parentNode.closest(NARRATION_SKIP));
+    }
+
+    static paragraphsIn(section) {
+        return Array.from(section.querySelectorAll(NARRATION_READABLE))
+            .filter(element => !element.closest(NARRATION_SKIP))
+            .filter(element => !element.parentElement.closest(NARRATION_READABLE))
+            .filter(element => Narrator.sentences(Narrator.textNodesOf(element).map(node => node.nodeValue).join('')).length);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.listeners.forEach(listener => listener(state));
+    }
+
+    isActive() {
+        return this.state !== 'idle';
+    }
+
+    // Start reading a section from its first paragraph, or from the first one still on screen
+    start(section, { fromVisible = false } = {}) {
+        this.cut();
+        this.section = section;
+        this.paragraphs = Narrator.paragraphsIn(section);
+        this.paragraphIndex = fromVisible ? this.firstVisibleParagraph() : 0;
+        this.sentenceIndex = 0;
+        this.setState('playing');
+
+        if (!this.paragraphs.length) {
+            this.finishChapter();
+            return;
+        }
+
+        this.speakCurrent();
+    }
+
+    firstVisibleParagraph() {
+        const index = this.paragraphs.findIndex(paragraph => paragraph.getBoundingClientRect().bottom > 44);
+        return index === -1 ? 0 : index;
+    }
+
+    toggle(section) {
+        if (this.state === 'playing') {
+            this.pause();
+        } else if (this.state === 'paused') {
+            this.resume();
+        } else {
+            this.start(section, { fromVisible: true });
+        }
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.backend.pause();
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state !== 'paused') return;
+        this.backend.resume();
+        this.setState('playing');
+    }
+
+    // Jump to the start of the next paragraph (or back, with a negative step)
+    skip(step = 1) {
+        if (!this.isActive()) return;
+
+        this.cut();
+        this.paragraphIndex = Math.max(0, this.paragraphIndex + step);
+        this.sentenceIndex = 0;
+
+        if (this.paragraphIndex >= this.paragraphs.length) {
+            this.finishChapter();
+            return;
+        }
+
+        this.setState('playing');
+        this.speakCurrent();
+    }
+
+    stop() {
+        this.cut();
+        this.section = null;
+        this.paragraphs = [];
+        if (this.state !== 'idle') this.setState('idle');
+    }
+
+    // Silence the current utterance and drop its highlight; a paused engine would hold back the next one
+    cut() {
+        this.token++;
+        this.clearHighlight();
+        if (this.state === 'idle') return;
+
+        this.backend.cancel();
+        if (this.state === 'paused') this.backend.resume();
+    }
+
+    currentSentences() {
+        const nodes = Narrator.textNodesOf(this.paragraphs[this.paragraphIndex]);
+        return { nodes, sentences: Narrator.sentences(nodes.map(node => node.nodeValue).join('')) };
+    }
+
+    speakCurrent() {
+        const { nodes, sentences } = this.currentSentences();
+        const sentence = sentences[this.sentenceIndex];
+
+        if (!sentence) {
+            this.advance();
+            return;
+        }
+
+        this.highlight(nodes, sentence);
+
+        const token = ++this.token;
+        const { voice, rate } = this.preferences.values;
+        // Without a chosen voice the system picks one for the language of the paragraph being read,
+        // which is English where a translation falls back to the original
+        const marked = this.paragraphs[this.paragraphIndex].closest('[lang]');
+        const lang = marked ? marked.lang : null;
+        this.backend.speak(sentence.text, { voice, rate, lang }, {
+            onEnd: () => {
+                if (token === this.token) this.advance();
+            },
+            onError: (error) => {
+                if (token !== this.token || error === 'interrupted' || error === 'canceled') return;
+                console.warn('[narration] Speech failed:', error);
+                this.stop();
+            }
+        });
+    }
+
+    advance() {
+        this.clearHighlight();
+        this.sentenceIndex++;
+
+        if (this.sentenceIndex >= this.currentSentences().sentences.length) {
+            this.paragraphIndex++;
+            this.sentenceIndex = 0;
+        }
+
+        if (this.paragraphIndex >= this.paragraphs.length) {
+            this.finishChapter();
+        } else {
+            this.speakCurrent();
+        }
+    }
+
+    // The owner decides what comes next: start() on another chapter, or stop()
+    finishChapter() {
+        const section = this.section;
+        this.clearHighlight();
+        this.onChapterEnd(section);
+    }
+
+    highlight(nodes, sentence) {
+        this.clearHighlight();
+        this.highlighter = new TextHighlighter(this.paragraphs[this.paragraphIndex], 'narration-sentence');
+
+        let offset = 0;
+        nodes.forEach(node => {
+            const length = node.nodeValue.length;
+            const start = Math.max(sentence.start, offset);
+            const end = Math.min(sentence.end, offset + length);
+            if (start < end && node.nodeValue.slice(start - offset, end - offset).trim()) {
+                this.highlighter.wrap(node, start - offset, end - offset);
+            }
+            offset += length;
+        });
+
+        if (this.highlighter.marks.length) this.onSentence(this.highlighter.marks[0]);
+    }
+
+    clearHighlight() {
+        if (this.highlighter) this.highlighter.clear();
+        this.highlighter = null;
+    }
+}
+
+// Play/pause, skip and stop buttons in the menu bar, plus a voice and speed picker
+class NarrationControls {
+    constructor(element, narrator, preferences, backend, getSection) {
+        this.element = element;
+        this.narrator = narrator;
+        this.preferences = preferences;
+        this.backend = backend;
+        this.getSection = getSection;
+        this.panel = null;
+        this.outsideClick = new OutsideClick(
+            target => this.panel.contains(target) || this.optionsButton.contains(target),
+            () => this.closePanel()
+        );
+    }
+
+    mount() {
+        if (!this.element) return;
+
+        this.element.hidden = !this.backend.isSupported();
+        if (this.element.hidden) return;
+
+        this.playButton = this.element.querySelector('.narration-play');
+        this.skipButton = this.element.querySelector('.narration-skip');
+        this.stopButton = this.element.querySelector('.narration-stop');
+        this.optionsButton = this.element.querySelector('.narration-options');
+
+        this.playButton.addEventListener('click', () => this.narrator.toggle(this.getSection()));
+        this.skipButton.addEventListener('click', () => this.narrator.skip());
+        this.stopButton.addEventListener('click', () => this.narrator.stop());
+        this.optionsButton.addEventListener('click', () => this.togglePanel());
+
+        this.narrator.onChange(() => this.update());
+        this.backend.onVoicesChanged(() => {
+            if (this.panel) this.renderVoices();
+        });
+        this.update();
+    }
+
+    update() {
+        const { state } = this.narrator;
+        const label = I18n.t(state === 'playing' ? 'narration.pause' : state === 'paused' ? 'narration.resume' : 'narration.listen');
+
+        this.playButton.querySelector('i').className = `fas fa-${state === 'playing' ? 'pause' : state === 'paused' ? 'play' : 'headphones'}`;
+        this.playButton.setAttribute('aria-label', label);
+        this.playButton.title = label;
+        this.skipButton.hidden = state === 'idle';
+        this.stopButton.hidden = state === 'idle';
+        this.element.classList.toggle('is-active', state !== 'idle');
+    }
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'narration-panel';
+        panel.hidden = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', I18n.t('narration.options'));
+        panel.innerHTML = `
+            <h2>${I18n.t('narration.group')}</h2>
+
+            <label class="settings-row">
+                <span>${I18n.t('narration.voice')}</span>
+                <select class="narration-voice" name="voice"></select>
+            </label>
+
+            <div class="settings-row">
+                <span>${I18n.t('narration.speed')}</span>
+                <div class="segmented" role="radiogroup" aria-label="${I18n.t('narration.speed')}">
+                    ${NARRATION_RATES.map(rate => `<label><input type="radio" name="rate" value="${rate}"><span>${rate}×</span></label>`).join('')}
+                </div>
+            </div>
+        `;
+
+        panel.addEventListener('change', (e) => {
+            if (e.target.name === 'voice') {
+                this.preferences.set('voice', e.target.value || null);
+            } else if (e.target.name === 'rate') {
+                this.preferences.set('rate', Number(e.target.value));
+            }
+        });
+
+        panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closePanel();
+        });
+
+        this.preferences.onChange(() => this.syncPanel());
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.renderVoices();
+    }
+
+    renderVoices() {
+        const select = this.panel.querySelector('.narration-voice');
+        select.innerHTML = '';
+
+        const system = document.createElement('option');
+        system.value = '';
+        system.textContent = I18n.t('narration.systemVoice');
+        select.appendChild(system);
+
+        this.backend.getVoices().forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.id;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            select.appendChild(option);
+        });
+
+        this.syncPanel();
+    }
+
+    syncPanel() {
+        const { voice, rate } = this.preferences.values;
+        const select = this.panel.querySelector('.narration-voice');
+
+        select.value = voice || '';
+        if (select.value !== (voice || '')) select.value = '';
+        this.panel.querySelectorAll('input[name="rate"]').forEach(input => {
+            input.checked = Number(input.value) === rate;
+        });
+    }
+
+    isPanelOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    togglePanel() {
+        if (this.isPanelOpen()) {
+            this.closePanel();
+            return;
+        }
+
+        if (!this.panel) this.buildPanel();
+        this.panel.hidden = false;
+        this.panel.querySelector('select').focus();
+
+        this.outsideClick.start();
+    }
+
+    closePanel() {
+        if (!this.isPanelOpen()) return;
+
+        this.panel.hidden = true;
+        this.outsideClick.stop();
+        this.optionsButton.focus();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechSynthesisBackend, NarrationPreferences, Narrator, NarrationControls, NARRATION_RATES };
+}
@@ -0,0 +1,405 @@
+// AI Encyclopedia Notifications
+// Toasts stack in the corner of the window, leave on a timer, on click or on a sideways swipe, and can
+// carry actions such as "Undo". The bell in the menu bar keeps the recent ones.
+
+const NOTIFICATION_ICONS = {
+    info: 'info-circle',
+    success: 'check-circle',
+    warning: 'exclamation-triangle',
+    error: 'times-circle'
+};
+
+class NotificationCenter {
+    // announce(message, { assertive }) reads a notification out; the toasts themselves are not live regions
+    constructor(announce, { duration = 3000, maxVisible = 3, historySize = 20, swipeDistance = 80 } = {}) {
+        this.announce = announce;
+        this.duration = duration;
+        this.maxVisible = maxVisible;
+        this.historySize = historySize;
+        this.swipeDistance = swipeDistance;
+        this.history = [];
+        this.queue = [];
+        this.visible = [];
+        this.unread = 0;
+        this.nextId = 1;
+        this.stack = null;
+        this.bell = null;
+        this.panel = null;
+        this.outsideClick = new OutsideClick(
+            target => this.panel.contains(target) || Boolean(this.bell && this.bell.contains(target)),
+            () => this.closePanel()
+        );
+    }
+
+    mount(bell) {
+        const stack = document.createElement('section');
+        stack.className = 'notification-stack';
+        stack.setAttribute('aria-label', I18n.t('notifications.title'));
+        document.body.appendChild(stack);
+        this.stack = stack;
+
+        this.bell = bell;
+        if (bell) {
+            bell.addEventListener('click', () => this.togglePanel());
+            this.updateBell();
+        }
+    }
+
+    // actions: [{ label, run }]. Toasts with actions stay twice as long; duration 0 keeps one until dismissed.
+    show(message, { type = 'info', actions = [], duration } = {}) {
+        const notification = {
+            id: this.nextId++,
+            message: String(message),
+            type: NOTIFICATION_ICONS[type] ? type : 'info',
+            actions,
+            time: new Date(),
+            duration: duration === undefined ? this.duration * (actions.length ? 2 : 1) : duration,
+            element: null,
+            timer: null
+        };
+        notification.dismiss = () => this.dismiss(notification);
+
+        this.history.unshift(notification);
+        this.history.length = Math.min(this.history.length, this.historySize);
+        if (!this.isPanelOpen()) this.unread += 1;
+        this.updateBell();
+        this.renderPanel();
+
+        this.announce(notification.message, { assertive: type === 'error' || type === 'warning' });
+
+        this.queue.push(notification);
+        this.flush();
+        return notification;
+    }
+
+    // Only a few toasts are on screen at once; the rest wait for one to leave
+    flush() {
+        while (this.stack && this.queue.length && this.visible.length < this.maxVisible) {
+            const notification = this.queue.shift();
+            this.visible.push(notification);
+            this.stack.appendChild(this.renderToast(notification));
+
+            setTimeout(() => {
+                if (notification.element) notification.element.classList.add('is-visible');
+            }, 10);
+            this.startTimer(notification);
+        }
+    }
+
+    dismiss(notification) {
+        const queued = this.queue.indexOf(notification);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+        if (!this.visible.includes(notification)) return;
+
+        this.stopTimer(notification);
+        this.visible = this.visible.filter(item => item !== notification);
+
+        const element = notification.element;
+        notification.element = null;
+
+        // Keep focus in the stack, or hand it back to the page, when the focused toast leaves
+        const hadFocus = element.contains(document.activeElement);
+        element.classList.remove('is-visible');
+        element.classList.add('is-leaving');
+        setTimeout(() => {
+            element.remove();
+            if (hadFocus) {
+                const next = this.stack.querySelector('.notification:not(.is-leaving) button');
+                if (next) next.focus();
+            }
+            this.flush();
+        }, 300);
+    }
+
+    dismissAll() {
+        this.queue = [];
+        this.visible.slice().forEach(notification => this.dismiss(notification));
+    }
+
+    startTimer(notification) {
+        this.stopTimer(notification);
+        if (!notification.duration) return;
+
+        notification.timer = setTimeout(() => this.dismiss(notification), notification.duration);
+    }
+
+    stopTimer(notification) {
+        clearTimeout(notification.timer);
+        notification.timer = null;
+    }
+
+    // An action runs once, from the toast or from the bell's list
+    runAction(notification, action) {
+        if (!notification.actions.includes(action)) return;
+
+        notification.actions = [];
+        this.dismiss(notification);
+        this.renderPanel();
+        action.run();
+    }
+
+    renderToast(notification) {
+        const toast = document.createElement('div');
+        toast.className = `notification notification-${notification.type}`;
+        toast.dataset.notification = notification.id;
+
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${NOTIFICATION_ICONS[notification.type]}`;
+        icon.setAttribute('aria-hidden', 'true');
+        toast.appendChild(icon);
+
+        // Messages can contain search terms and file names, so they are only ever set as text
+        const message = document.createElement('span');
+        message.className = 'notification-message';
+        message.textContent = notification.message;
+        toast.appendChild(message);
+
+        if (notification.actions.length) toast.appendChild(this.renderActions(notification));
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'notification-dismiss';
+        close.title = I18n.t('notifications.dismiss');
+        close.setAttribute('aria-label', close.title);
+        close.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+        toast.appendChild(close);
+
+        // A click anywhere outside the action buttons dismisses the toast
+        toast.addEventListener('click', (e) => {
+            if (toast.dataset.swiped) {
+                delete toast.dataset.swiped;
+                return;
+            }
+            if (!e.target.closest('.notification-action')) this.dismiss(notification);
+        });
+
+        toast.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            this.dismiss(notification);
+        });
+
+        // Reading or reaching for a toast holds it on screen
+        toast.addEventListener('mouseenter', () => this.stopTimer(notification));
+        toast.addEventListener('mouseleave', () => this.startTimer(notification));
+        toast.addEventListener('focusin', () => this.stopTimer(notification));
+        toast.addEventListener('focusout', (e) => {
+            if (!toast.contains(e.relatedTarget)) this.startTimer(notification);
+        });
+
+        this.attachSwipe(toast, notification);
+
+        notification.element = toast;
+        return toast;
+    }
+
+    renderActions(notification) {
+        const actions = document.createElement('div');
+        actions.className = 'notification-actions';
+
+        notification.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => this.runAction(notification, action));
+            actions.appendChild(button);
+        });
+
+        return actions;
+    }
+
+    // The toast follows the finger sideways and leaves once dragged far enough either way
+    attachSwipe(toast, notification) {
+        let start = null;
+        let offset = 0;
+
+        toast.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return;
+            start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            offset = 0;
+            delete toast.dataset.swiped;
+            toast.classList.add('is-dragging');
+        }, { passive: true });
+
+        toast.addEventListener('touchmove', (e) => {
+            if (!start) return;
+
+            const touch = e.touches[0];
+            offset = touch.clientX - start.x;
+
+            // Mostly vertical movement is a scroll of the page, not a swipe
+            if (Math.abs(touch.clientY - start.y) > Math.abs(offset)) offset = 0;
+            toast.style.transform = offset ? `translateX(${offset}px)` : '';
+            toast.style.opacity = offset ? String(Math.max(0.2, 1 - Math.abs(offset) / (this.swipeDistance * 2))) : '';
+        }, { passive: true });
+
+        const end = () => {
+            if (!start) return;
+
+            start = null;
+            toast.classList.remove('is-dragging');
+            // A drag may be followed by a synthesized click; swallow only that one, not a later tap
+            if (Math.abs(offset) > 10) {
+                toast.dataset.swiped = 'true';
+                setTimeout(() => delete toast.dataset.swiped, 400);
+            }
+
+            if (Math.abs(offset) >= this.swipeDistance) {
+                toast.style.transform = `translateX(${offset < 0 ? '-' : ''}120%)`;
+                this.dismiss(notification);
+            } else {
+                toast.style.transform = '';
+                toast.style.opacity = '';
+            }
+        };
+        toast.addEventListener('touchend', end, { passive: true });
+        toast.addEventListener('touchcancel', end, { passive: true });
+    }
+
+    updateBell() {
+        if (!this.bell) return;
+
+        const label = this.unread ? I18n.t('notifications.unread', { count: this.unread }) : I18n.t('menu.notifications');
+        this.bell.title = label;
+        this.bell.setAttribute('aria-label', label);
+        this.bell.setAttribute('aria-expanded', String(this.isPanelOpen()));
+
+        let badge = this.bell.querySelector('.notification-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'notification-badge';
+            badge.setAttribute('aria-hidden', 'true');
+            this.bell.appendChild(badge);
+        }
+        badge.hidden = !this.unread;
+        badge.textContent = this.unread > 9 ? '9+' : String(this.unread);
+    }
+
+    buildPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'notification-panel';
+        panel.hidden = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', I18n.t('notifications.title'));
+        panel.innerHTML = `
+            <div class="notification-panel-header">
+                <h2>${I18n.t('notifications.title')}</h2>
+                <button type="button" class="notification-clear">${I18n.t('notifications.clear')}</button>
+            </div>
+            <ol class="notification-history"></ol>
+            <p class="notification-empty">${I18n.t('notifications.empty')}</p>
+        `;
+
+        panel.querySelector('.notification-clear').addEventListener('click', () => this.clear());
+
+        panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closePanel();
+        });
+
+        document.body.appendChild(panel);
+        this.panel = panel;
+        this.renderPanel();
+    }
+
+    renderPanel() {
+        if (!this.panel) return;
+
+        const list = this.panel.querySelector('.notification-history');
+        list.innerHTML = '';
+
+        this.history.forEach(notification => {
+            const item = document.createElement('li');
+            item.className = `notification-entry notification-${notification.type}`;
+
+            const icon = document.createElement('i');
+            icon.className = `fas fa-${NOTIFICATION_ICONS[notification.type]}`;
+            icon.setAttribute('aria-hidden', 'true');
+            item.appendChild(icon);
+
+            const body = document.createElement('div');
+            body.className = 'notification-entry-body';
+
+            const message = document.createElement('span');
+            message.className = 'notification-message';
+            message.textContent = notification.message;
+            body.appendChild(message);
+
+            const time = document.createElement('time');
+            time.dateTime = notification.time.toISOString();
+            time.textContent = I18n.formatTime(notification.time);
+            body.appendChild(time);
+
+            if (notification.actions.length) body.appendChild(this.renderActions(notification));
+
+            item.appendChild(body);
+            list.appendChild(item);
+        });
+
+        this.panel.querySelector('.notification-empty').hidden = this.history.length > 0;
+        this.panel.querySelector('.notification-clear').hidden = this.history.length === 0;
+    }
+
+    clear() {
+        this.history = [];
+        this.unread = 0;
+        this.dismissAll();
+        this.renderPanel();
+        this.updateBell();
+        this.focusPanel();
+    }
+
+    isPanelOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    togglePanel() {
+        if (this.isPanelOpen()) {
+            this.closePanel();
+        } else {
+            this.openPanel();
+        }
+    }
+
+    openPanel() {
+        if (!this.panel) this.buildPanel();
+
+        this.panel.hidden = false;
+        this.unread = 0;
+        this.updateBell();
+
+        this.focusPanel();
+
+        this.outsideClick.start();
+    }
+
+    // The first button, or the panel itself when the list is empty
+    focusPanel() {
+        if (!this.isPanelOpen()) return;
+
+        const first = this.panel.querySelector('button:not([hidden])');
+        if (first) {
+            first.focus();
+        } else {
+            this.panel.setAttribute('tabindex', '-1');
+            this.panel.focus();
+        }
+    }
+
+    closePanel() {
+        if (!this.isPanelOpen()) return;
+
+        this.panel.hidden = true;
+        this.outsideClick.stop();
+        this.updateBell();
+        if (this.bell) this.bell.focus();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NotificationCenter, NOTIFICATION_ICONS };
+}
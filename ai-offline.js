@@ -0,0 +1,72 @@
+// AI Encyclopedia Offline Support
+// Registers the service worker, shows whether the encyclopedia is available offline and announces updates
+
+class OfflineSupport {
+    constructor(indicator, notify, scriptUrl = 'sw.js') {
+        this.indicator = indicator;
+        this.notify = notify;
+        this.scriptUrl = scriptUrl;
+        this.ready = false;
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol);
+    }
+
+    register() {
+        if (!OfflineSupport.isSupported()) return Promise.resolve(null);
+
+        const container = navigator.serviceWorker;
+
+        // A new worker taking over an existing page means a newer version was cached
+        let hadController = Boolean(container.controller);
+        container.addEventListener('controllerchange', () => {
+            if (hadController) {
+                this.notify(I18n.t('notify.updateAvailable'), 'info', {
+                    duration: 0,
+                    actions: [{ label: I18n.t('notify.reload'), run: () => window.location.reload() }]
+                });
+            }
+            hadController = true;
+        });
+
+        window.addEventListener('online', () => this.updateIndicator());
+        window.addEventListener('offline', () => this.updateIndicator());
+
+        return container.register(this.scriptUrl)
+            .then(registration => {
+                // Check for a new version whenever the reader comes back to the tab
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') registration.update().catch(() => {});
+                });
+                return container.ready;
+            })
+            .then(registration => {
+                this.ready = true;
+                this.updateIndicator();
+                return registration;
+            })
+            .catch(error => {
+                console.warn('[offline] Service worker registration failed:', error);
+                return null;
+            });
+    }
+
+    updateIndicator() {
+        if (!this.indicator) return;
+
+        const online = navigator.onLine !== false;
+
+        this.indicator.hidden = !this.ready && online;
+        this.indicator.classList.toggle('is-offline', !online);
+        this.indicator.className = this.indicator.className.replace(/\bfa-(circle-check|plane)\b/, online ? 'fa-circle-check' : 'fa-plane');
+
+        const label = I18n.t(online ? 'offline.available' : (this.ready ? 'offline.saved' : 'offline.offline'));
+        this.indicator.title = label;
+        this.indicator.setAttribute('aria-label', label);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineSupport };
+}
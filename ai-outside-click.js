@@ -0,0 +1,36 @@
+// AI Encyclopedia Outside Clicks
+// Closes a floating panel when the reader clicks anywhere else on the page
+
+class OutsideClick {
+    // isInside(target) is true for clicks on the panel or the button that toggles it
+    constructor(isInside, onOutside) {
+        this.isInside = isInside;
+        this.onOutside = onOutside;
+        this.timer = null;
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    // Listen from the next tick, so the click that opened the panel doesn't close it again
+    start() {
+        this.stop();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            document.addEventListener('click', this.handleClick);
+        }, 0);
+    }
+
+    // Safe to call before the listener is attached; a pending start is cancelled
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        document.removeEventListener('click', this.handleClick);
+    }
+
+    handleClick(e) {
+        if (!this.isInside(e.target)) this.onOutside();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OutsideClick };
+}
@@ -0,0 +1,301 @@
+// AI Encyclopedia Predictions
+// The forecast data type behind prediction cards and the explorer that compares them on one axis
+
+// Labels are interface string keys
+const PREDICTION_CONFIDENCE = {
+    high: { label: 'predictions.high', rank: 3 },
+    medium: { label: 'predictions.medium', rank: 2 },
+    low: { label: 'predictions.low', rank: 1 }
+};
+
+const PREDICTION_SORTS = {
+    estimate: { label: 'predictions.sortEstimate', compare: (a, b) => Forecast.midpoint(a) - Forecast.midpoint(b) },
+    confidence: { label: 'predictions.sortConfidence', compare: (a, b) => PREDICTION_CONFIDENCE[b.confidence].rank - PREDICTION_CONFIDENCE[a.confidence].rank },
+    made: { label: 'predictions.sortMade', compare: (a, b) => b.madeIn - a.madeIn }
+};
+
+// Helpers for prediction cards: { predictor, estimate: { year } | { from, to }, confidence, source, madeIn, quote }
+class Forecast {
+    static span(estimate) {
+        return estimate.year !== undefined
+            ? { from: estimate.year, to: estimate.year }
+            : { from: estimate.from, to: estimate.to };
+    }
+
+    static midpoint(prediction) {
+        const { from, to } = Forecast.span(prediction.estimate);
+        return (from + to) / 2;
+    }
+
+    static estimateLabel(estimate) {
+        const { from, to } = Forecast.span(estimate);
+        return from === to ? String(from) : `${from}-${to}`;
+    }
+
+    static confidenceLabel(confidence) {
+        return PREDICTION_CONFIDENCE[confidence] ? I18n.t(PREDICTION_CONFIDENCE[confidence].label) : confidence;
+    }
+
+    // Problems that would make a prediction impossible to plot, as readable messages
+    static validate(prediction) {
+        const problems = [];
+        const estimate = prediction.estimate || {};
+        const isYear = value => Number.isInteger(value);
+
+        if (!prediction.predictor) problems.push('has no predictor');
+
+        if (estimate.year !== undefined) {
+            if (!isYear(estimate.year)) problems.push('has a non-numeric estimate year');
+        } else if (!isYear(estimate.from) || !isYear(estimate.to) || estimate.from > estimate.to) {
+            problems.push('needs an estimate of { year } or { from, to } with from <= to');
+        }
+
+        if (!PREDICTION_CONFIDENCE[prediction.confidence]) {
+            problems.push(`has unknown confidence "${prediction.confidence}" (use ${Object.keys(PREDICTION_CONFIDENCE).join(', ')})`);
+        }
+        if (!prediction.source || !prediction.source.title) problems.push('has no source');
+        if (!isYear(prediction.madeIn)) problems.push('has no year it was made in (madeIn)');
+
+        return problems;
+    }
+
+    static median(values) {
+        if (!values.length) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Median and spread of the forecast midpoints
+    static summarize(predictions) {
+        const midpoints = predictions.map(prediction => Forecast.midpoint(prediction)).sort((a, b) => a - b);
+        if (!midpoints.length) return null;
+
+        const half = Math.floor(midpoints.length / 2);
+        const lower = midpoints.slice(0, half || 1);
+        const upper = midpoints.slice(midpoints.length % 2 ? half + 1 : half);
+
+        return {
+            count: midpoints.length,
+            median: Forecast.median(midpoints),
+            quartiles: [Forecast.median(lower), Forecast.median(upper.length ? upper : midpoints)],
+            range: [
+                Math.min(...predictions.map(prediction => Forecast.span(prediction.estimate).from)),
+                Math.max(...predictions.map(prediction => Forecast.span(prediction.estimate).to))
+            ]
+        };
+    }
+}
+
+// Every prediction card in the chapters; views re-render when a forecast is added
+class ForecastSet {
+    constructor(predictions = []) {
+        this.predictions = predictions;
+        this.listeners = [];
+    }
+
+    static fromChapters(chapters) {
+        const predictions = [];
+
+        const visit = (chapter, blocks) => blocks.forEach(block => {
+            if (block.blocks) visit(chapter, block.blocks);
+            if (block.type !== 'cards') return;
+
+            block.items
+                .filter(item => item.type === 'prediction-card' && !Forecast.validate(item).length)
+                .forEach(item => predictions.push({ ...item, chapterId: chapter.id }));
+        });
+
+        chapters.filter(chapter => chapter.blocks).forEach(chapter => visit(chapter, chapter.blocks));
+        return new ForecastSet(predictions);
+    }
+
+    add(prediction) {
+        const problems = Forecast.validate(prediction);
+        if (problems.length) {
+            throw new Error(`Prediction "${prediction.id || prediction.predictor}" ${problems.join(', ')}`);
+        }
+
+        this.predictions.push(prediction);
+        this.listeners.forEach(listener => listener(this.predictions));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+class PredictionExplorer {
+    constructor(container, forecasts, onSelect) {
+        this.container = container;
+        this.forecasts = forecasts;
+        this.onSelect = onSelect;
+        this.sort = 'estimate';
+        this.active = new Set(Object.keys(PREDICTION_CONFIDENCE));
+        this.width = 800;
+        this.labelWidth = 200;
+        this.rowHeight = 34;
+    }
+
+    mount() {
+        this.container.innerHTML = `
+            <div class="explorer-controls">
+                <label class="explorer-sort">
+                    <span>${I18n.t('predictions.sortBy')}</span>
+                    <select>
+                        ${Object.keys(PREDICTION_SORTS).map(key => `<option value="${key}">${I18n.t(PREDICTION_SORTS[key].label)}</option>`).join('')}
+                    </select>
+                </label>
+                <div class="explorer-filters" role="group" aria-label="${I18n.t('predictions.confidence')}">
+                    ${Object.keys(PREDICTION_CONFIDENCE).map(level => `
+                    <label class="explorer-filter" data-confidence="${level}">
+                        <input type="checkbox" value="${level}" checked>
+                        <span>${I18n.t(PREDICTION_CONFIDENCE[level].label)}</span>
+                    </label>`).join('')}
+                </div>
+            </div>
+            <p class="explorer-summary" aria-live="polite"></p>
+            <div class="explorer-plot"></div>
+        `;
+
+        this.container.querySelector('.explorer-sort select').addEventListener('change', (e) => {
+            this.sort = e.target.value;
+            this.render();
+        });
+
+        this.container.querySelector('.explorer-filters').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.active.add(e.target.value);
+            } else {
+                this.active.delete(e.target.value);
+            }
+            this.render();
+        });
+
+        this.forecasts.onChange(() => this.render());
+        this.render();
+    }
+
+    visiblePredictions() {
+        return this.forecasts.predictions
+            .filter(prediction => this.active.has(prediction.confidence))
+            .sort(PREDICTION_SORTS[this.sort].compare);
+    }
+
+    render() {
+        const predictions = this.visiblePredictions();
+        const summary = Forecast.summarize(predictions);
+        const summaryElement = this.container.querySelector('.explorer-summary');
+        const plot = this.container.querySelector('.explorer-plot');
+
+        plot.innerHTML = '';
+
+        if (!summary) {
+            summaryElement.textContent = I18n.t('predictions.none');
+            return;
+        }
+
+        const round = value => Math.round(value);
+        summaryElement.textContent = I18n.t('predictions.summary', {
+            count: summary.count,
+            median: round(summary.median),
+            low: round(summary.quartiles[0]),
+            high: round(summary.quartiles[1]),
+            from: summary.range[0],
+            to: summary.range[1]
+        });
+
+        plot.appendChild(this.renderPlot(predictions, summary));
+    }
+
+    renderPlot(predictions, summary) {
+        const svg = TimelineChart.svg;
+        const top = 10;
+        const axisY = top + predictions.length * this.rowHeight + 6;
+        const height = axisY + 30;
+        const from = Math.floor((summary.range[0] - 5) / 5) * 5;
+        const to = Math.ceil((summary.range[1] + 5) / 5) * 5;
+        const x = year => this.labelWidth + (year - from) / (to - from) * (this.width - this.labelWidth - 20);
+
+        const chart = svg('svg', {
+            class: 'explorer-svg',
+            viewBox: `0 0 ${this.width} ${height}`,
+            role: 'group',
+            'aria-label': I18n.t('predictions.plot')
+        });
+
+        // Shared axis with year ticks
+        chart.appendChild(svg('line', { class: 'explorer-axis', x1: this.labelWidth, x2: this.width - 20, y1: axisY, y2: axisY }));
+        const step = TimelineData.tickStep(to - from);
+        for (let year = Math.ceil(from / step) * step; year <= to; year += step) {
+            chart.appendChild(svg('line', { class: 'explorer-grid', x1: x(year), x2: x(year), y1: top, y2: axisY }));
+            const label = svg('text', { class: 'explorer-tick', x: x(year), y: axisY + 18, 'text-anchor': 'middle' });
+            label.textContent = year;
+            chart.appendChild(label);
+        }
+
+        // Middle half of the forecasts and their median
+        chart.appendChild(svg('rect', {
+            class: 'explorer-spread',
+            x: x(summary.quartiles[0]),
+            y: top,
+            width: Math.max(2, x(summary.quartiles[1]) - x(summary.quartiles[0])),
+            height: axisY - top
+        }));
+        chart.appendChild(svg('line', { class: 'explorer-median', x1: x(summary.median), x2: x(summary.median), y1: top - 4, y2: axisY }));
+
+        predictions.forEach((prediction, i) => {
+            const y = top + i * this.rowHeight + this.rowHeight / 2;
+            const { from: start, to: end } = Forecast.span(prediction.estimate);
+            const description = I18n.t('predictions.description', {
+                predictor: prediction.predictor,
+                made: prediction.madeIn,
+                estimate: Forecast.estimateLabel(prediction.estimate),
+                confidence: Forecast.confidenceLabel(prediction.confidence).toLowerCase()
+            });
+
+            const row = svg('g', {
+                class: 'explorer-row',
+                'data-confidence': prediction.confidence,
+                tabindex: '0',
+                role: 'button',
+                'aria-label': description
+            });
+
+            const title = svg('title');
+            title.textContent = I18n.t('predictions.source', { description, source: prediction.source.title });
+            row.appendChild(title);
+
+            const name = svg('text', { class: 'explorer-label', x: 0, y: y + 4 });
+            name.textContent = prediction.predictor.length > 24 ? `${prediction.predictor.slice(0, 23)}…` : prediction.predictor;
+            row.appendChild(name);
+
+            const made = svg('text', { class: 'explorer-made', x: this.labelWidth - 10, y: y + 4, 'text-anchor': 'end' });
+            made.textContent = `’${String(prediction.madeIn).slice(-2)}`;
+            row.appendChild(made);
+
+            if (end > start) {
+                row.appendChild(svg('rect', { class: 'explorer-interval', x: x(start), y: y - 6, width: x(end) - x(start), height: 12, rx: 6 }));
+            } else {
+                row.appendChild(svg('circle', { class: 'explorer-point', cx: x(start), cy: y, r: 7 }));
+            }
+
+            row.addEventListener('click', () => this.onSelect(prediction));
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.onSelect(prediction);
+                }
+            });
+
+            chart.appendChild(row);
+        });
+
+        return chart;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Forecast, ForecastSet, PredictionExplorer, PREDICTION_CONFIDENCE, PREDICTION_SORTS };
+}
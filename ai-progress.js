@@ -0,0 +1,166 @@
+// AI Encyclopedia Reading Progress
+// Tracks how far each chapter has been read and offers to resume on the next visit
+
+const PROGRESS_COMPLETE = 0.98;
+const PROGRESS_RING_CIRCUMFERENCE = 2 * Math.PI * 7;
+
+class ProgressStore {
+    constructor(storage, key = 'ai-encyclopedia:progress') {
+        this.storage = storage;
+        this.key = key;
+        this.values = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            if (saved && typeof saved.chapters === 'object') {
+                return { chapters: saved.chapters, last: saved.last || null };
+            }
+        } catch (e) {
+            // Storage unavailable or corrupted; start fresh
+        }
+        return { chapters: {}, last: null };
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (e) {
+            // Progress is kept for this visit only
+        }
+    }
+
+    // Remember the furthest point reached and where the reader currently is
+    record(chapterId, fraction) {
+        const clamped = Math.min(1, Math.max(0, fraction));
+        const previous = this.values.chapters[chapterId] || 0;
+
+        this.values.chapters[chapterId] = Math.max(previous, clamped);
+        this.values.last = { chapter: chapterId, fraction: clamped, at: new Date().toISOString() };
+        this.save();
+    }
+
+    get(chapterId) {
+        return this.values.chapters[chapterId] || 0;
+    }
+
+    isComplete(chapterId) {
+        return this.get(chapterId) >= PROGRESS_COMPLETE;
+    }
+
+    overall(chapterIds) {
+        if (!chapterIds.length) return 0;
+        const total = chapterIds.reduce((sum, id) => sum + (this.isComplete(id) ? 1 : this.get(id)), 0);
+        return total / chapterIds.length;
+    }
+
+    reset() {
+        this.values = { chapters: {}, last: null };
+        this.save();
+    }
+}
+
+class ProgressView {
+    constructor(store, chapters, onResume) {
+        this.store = store;
+        this.chapters = chapters.filter(chapter => chapter.blocks);
+        this.onResume = onResume;
+    }
+
+    // Progress rings beside the nav links and an overall meter in the sidebar header
+    mount(navContainer, headerContainer) {
+        this.chapters.forEach(chapter => {
+            const link = navContainer.querySelector(`[data-chapter="${chapter.id}"]`);
+            if (!link) return;
+
+            const indicator = document.createElement('span');
+            indicator.className = 'nav-progress';
+            indicator.dataset.progressFor = chapter.id;
+            indicator.innerHTML = `
+                <svg class="progress-ring" viewBox="0 0 18 18" aria-hidden="true">
+                    <circle class="progress-ring-track" cx="9" cy="9" r="7"></circle>
+                    <circle class="progress-ring-bar" cx="9" cy="9" r="7"
+                            stroke-dasharray="${PROGRESS_RING_CIRCUMFERENCE}"
+                            stroke-dashoffset="${PROGRESS_RING_CIRCUMFERENCE}"></circle>
+                </svg>
+                <i class="fas fa-check-circle progress-done" aria-hidden="true"></i>
+            `;
+            link.appendChild(indicator);
+        });
+
+        this.meter = document.createElement('div');
+        this.meter.className = 'reading-progress';
+        this.meter.innerHTML = `
+            <div class="reading-progress-label">
+                <span>${I18n.t('progress.heading')}</span>
+                <span class="reading-progress-value"></span>
+            </div>
+            <div class="reading-progress-track"><div class="reading-progress-bar"></div></div>
+            <button type="button" class="reading-progress-reset">${I18n.t('progress.reset')}</button>
+        `;
+        this.meter.querySelector('.reading-progress-reset').addEventListener('click', () => {
+            this.store.reset();
+            this.update();
+        });
+        headerContainer.appendChild(this.meter);
+
+        this.update();
+    }
+
+    update() {
+        this.chapters.forEach(chapter => {
+            const indicator = document.querySelector(`[data-progress-for="${chapter.id}"]`);
+            if (!indicator) return;
+
+            const fraction = this.store.get(chapter.id);
+            const complete = this.store.isComplete(chapter.id);
+
+            indicator.classList.toggle('complete', complete);
+            indicator.classList.toggle('started', fraction > 0);
+            indicator.title = complete ? I18n.t('progress.read') : I18n.t('progress.percentRead', { percent: Math.round(fraction * 100) });
+            indicator.querySelector('.progress-ring-bar')
+                .setAttribute('stroke-dashoffset', PROGRESS_RING_CIRCUMFERENCE * (1 - fraction));
+        });
+
+        if (this.meter) {
+            const percent = Math.round(this.store.overall(this.chapters.map(chapter => chapter.id)) * 100);
+            this.meter.querySelector('.reading-progress-value').textContent = `${percent}%`;
+            this.meter.querySelector('.reading-progress-bar').style.width = `${percent}%`;
+        }
+    }
+
+    // "Resume at Chapter 5, 60%" banner for returning readers
+    offerResume(label, last) {
+        const banner = document.createElement('div');
+        banner.className = 'resume-banner';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas fa-book-open"></i>
+            <span class="resume-text"></span>
+            <button type="button" class="resume-accept">${I18n.t('progress.resume')}</button>
+            <button type="button" class="resume-dismiss" aria-label="${I18n.t('progress.dismiss')}">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        banner.querySelector('.resume-text').textContent = I18n.t('progress.resumeAt', { chapter: label, percent: Math.round(last.fraction * 100) });
+
+        const dismiss = () => {
+            if (banner.parentNode) banner.parentNode.removeChild(banner);
+        };
+
+        banner.querySelector('.resume-accept').addEventListener('click', () => {
+            dismiss();
+            this.onResume(last);
+        });
+        banner.querySelector('.resume-dismiss').addEventListener('click', dismiss);
+
+        document.body.appendChild(banner);
+        setTimeout(dismiss, 15000);
+        return banner;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProgressStore, ProgressView, PROGRESS_COMPLETE };
+}
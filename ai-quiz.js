@@ -0,0 +1,446 @@
+// AI Encyclopedia Quizzes
+// "Test yourself" questions at the end of a chapter, scored in the browser and remembered per chapter
+
+const QUIZ_TYPES = ['choice', 'order'];
+
+// Helpers for chapter quizzes. Questions are { id, type: 'choice', prompt, options, answer, explanation }
+// or { id, type: 'order', prompt, cards | items, explanation }: cards name dated cards in the same
+// chapter and are ordered by their year, items are listed in the correct order.
+class Quiz {
+    // Cards in a chapter that carry a year or date, by id
+    static datedCards(chapter) {
+        const cards = new Map();
+
+        const visit = blocks => blocks.forEach(block => {
+            if (block.blocks) visit(block.blocks);
+            (block.items || [])
+                .filter(item => item.id && (item.year || item.date))
+                .forEach(item => cards.set(item.id, item));
+        });
+
+        visit(chapter.blocks || []);
+        return cards;
+    }
+
+    // Ordering questions get their entries resolved into { key, label, date } in the correct order
+    static resolve(question, chapter) {
+        if (question.type !== 'order') return question;
+
+        if (question.items) {
+            return { ...question, order: question.items.map((label, i) => ({ key: String(i), label, date: null })) };
+        }
+
+        const cards = Quiz.datedCards(chapter);
+        const order = (question.cards || [])
+            .map(id => cards.get(id))
+            .filter(Boolean)
+            .map(card => {
+                const date = card.year || card.date;
+                const span = TimelineData.parseYear(date);
+                return { key: card.id, label: card.title, date, start: span ? span.start : Infinity };
+            })
+            .sort((a, b) => a.start - b.start)
+            .map(({ key, label, date }) => ({ key, label, date }));
+
+        return { ...question, order };
+    }
+
+    static questionsFor(chapter) {
+        return (chapter.quiz || []).map(question => Quiz.resolve(question, chapter));
+    }
+
+    // response is an option index for choice questions and a list of keys for ordering questions
+    static isCorrect(question, response) {
+        if (question.type === 'choice') return response === question.answer;
+
+        return Array.isArray(response) &&
+            response.length === question.order.length &&
+            question.order.every((entry, i) => entry.key === response[i]);
+    }
+
+    // Problems that would make a question unanswerable, as readable messages
+    static validate(question, chapter) {
+        const problems = [];
+
+        if (!question.id) problems.push('has no id');
+        if (!question.prompt) problems.push('has no prompt');
+        if (!QUIZ_TYPES.includes(question.type)) {
+            problems.push(`has unknown type "${question.type}" (use ${QUIZ_TYPES.join(', ')})`);
+            return problems;
+        }
+
+        if (question.type === 'choice') {
+            const options = question.options || [];
+            if (options.length < 2) problems.push('needs at least two options');
+            if (!Number.isInteger(question.answer) || question.answer < 0 || question.answer >= options.length) {
+                problems.push('has an answer that is not the index of one of its options');
+            }
+            return problems;
+        }
+
+        if (question.items) {
+            if (question.items.length < 2) problems.push('needs at least two items to order');
+            return problems;
+        }
+
+        const cards = Quiz.datedCards(chapter);
+        const ids = question.cards || [];
+        if (ids.length < 2) problems.push('needs at least two cards to order');
+
+        ids.filter(id => !cards.has(id)).forEach(id => problems.push(`refers to "${id}", which is not a dated card in this chapter`));
+
+        const starts = ids
+            .filter(id => cards.has(id))
+            .map(id => {
+                const span = TimelineData.parseYear(cards.get(id).year || cards.get(id).date);
+                if (!span) problems.push(`refers to "${id}", whose date has no year`);
+                return span && span.start;
+            })
+            .filter(start => start !== null);
+        if (new Set(starts).size < starts.length) problems.push('orders cards that share a year');
+
+        return problems;
+    }
+
+    // Shuffled copy that is never already in the correct order
+    static shuffle(entries, random = Math.random) {
+        if (entries.length < 2) return [...entries];
+
+        let shuffled;
+        do {
+            shuffled = [...entries];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+        } while (shuffled.every((entry, i) => entry === entries[i]));
+
+        return shuffled;
+    }
+}
+
+// Latest and best score for each chapter's quiz
+class QuizStore {
+    constructor(storage, key = 'ai-encyclopedia:quizzes') {
+        this.storage = storage;
+        this.key = key;
+        this.listeners = [];
+        this.results = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.key));
+            if (saved && typeof saved === 'object' && !Array.isArray(saved)) return saved;
+        } catch (e) {
+            // Storage unavailable or corrupted; start with no results
+        }
+        return {};
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.results));
+        } catch (e) {
+            // Results are kept for this visit only
+        }
+        this.listeners.forEach(listener => listener(this.results));
+    }
+
+    record(chapterId, score, total) {
+        const previous = this.results[chapterId];
+
+        this.results[chapterId] = {
+            score,
+            total,
+            best: previous && previous.total === total ? Math.max(previous.best, score) : score,
+            attempts: (previous ? previous.attempts : 0) + 1,
+            at: new Date().toISOString()
+        };
+        this.save();
+        return this.results[chapterId];
+    }
+
+    get(chapterId) {
+        return this.results[chapterId] || null;
+    }
+
+    reset() {
+        this.results = {};
+        this.save();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+class QuizView {
+    constructor(container, chapter, store, random = Math.random) {
+        this.container = container;
+        this.chapter = chapter;
+        this.store = store;
+        this.random = random;
+        this.questions = Quiz.questionsFor(chapter).filter(question => !Quiz.validate(question, chapter).length);
+        this.checked = false;
+    }
+
+    mount() {
+        this.container.innerHTML = `
+            <h2><i class="fas fa-graduation-cap"></i> ${I18n.t('quiz.heading')}</h2>
+            <p class="quiz-intro"></p>
+            <ol class="quiz-questions"></ol>
+            <div class="quiz-actions">
+                <button type="button" class="quiz-check">${I18n.t('quiz.check')}</button>
+                <button type="button" class="quiz-retry" hidden>${I18n.t('quiz.retry')}</button>
+            </div>
+            <p class="quiz-score" aria-live="polite"></p>
+        `;
+
+        this.container.querySelector('.quiz-check').addEventListener('click', () => this.check());
+        this.container.querySelector('.quiz-retry').addEventListener('click', () => this.reset());
+
+        // Keep arrow keys and shortcuts on the page from firing while answering
+        this.container.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, button')) e.stopPropagation();
+        });
+
+        this.reset();
+    }
+
+    reset() {
+        this.checked = false;
+        const list = this.container.querySelector('.quiz-questions');
+        list.innerHTML = '';
+        this.questions.forEach((question, i) => list.appendChild(this.renderQuestion(question, i)));
+
+        this.container.querySelector('.quiz-check').hidden = false;
+        this.container.querySelector('.quiz-retry').hidden = true;
+        this.container.querySelector('.quiz-score').textContent = '';
+        this.renderIntro();
+    }
+
+    renderIntro() {
+        const result = this.store.get(this.chapter.id);
+        const count = I18n.t('quiz.count', { count: this.questions.length });
+
+        this.container.querySelector('.quiz-intro').textContent = result
+            ? `${count} ${I18n.t('quiz.lastAttempt', { score: result.score, total: result.total, best: result.best })}`
+            : count;
+    }
+
+    renderQuestion(question, index) {
+        const item = document.createElement('li');
+        item.className = `quiz-question quiz-${question.type}-question`;
+        item.dataset.question = question.id;
+
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = question.prompt;
+        fieldset.appendChild(this.markUntranslated(legend));
+
+        if (question.type === 'choice') {
+            question.options.forEach((option, i) => {
+                const label = document.createElement('label');
+                label.className = 'quiz-option';
+
+                const input = document.createElement('input');
+                input.type = 'radio';
+                input.name = `quiz-${this.chapter.id}-${index}`;
+                input.value = String(i);
+
+                const text = document.createElement('span');
+                text.textContent = option;
+
+                label.append(input, this.markUntranslated(text));
+                fieldset.appendChild(label);
+            });
+        } else {
+            const hint = document.createElement('p');
+            hint.className = 'quiz-hint';
+            hint.textContent = I18n.t('quiz.orderHint');
+            fieldset.appendChild(hint);
+
+            const order = document.createElement('ol');
+            order.className = 'quiz-order';
+            Quiz.shuffle(question.order, this.random).forEach(entry => order.appendChild(this.renderOrderItem(entry, question)));
+            fieldset.appendChild(order);
+        }
+
+        const feedback = document.createElement('div');
+        feedback.className = 'quiz-feedback';
+        feedback.hidden = true;
+
+        item.append(fieldset, feedback);
+        return item;
+    }
+
+    renderOrderItem(entry, question) {
+        const item = document.createElement('li');
+        item.className = 'quiz-order-item';
+        item.dataset.key = entry.key;
+
+        const label = document.createElement('span');
+        label.className = 'quiz-order-label';
+        label.textContent = entry.label;
+        // Card titles come from the chapter text; listed items belong to the quiz
+        item.appendChild(this.markUntranslated(label, question.items ? 'quiz' : 'blocks'));
+
+        [['up', -1, 'quiz.moveUp'], ['down', 1, 'quiz.moveDown']].forEach(([direction, step, key]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `quiz-move quiz-move-${direction}`;
+            button.setAttribute('aria-label', I18n.t(key, { label: entry.label }));
+            button.innerHTML = `<i class="fas fa-arrow-${direction}"></i>`;
+            button.addEventListener('click', () => this.move(item, step, button));
+            item.appendChild(button);
+        });
+
+        return item;
+    }
+
+    // Quiz text a translation left in English is marked, like the chapter text around it
+    markUntranslated(element, field = 'quiz') {
+        if (this.chapter.untranslated && this.chapter.untranslated.includes(field)) {
+            element.lang = 'en';
+            element.dir = 'ltr';
+        }
+        return element;
+    }
+
+    move(item, step, button) {
+        if (this.checked) return;
+
+        const list = item.parentNode;
+        const sibling = step < 0 ? item.previousElementSibling : item.nextElementSibling;
+        if (!sibling) return;
+
+        list.insertBefore(item, step < 0 ? sibling : sibling.nextElementSibling);
+        button.focus();
+    }
+
+    responseFor(question, element) {
+        if (question.type === 'choice') {
+            const selected = element.querySelector('input:checked');
+            return selected ? Number(selected.value) : null;
+        }
+        return Array.from(element.querySelectorAll('.quiz-order-item')).map(entry => entry.dataset.key);
+    }
+
+    check() {
+        let score = 0;
+
+        this.questions.forEach(question => {
+            const element = this.container.querySelector(`.quiz-question[data-question="${question.id}"]`);
+            const response = this.responseFor(question, element);
+            const correct = Quiz.isCorrect(question, response);
+            if (correct) score++;
+
+            element.classList.add(correct ? 'is-correct' : 'is-wrong');
+            element.querySelectorAll('input, .quiz-move').forEach(control => { control.disabled = true; });
+            if (question.type === 'choice') {
+                element.querySelectorAll('.quiz-option')[question.answer].classList.add('is-answer');
+            }
+
+            this.renderFeedback(question, element.querySelector('.quiz-feedback'), correct, response);
+        });
+
+        this.checked = true;
+        const total = this.questions.length;
+        this.store.record(this.chapter.id, score, total);
+
+        this.container.querySelector('.quiz-check').hidden = true;
+        this.container.querySelector('.quiz-retry').hidden = false;
+        this.container.querySelector('.quiz-score').textContent = I18n.t('quiz.score', { score, total });
+        this.renderIntro();
+    }
+
+    renderFeedback(question, feedback, correct, response) {
+        feedback.innerHTML = '';
+
+        const verdict = document.createElement('strong');
+        verdict.textContent = I18n.t(correct ? 'quiz.correct' : (response === null ? 'quiz.unanswered' : 'quiz.wrong'));
+        feedback.appendChild(verdict);
+
+        if (question.type === 'order' && !correct) {
+            const answer = document.createElement('p');
+            const order = question.order.map(entry => entry.date ? `${entry.label} (${entry.date})` : entry.label).join(' → ');
+            answer.textContent = I18n.t('quiz.rightOrder', { order });
+            feedback.appendChild(answer);
+        }
+
+        if (question.explanation) {
+            const explanation = document.createElement('p');
+            explanation.textContent = question.explanation;
+            feedback.appendChild(this.markUntranslated(explanation));
+        }
+
+        feedback.hidden = false;
+    }
+}
+
+// Sidebar list of every chapter quiz with its latest score
+class QuizSummary {
+    constructor(store, chapters, labelFor, onOpen) {
+        this.store = store;
+        this.chapters = chapters.filter(chapter => chapter.blocks && chapter.quiz && chapter.quiz.length);
+        this.labelFor = labelFor;
+        this.onOpen = onOpen;
+        this.element = null;
+    }
+
+    mount(navContainer) {
+        if (!this.chapters.length) return;
+
+        const section = document.createElement('div');
+        section.className = 'nav-section quiz-section';
+        section.innerHTML = `
+            <h3>${I18n.t('quiz.results')} <span class="quiz-total"></span></h3>
+            <ul class="quiz-results"></ul>
+            <button type="button" class="quiz-reset"><i class="fas fa-rotate-left"></i> ${I18n.t('quiz.clearResults')}</button>
+        `;
+
+        section.querySelector('.quiz-reset').addEventListener('click', () => this.store.reset());
+
+        navContainer.appendChild(section);
+        this.element = section;
+        this.store.onChange(() => this.render());
+        this.render();
+    }
+
+    render() {
+        const list = this.element.querySelector('.quiz-results');
+        const taken = this.chapters.map(chapter => this.store.get(chapter.id)).filter(Boolean);
+
+        list.innerHTML = '';
+        this.element.querySelector('.quiz-total').textContent = `(${taken.length}/${this.chapters.length})`;
+        this.element.querySelector('.quiz-reset').hidden = !taken.length;
+
+        this.chapters.forEach(chapter => {
+            const result = this.store.get(chapter.id);
+
+            const entry = document.createElement('li');
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'quiz-result';
+            if (result) open.classList.add(result.score === result.total ? 'is-perfect' : 'is-taken');
+
+            const label = document.createElement('span');
+            label.className = 'quiz-result-chapter';
+            label.textContent = this.labelFor(chapter);
+
+            const score = document.createElement('span');
+            score.className = 'quiz-result-score';
+            score.textContent = result ? `${result.score}/${result.total}` : I18n.t('quiz.notTaken');
+
+            open.append(label, score);
+            open.addEventListener('click', () => this.onOpen(chapter.id));
+            entry.appendChild(open);
+            list.appendChild(entry);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Quiz, QuizStore, QuizView, QuizSummary, QUIZ_TYPES };
+}
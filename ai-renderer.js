@@ -0,0 +1,341 @@
+// AI Encyclopedia Chapter Renderer
+// Builds the sidebar table of contents and chapter sections from chapter data
+
+class ChapterRenderer {
+    constructor(chapters, sources = {}, glossary = []) {
+        this.chapters = chapters;
+        this.sources = sources;
+        this.glossary = glossary;
+        this.references = [];
+    }
+
+    mount(navContainer, contentContainer, activeId) {
+        if (navContainer) {
+            navContainer.innerHTML = this.renderNav(activeId);
+        }
+        if (contentContainer) {
+            contentContainer.innerHTML = this.renderSections(activeId);
+        }
+    }
+
+    // hrefFor lets pre-rendered pages link to each other's files instead of hashes
+    renderNav(activeId, hrefFor = chapter => `#${chapter.id}`) {
+        const links = this.chapters.map(chapter => `
+                    <li><a href="${this.escape(hrefFor(chapter))}" class="nav-link${chapter.id === activeId ? ' active' : ''}" data-chapter="${chapter.id}"${chapter.id === activeId ? ' aria-current="page"' : ''}>
+                        <i class="fas fa-${chapter.icon}"></i> ${this.escape(this.navLabel(chapter))}
+                    </a></li>`).join('');
+
+        return `
+            <div class="nav-section">
+                <h3>${this.escape(I18n.t('nav.heading'))}</h3>
+                <ul>${links}
+                </ul>
+            </div>`;
+    }
+
+    navLabel(chapter) {
+        return chapter.number ? I18n.t('chapter.label', { number: chapter.number, title: chapter.navTitle }) : chapter.navTitle;
+    }
+
+    // Document title for a chapter; the opening chapter keeps the encyclopedia's full title
+    pageTitle(chapter) {
+        return chapter.hero ? I18n.t('app.documentTitle') : I18n.t('app.pageTitle', { title: chapter.title });
+    }
+
+    renderSections(activeId) {
+        return this.chapters
+            .map(chapter => this.renderSection(chapter, chapter.id === activeId))
+            .join('');
+    }
+
+    renderSection(chapter, active = false) {
+        if (!chapter.blocks) {
+            return this.renderPlaceholder(chapter, active);
+        }
+
+        // Footnotes are numbered per chapter, in the order they first appear
+        this.references = [];
+        const blocks = chapter.blocks.map(block => this.renderBlock(block)).join('');
+        const body = this.isUntranslated(chapter, 'blocks')
+            ? `<div class="chapter-body"${this.fallbackAttributes(chapter, 'blocks')}>${blocks}</div>`
+            : blocks;
+
+        return `
+            <section id="${chapter.id}" class="content-section${active ? ' active' : ''}">
+                ${this.renderHeader(chapter)}
+                ${body}
+                ${this.renderQuiz(chapter)}
+                ${this.renderReferences()}
+            </section>`;
+    }
+
+    // Chapters listed in the table of contents that have no content yet
+    renderPlaceholder(chapter, active = false) {
+        return `
+            <section id="${chapter.id}" class="content-section chapter-placeholder${active ? ' active' : ''}" data-placeholder>
+                ${this.renderHeader(chapter)}
+                <div class="placeholder-card">
+                    <i class="fas fa-pen-nib"></i>
+                    <h2>${this.escape(I18n.t('chapter.placeholderHeading'))}</h2>
+                    <p>${this.escape(I18n.t('chapter.placeholderText', { title: chapter.title }))}</p>
+                </div>
+            </section>`;
+    }
+
+    renderHeader(chapter) {
+        if (chapter.hero) {
+            return `
+                <div class="section-header">
+                    <h1 tabindex="-1"${this.fallbackAttributes(chapter, 'title')}>${this.escape(chapter.title)}</h1>
+                    <p class="subtitle"${this.fallbackAttributes(chapter, 'subtitle')}>${this.escape(chapter.subtitle)}</p>
+                </div>`;
+        }
+
+        return `
+                <div class="chapter-header">
+                    <span class="chapter-number">${this.escape(this.numberLabel(chapter))}</span>
+                    <h1 tabindex="-1"${this.fallbackAttributes(chapter, 'title')}>${this.escape(chapter.title)}</h1>
+                    ${chapter.subtitle ? `<p class="chapter-subtitle"${this.fallbackAttributes(chapter, 'subtitle')}>${this.escape(chapter.subtitle)}</p>` : ''}
+                </div>`;
+    }
+
+    isUntranslated(chapter, field) {
+        return Boolean(chapter.untranslated && chapter.untranslated.includes(field));
+    }
+
+    // Text a translation left in English is marked as such, so screen readers and listen mode switch
+    // language and right-to-left pages keep it left to right
+    fallbackAttributes(chapter, field) {
+        return this.isUntranslated(chapter, field) ? ' lang="en" dir="ltr"' : '';
+    }
+
+    numberLabel(chapter) {
+        if (chapter.numberLabel) return chapter.numberLabel;
+        return chapter.number ? String(chapter.number).padStart(2, '0') : '';
+    }
+
+    renderBlock(block) {
+        switch (block.type) {
+            case 'group':
+                return `
+                <div class="${block.className}"${this.anchor(block)}>
+                    ${block.title ? `<h2>${this.escape(block.title)}</h2>` : ''}
+                    ${block.blocks.map(child => this.renderBlock(child)).join('')}
+                </div>`;
+            case 'paragraph':
+                return `<p${block.variant ? ` class="${block.variant}"` : ''}>${this.escape(block.text)}${this.footnotes(block)}</p>`;
+            case 'quote':
+                return `
+                    <div class="${block.variant || 'quote-box'}">
+                        <blockquote>
+                            "${this.escape(block.text)}"
+                            <cite>— ${this.escape(block.cite)}${this.footnotes(block)}</cite>
+                        </blockquote>
+                    </div>`;
+            case 'alert':
+                return `
+                <div class="danger-alert">
+                    <i class="fas fa-${block.icon}"></i>
+                    <p><strong>${this.escape(block.label)}</strong> ${this.escape(block.text)}${this.footnotes(block)}</p>
+                </div>`;
+            case 'timeline':
+                // Drawn by TimelineChart from every dated card once the page has loaded
+                return `
+                <div class="timeline-chart" data-timeline></div>`;
+            case 'prediction-explorer':
+                // Drawn by PredictionExplorer from every prediction card once the page has loaded
+                return `
+                <div class="prediction-explorer" data-prediction-explorer></div>`;
+            case 'glossary':
+                return this.renderGlossary();
+            case 'cards':
+                // data-cards keeps the glossary linker out of card markup
+                return `
+                <div class="${block.layout}" data-cards>
+                    ${block.items.map(item => this.renderCard(item)).join('')}
+                </div>`;
+            default:
+                console.warn(`Unknown block type "${block.type}"`);
+                return '';
+        }
+    }
+
+    renderCard(item) {
+        switch (item.type) {
+            case 'intro-card':
+                return `
+                    <div class="intro-card"${this.anchor(item)}>
+                        <i class="fas fa-${item.icon}"></i>
+                        <h3>${this.escape(item.title)}</h3>
+                        <p>${this.escape(item.text)}</p>
+                    </div>`;
+            case 'timeline-item':
+                return `
+                    <div class="timeline-item"${this.anchor(item)}>
+                        <div class="timeline-date">${this.escape(item.date)}</div>
+                        <div class="timeline-content">
+                            <h3>${this.escape(item.title)}</h3>
+                            <p>${this.escape(item.text)}</p>
+                        </div>
+                    </div>`;
+            case 'milestone-card':
+                return `
+                    <div class="milestone-card"${this.anchor(item)}>
+                        <div class="milestone-year">${this.escape(item.year)}</div>
+                        <h3>${this.escape(item.title)}</h3>
+                        <p>${this.escape(item.text)}</p>
+                    </div>`;
+            case 'metric':
+                return `
+                    <div class="state-metric"${this.anchor(item)}>
+                        <div class="metric-number">${this.escape(I18n.formatStat(item.value))}</div>
+                        <div class="metric-label">${this.escape(item.label)}${this.footnotes(item)}</div>
+                    </div>`;
+            case 'stat':
+                return `
+                    <div class="psych-stat"${this.anchor(item)}>
+                        <div class="stat-number">${this.escape(I18n.formatStat(item.value))}</div>
+                        <div class="stat-label">${this.escape(item.label)}${this.footnotes(item)}</div>
+                    </div>`;
+            case 'domain-card':
+                return `
+                    <div class="domain-card"${this.anchor(item)}>
+                        <i class="fas fa-${item.icon}"></i>
+                        <h3>${this.escape(item.title)}</h3>
+                        <p>${this.escape(item.text)}</p>
+                    </div>`;
+            case 'dark-card':
+                return `
+                    <div class="dark-card ${item.severity || ''}"${this.anchor(item)}>
+                        <div class="dark-icon">
+                            <i class="fas fa-${item.icon}"></i>
+                        </div>
+                        <h3>${this.escape(item.title)}</h3>
+                        <p>${this.escape(item.text)}</p>
+                        ${item.details ? `
+                        <div class="dark-details">
+                            <h4>${this.escape(item.details.heading)}</h4>
+                            <ul>
+                                ${item.details.items.map(detail => `<li>${this.escape(detail)}</li>`).join('')}
+                            </ul>
+                        </div>` : ''}
+                    </div>`;
+            case 'crisis-item':
+                return `
+                    <div class="crisis-item"${this.anchor(item)}>
+                        <h3>${this.escape(this.withEmoji(item))}</h3>
+                        <p>${this.escape(item.text)}</p>
+                    </div>`;
+            case 'aspect':
+                return `
+                    <div class="aspect"${this.anchor(item)}>
+                        <h3>${this.escape(this.withEmoji(item))}</h3>
+                        <p>${this.escape(item.text)}</p>
+                    </div>`;
+            case 'prediction-card':
+                return `
+                    <div class="prediction-card"${this.anchor(item)}>
+                        <div class="predictor">${this.escape(item.predictor)}</div>
+                        <div class="year">${this.escape(Forecast.estimateLabel(item.estimate))}</div>
+                        <div class="confidence">${this.escape(Forecast.confidenceLabel(item.confidence))}</div>
+                        <p>"${this.escape(item.quote)}"</p>
+                        <cite class="prediction-source">${this.escape(item.source.title)}, ${this.escape(item.madeIn)}${this.footnotes(item)}</cite>
+                    </div>`;
+            default:
+                console.warn(`Unknown card type "${item.type}"`);
+                return '';
+        }
+    }
+
+    // Filled in by QuizView once the page has loaded
+    renderQuiz(chapter) {
+        if (!chapter.quiz || !chapter.quiz.length) return '';
+
+        return `
+                <div class="chapter-quiz" data-quiz="${this.escape(chapter.id)}" data-anchor="test-yourself"></div>`;
+    }
+
+    // Every glossary entry in alphabetical order, each addressable as #glossary/<id>
+    renderGlossary() {
+        const byId = new Map(this.glossary.map(entry => [entry.id, entry]));
+        const entries = [...this.glossary].sort((a, b) => a.term.localeCompare(b.term));
+
+        return `
+                <dl class="glossary-list">
+                    ${entries.map(entry => {
+                        const related = (entry.related || []).filter(id => byId.has(id));
+                        return `
+                    <div class="glossary-entry"${this.anchor(entry)}>
+                        <dt>${this.escape(entry.term)}${entry.abbreviation ? ` <span class="glossary-abbreviation">(${this.escape(entry.abbreviation)})</span>` : ''}</dt>
+                        <dd>
+                            <p>${this.escape(entry.definition)}</p>
+                            ${related.length ? `<p class="glossary-related">${this.escape(I18n.t('glossary.seeAlso'))} ${related.map(id => `<a href="#glossary/${this.escape(id)}">${this.escape(byId.get(id).term)}</a>`).join(', ')}</p>` : ''}
+                        </dd>
+                    </div>`;
+                    }).join('')}
+                </dl>`;
+    }
+
+    // Superscript markers for the sources a block or card cites; a prediction's own source counts too
+    footnotes(item) {
+        const cited = (item.refs || []).map(id => ({ key: id, entry: this.sources[id] }));
+        if (item.type === 'prediction-card' && item.source) {
+            cited.push({ key: `${item.id}:source`, entry: item.source });
+        }
+
+        return cited.map(({ key, entry }) => {
+            let index = this.references.findIndex(reference => reference.key === key);
+            if (index === -1) {
+                this.references.push({ key, entry });
+                index = this.references.length - 1;
+            }
+            return `<sup class="footnote"><button type="button" class="footnote-ref" data-footnote="${index + 1}" aria-label="${this.escape(I18n.t('references.source', { number: index + 1 }))}">${index + 1}</button></sup>`;
+        }).join('');
+    }
+
+    renderReferences() {
+        if (!this.references.length) return '';
+
+        return `
+                <div class="chapter-references">
+                    <h2>${this.escape(I18n.t('references.heading'))}</h2>
+                    <ol>
+                        ${this.references.map((reference, i) => `<li data-footnote="${i + 1}">${this.renderSource(reference.entry)}</li>`).join('')}
+                    </ol>
+                </div>`;
+    }
+
+    renderSource(entry) {
+        if (!entry) return this.escape(I18n.t('references.unknown'));
+
+        const parts = [`<cite>${this.escape(entry.title)}</cite>`];
+        if (entry.publisher) parts.push(this.escape(entry.publisher));
+        if (entry.published) parts.push(this.escape(entry.published));
+        if (entry.url) parts.push(`<a href="${this.escape(entry.url)}" target="_blank" rel="noopener">${this.escape(entry.url)}</a>`);
+        if (entry.accessed) parts.push(this.escape(I18n.t('references.accessed', { date: entry.accessed })));
+
+        return `${parts.join('. ')}.`;
+    }
+
+    // Cards and titled groups can be addressed by search results and links
+    anchor(item) {
+        return item.id ? ` data-anchor="${this.escape(item.id)}"` : '';
+    }
+
+    withEmoji(item) {
+        return item.emoji ? `${item.emoji} ${item.title}` : item.title;
+    }
+
+    escape(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChapterRenderer };
+}
@@ -0,0 +1,108 @@
+// AI Encyclopedia Router
+// Keeps the URL hash, browser history and the visible chapter in sync.
+// Routes look like #chapter or #chapter/card, e.g. #evolution/alphago-2016, optionally led by a
+// locale: #es/evolution/alphago-2016. In-page links leave the locale out and stay in the current language.
+
+class HashRouter {
+    constructor(onRoute, { locales = [], locale = 'en' } = {}) {
+        this.onRoute = onRoute;
+        this.locales = locales;
+        this.locale = locale;
+        this.lastHash = null;
+        this.handleHistoryChange = this.handleHistoryChange.bind(this);
+    }
+
+    // A leading segment is only a locale when it names one of `locales`; chapter ids never do
+    static parse(hash, locales = []) {
+        const parts = hash.replace(/^#/, '').split('/').map(HashRouter.decode);
+        const locale = parts.length && locales.includes(parts[0]) ? parts.shift() : null;
+        const [chapter, anchor] = parts;
+        return { chapter: chapter || null, anchor: anchor || null, locale };
+    }
+
+    // Hand-edited hashes can hold a stray % (#100%); such a segment is kept as typed
+    static decode(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
+        }
+    }
+
+    // The default locale is left out so English links keep their original form
+    static format({ chapter, anchor, locale }, defaultLocale = 'en') {
+        const prefix = locale && locale !== defaultLocale ? `${encodeURIComponent(locale)}/` : '';
+        if (!chapter) return prefix ? `#${prefix.slice(0, -1)}` : '';
+        return `#${prefix}${encodeURIComponent(chapter)}${anchor ? `/${encodeURIComponent(anchor)}` : ''}`;
+    }
+
+    parse(hash) {
+        return HashRouter.parse(hash, this.locales);
+    }
+
+    // Links and history entries stay in the reader's language unless a route names another
+    format(route) {
+        return HashRouter.format({ ...route, locale: route.locale || this.locale });
+    }
+
+    start() {
+        // Back/forward fire popstate; edited or clicked hashes fire hashchange
+        window.addEventListener('popstate', this.handleHistoryChange);
+        window.addEventListener('hashchange', this.handleHistoryChange);
+
+        const route = this.canonicalize(this.parse(window.location.hash));
+        if (route.chapter) {
+            this.onRoute(route);
+        }
+    }
+
+    stop() {
+        window.removeEventListener('popstate', this.handleHistoryChange);
+        window.removeEventListener('hashchange', this.handleHistoryChange);
+    }
+
+    handleHistoryChange() {
+        if (window.location.hash === this.lastHash) return;
+
+        this.onRoute(this.canonicalize(this.parse(window.location.hash)));
+    }
+
+    // Spell out the current locale in a hash that left it out, so the address can be shared as is
+    canonicalize(route) {
+        if (!route.locale && route.chapter) {
+            this.write(route, true);
+        }
+        this.lastHash = window.location.hash;
+        return { ...route, locale: route.locale || this.locale };
+    }
+
+    navigate(route, { replace = false } = {}) {
+        this.write(route, replace);
+        this.onRoute(route);
+    }
+
+    // Record the visible chapter without adding a history entry
+    sync(route) {
+        const current = this.parse(window.location.hash);
+        if (current.chapter !== route.chapter || (current.locale || 'en') !== this.locale) {
+            this.write(route, true);
+        }
+    }
+
+    write(route, replace) {
+        const hash = this.format(route);
+
+        if (hash !== window.location.hash && history.pushState) {
+            history[replace ? 'replaceState' : 'pushState'](null, '', hash || window.location.pathname + window.location.search);
+        }
+        this.lastHash = window.location.hash;
+    }
+
+    linkTo(route) {
+        return window.location.href.split('#')[0] + this.format(route);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HashRouter };
+}
@@ -2,20 +2,256 @@
 // macOS-inspired interactions and smooth navigation
 
 class AIEncyclopedia {
-    constructor() {
-        this.currentSection = 'introduction';
-        this.isScrolling = false;
+    constructor(chapters) {
+        this.chapters = chapters;
+        // Pre-rendered chapter pages (scripts/build-pages.js) name the chapter they open on
+        const pageChapter = document.body.dataset.chapter;
+        this.landingChapter = chapters.some(chapter => chapter.id === pageChapter) ? pageChapter : chapters[0].id;
+        this.currentSection = this.landingChapter;
         this.init();
     }
 
     init() {
+        this.setupLocale();
+        this.setupSettings();
+        this.renderContent();
+        this.setupSkipLinks();
+        this.validateContent();
         this.setupEventListeners();
+        this.setupDrawer();
+        this.setupNotifications();
         this.setupNavigation();
         this.setupScrollEffects();
-        this.setupKeyboardNavigation();
         this.setupSearchFunctionality();
         this.setupAnimationObserver();
         this.setupTrafficLights();
+        this.setupCardLinks();
+        this.setupCitations();
+        this.setupGlossary();
+        this.setupTimeline();
+        this.setupPredictionExplorer();
+        this.setupQuizzes();
+        this.setupAnnotations();
+        this.setupExport();
+        this.setupNarration();
+        this.setupRouter();
+        this.setupReadingProgress();
+        this.setupOfflineSupport();
+        this.setupCommands();
+    }
+
+    getStorage() {
+        try {
+            return window.localStorage;
+        } catch (e) {
+            // Storage blocked (e.g. sandboxed frame); nothing will persist
+            return null;
+        }
+    }
+
+    // Pick the reader's language before anything is rendered; switching languages reloads the page
+    setupLocale() {
+        const hashLocale = HashRouter.parse(window.location.hash, Object.keys(AI_LOCALES)).locale;
+        const locale = I18n.detect(Object.keys(AI_LOCALES), {
+            hashLocale,
+            stored: I18n.savedLocale(this.getStorage()),
+            languages: navigator.languages || [navigator.language]
+        });
+
+        this.i18n = I18n.use(new I18n(AI_STRINGS, AI_LOCALES, locale));
+        this.chapters = I18n.localizeChapters(this.chapters, AI_TRANSLATIONS[locale], locale);
+
+        const root = document.documentElement;
+        root.lang = locale;
+        root.dir = this.i18n.dir();
+        this.i18n.translatePage(document);
+
+        this.languageSwitcher = new LanguageSwitcher(
+            document.querySelector('.language-select'),
+            this.i18n,
+            code => this.switchLocale(code)
+        );
+        this.languageSwitcher.mount();
+    }
+
+    switchLocale(code) {
+        if (code === this.i18n.locale || !AI_LOCALES[code]) return;
+
+        I18n.saveLocale(this.getStorage(), code);
+        const route = HashRouter.parse(window.location.hash, Object.keys(AI_LOCALES));
+        history.replaceState(null, '', HashRouter.format({ ...route, chapter: route.chapter || this.currentSection, locale: code })
+            || window.location.pathname + window.location.search);
+        window.location.reload();
+    }
+
+    setupSettings() {
+        this.settings = new SettingsStore(this.getStorage());
+        this.theme = new ThemeManager();
+        this.applySettings(this.settings.values);
+        this.settings.onChange(values => this.applySettings(values));
+
+        this.settingsPanel = new SettingsPanel(this.settings);
+        const settingsToggle = document.querySelector('.settings-toggle');
+        if (settingsToggle) {
+            settingsToggle.addEventListener('click', () => {
+                this.settingsPanel.toggle(settingsToggle);
+            });
+        }
+
+        // Appearance toggle cycles light → dark → auto
+        const themeToggle = document.querySelector('.theme-toggle');
+        if (themeToggle) {
+            const updateToggle = () => {
+                const { icon } = THEME_LABELS[this.theme.mode];
+                const label = I18n.t('menu.appearance', { mode: I18n.t(`theme.${this.theme.mode}`) });
+                themeToggle.querySelector('i').className = `fas fa-${icon}`;
+                themeToggle.title = label;
+                themeToggle.setAttribute('aria-label', label);
+            };
+            this.theme.onChange(updateToggle);
+            updateToggle();
+
+            themeToggle.addEventListener('click', () => {
+                this.settings.set('theme', this.theme.nextMode());
+            });
+        }
+    }
+
+    applySettings(values) {
+        const root = document.documentElement;
+        this.theme.setMode(values.theme);
+        root.dataset.animation = this.animationLevel(values.animation);
+        root.dataset.lineWidth = values.lineWidth;
+        root.style.setProperty('--font-scale', values.fontSize / 16);
+        root.style.scrollBehavior = this.scrollBehavior();
+    }
+
+    // The reader's animation setting, toned down to "reduced" when the system asks for less motion
+    animationLevel(setting = this.settings.get('animation')) {
+        if (!this.reducedMotion) {
+            this.reducedMotion = window.matchMedia
+                ? window.matchMedia('(prefers-reduced-motion: reduce)')
+                : { matches: false };
+            if (this.reducedMotion.addEventListener) {
+                this.reducedMotion.addEventListener('change', () => this.applySettings(this.settings.values));
+            }
+        }
+
+        return setting === 'full' && this.reducedMotion.matches ? 'reduced' : setting;
+    }
+
+    scrollBehavior() {
+        return this.animationLevel() === 'full' ? 'smooth' : 'auto';
+    }
+
+    renderContent() {
+        this.renderer = new ChapterRenderer(this.chapters, AI_SOURCES, AI_GLOSSARY);
+        this.renderer.mount(
+            document.querySelector('.sidebar-nav'),
+            document.querySelector('.content-wrapper'),
+            this.currentSection
+        );
+    }
+
+    validateContent() {
+        const validator = new ContentValidator(this.chapters, { sources: AI_SOURCES, glossary: AI_GLOSSARY });
+        const issues = validator.validate(ContentValidator.collectFromDocument(document));
+        ContentValidator.log(issues);
+        return issues;
+    }
+
+    setupRouter() {
+        this.router = new HashRouter(this.applyRoute.bind(this), {
+            locales: Object.keys(AI_LOCALES),
+            locale: this.i18n.locale
+        });
+        this.router.start();
+    }
+
+    // Navigate and record the move in browser history
+    goTo(chapterId, anchor = null) {
+        this.router.navigate({ chapter: chapterId, anchor });
+    }
+
+    // Bring the visible section, the active nav link and any card in line with a route
+    applyRoute({ chapter, anchor, locale }) {
+        // A link naming another language reloads the page in that language
+        if (locale && locale !== this.i18n.locale) {
+            this.switchLocale(locale);
+            return;
+        }
+
+        const chapterId = chapter || this.landingChapter;
+
+        if (!this.getChapterIds().includes(chapterId)) {
+            console.warn(`[router] Unknown chapter "${chapterId}"`);
+            return;
+        }
+
+        if (anchor) {
+            this.revealAnchor(chapterId, anchor);
+        } else {
+            this.revealElement(chapterId, null);
+        }
+    }
+
+    getChapterIds() {
+        return this.chapters.map(chapter => chapter.id);
+    }
+
+    setupReadingProgress() {
+        this.progress = new ProgressStore(this.getStorage());
+        this.progressView = new ProgressView(this.progress, this.chapters, last => this.resumeReading(last));
+        this.progressView.mount(
+            document.querySelector('.sidebar-nav'),
+            document.querySelector('.sidebar-header')
+        );
+
+        // Offer to pick up where the last visit stopped, unless a link asked for a specific card
+        const last = this.progress.values.last;
+        const route = this.router.parse(window.location.hash);
+        const landing = route.chapter || this.landingChapter;
+        const chapter = last && this.chapters.find(item => item.id === last.chapter);
+
+        if (chapter && !route.anchor && (chapter.id !== landing || last.fraction > 0.1)) {
+            this.progressView.offerResume(this.renderer.navLabel(chapter), last);
+        }
+
+        window.addEventListener('scroll', this.throttle(() => this.trackReadingProgress(), 250));
+    }
+
+    setupOfflineSupport() {
+        this.offline = new OfflineSupport(
+            document.querySelector('.offline-status'),
+            (message, type, options) => this.showNotification(message, type, options)
+        );
+        this.offline.register();
+    }
+
+    // Share of the visible chapter that has scrolled into view
+    trackReadingProgress() {
+        const section = document.getElementById(this.currentSection);
+        if (!this.progress || !section || section.hasAttribute('data-placeholder')) return;
+
+        const rect = section.getBoundingClientRect();
+        if (!rect.height) return;
+
+        this.progress.record(this.currentSection, (window.innerHeight - rect.top) / rect.height);
+        this.progressView.update();
+    }
+
+    resumeReading({ chapter, fraction }) {
+        this.goTo(chapter);
+
+        // Scroll once the section transition has finished
+        setTimeout(() => {
+            const section = document.getElementById(chapter);
+            if (!section) return;
+
+            const rect = section.getBoundingClientRect();
+            const top = window.pageYOffset + rect.top + fraction * rect.height - window.innerHeight;
+            window.scrollTo({ top: Math.max(0, top), behavior: this.scrollBehavior() });
+        }, 200);
     }
 
     setupEventListeners() {
@@ -23,23 +259,40 @@ class AIEncyclopedia {
         document.querySelectorAll('.nav-link').forEach(link => {
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                const chapter = link.getAttribute('data-chapter');
-                this.navigateToChapter(chapter);
-                this.updateActiveNav(link);
+                this.goTo(link.getAttribute('data-chapter'));
             });
         });
 
-        // Window resize handler
-        window.addEventListener('resize', this.handleResize.bind(this));
-        
-        // Scroll handler with throttling
-        window.addEventListener('scroll', this.throttle(this.handleScroll.bind(this), 16));
+        // Deepen the menu bar shadow once the page scrolls under it
+        const menuBar = document.querySelector('.menu-bar');
+        const updateMenuBar = () => menuBar.classList.toggle('is-scrolled', window.scrollY > 0);
+        window.addEventListener('scroll', updateMenuBar, { passive: true });
+        updateMenuBar();
+    }
+
+    // Below the tablet breakpoint the table of contents lives in a drawer, and chapters can be swiped
+    setupDrawer() {
+        this.drawer = new NavigationDrawer(
+            document.querySelector('.sidebar'),
+            document.querySelector('.drawer-toggle')
+        );
+        this.drawer.mount();
+
+        this.swipeNavigator = new SwipeNavigator(
+            document.querySelector('.main-content'),
+            direction => {
+                if (this.drawer.isOpen()) return;
+                // Swiping towards the start of the line turns the page forward, in either script direction
+                const forward = (direction === 'left') === (document.documentElement.dir !== 'rtl');
+                this.navigateWithArrowKeys(forward ? 'ArrowRight' : 'ArrowLeft');
+            },
+            // The timeline pans on a sideways drag of its own
+            { ignore: target => CommandRegistry.ownsArrowKeys(target) || Boolean(target.closest('[data-timeline], .annotation-toolbar, .annotation-editor')) }
+        );
+        this.swipeNavigator.mount();
     }
 
     setupNavigation() {
-        // Smooth scroll behavior
-        document.documentElement.style.scrollBehavior = 'smooth';
-        
         // Initial section setup
         this.showSection(this.currentSection);
     }
@@ -50,10 +303,13 @@ class AIEncyclopedia {
         const currentEl = document.getElementById(this.currentSection);
         const nextEl = document.getElementById(chapter);
         
-        if (!nextEl) return;
+        if (!nextEl) {
+            console.warn(`[content] No section found for chapter "${chapter}"`);
+            return;
+        }
         
         // Add transition effect
-        if (currentEl) {
+        if (currentEl && this.animationLevel() !== 'off') {
             currentEl.style.animation = 'fadeOut 0.3s ease-out';
             setTimeout(() => {
                 currentEl.classList.remove('active');
@@ -64,17 +320,49 @@ class AIEncyclopedia {
         setTimeout(() => {
             this.showSection(chapter);
             this.currentSection = chapter;
+            this.focusChapter(nextEl);
+
+            // Listen mode carries on in the new chapter
+            if (this.narrator && this.narrator.state === 'playing') {
+                this.narrator.start(nextEl);
+            } else if (this.narrator) {
+                this.narrator.stop();
+            }
             
             // Add page transition sound effect (if audio is enabled)
             this.playTransitionSound();
             
-            // Update URL hash without scrolling
-            if (history.pushState) {
-                history.pushState(null, null, `#${chapter}`);
+            // Keep the URL on the visible chapter
+            if (this.router) {
+                this.router.sync({ chapter });
             }
+
+            // Short chapters may be read in full without scrolling
+            this.trackReadingProgress();
         }, 150);
     }
 
+    // Move keyboard and screen reader focus to the new chapter's heading and say where we are
+    focusChapter(section) {
+        const heading = section.querySelector('h1');
+        if (heading) heading.focus({ preventScroll: true });
+
+        const chapter = this.chapters.find(item => item.id === section.id);
+        if (chapter) this.announce(this.renderer.navLabel(chapter));
+    }
+
+    // Read a message out through the page's live regions; urgent ones interrupt
+    announce(message, { assertive = false } = {}) {
+        const region = document.querySelector(`.live-region[aria-live="${assertive ? 'assertive' : 'polite'}"]`);
+        if (!region) return;
+
+        // Clear first so repeating the same message is still announced
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
     showSection(sectionId) {
         // Hide all sections
         document.querySelectorAll('.content-section').forEach(section => {
@@ -85,12 +373,16 @@ class AIEncyclopedia {
         const targetSection = document.getElementById(sectionId);
         if (targetSection) {
             targetSection.classList.add('active');
+
+            const chapter = this.chapters.find(item => item.id === sectionId);
+            if (chapter) document.title = this.renderer.pageTitle(chapter);
             
             // Scroll to top of main content
             const mainContent = document.querySelector('.main-content');
             if (mainContent) {
                 mainContent.scrollTop = 0;
             }
+            window.scrollTo(0, 0);
             
             // Trigger animations
             this.animateSection(targetSection);
@@ -101,12 +393,15 @@ class AIEncyclopedia {
         // Remove active class from all nav links
         document.querySelectorAll('.nav-link').forEach(link => {
             link.classList.remove('active');
+            link.removeAttribute('aria-current');
         });
         
         // Add active class to clicked link
         activeLink.classList.add('active');
+        activeLink.setAttribute('aria-current', 'page');
         
         // Add subtle feedback animation
+        if (this.animationLevel() !== 'full') return;
         activeLink.style.transform = 'scale(0.98)';
         setTimeout(() => {
             activeLink.style.transform = '';
@@ -119,6 +414,11 @@ class AIEncyclopedia {
         let lastScrollTop = 0;
         
         window.addEventListener('scroll', () => {
+            if (this.animationLevel() !== 'full') {
+                body.style.backgroundPosition = '';
+                return;
+            }
+
             const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
             const scrollDirection = scrollTop > lastScrollTop ? 'down' : 'up';
             
@@ -130,41 +430,80 @@ class AIEncyclopedia {
         });
     }
 
-    setupKeyboardNavigation() {
-        document.addEventListener('keydown', (e) => {
-            // CMD/Ctrl + Number keys for quick navigation
-            if ((e.metaKey || e.ctrlKey) && e.key >= '1' && e.key <= '9') {
-                e.preventDefault();
-                const chapters = ['introduction', 'genesis', 'evolution', 'current-state', 
-                               'human-transformation', 'dark-side', 'psychological-impact', 
-                               'future-scenarios', 'singularity', 'conclusion'];
-                const index = parseInt(e.key) - 1;
-                if (chapters[index]) {
-                    this.navigateToChapter(chapters[index]);
-                    const navLink = document.querySelector(`[data-chapter="${chapters[index]}"]`);
-                    if (navLink) this.updateActiveNav(navLink);
+    // Every keyboard shortcut and palette entry goes through the command registry
+    setupCommands() {
+        this.commands = new CommandRegistry(this.getStorage());
+        this.commandPalette = new CommandPalette(this.commands);
+        this.shortcutOverlay = new ShortcutOverlay(this.commands);
+
+        const commands = [
+            { id: 'palette', group: I18n.t('commandGroup.general'), title: I18n.t('command.palette'), keys: ['Mod+K'], global: true, run: () => this.commandPalette.toggle() },
+            { id: 'shortcuts', group: I18n.t('commandGroup.general'), title: I18n.t('command.shortcuts'), keys: ['?'], run: () => this.shortcutOverlay.open() },
+            { id: 'search', group: I18n.t('commandGroup.general'), title: I18n.t('command.search'), keys: ['/'], run: () => this.showSearchDialog() },
+            {
+                id: 'highlight', group: I18n.t('commandGroup.general'), title: I18n.t('command.highlight'), run: () => {
+                    this.findBar.open('');
+                    this.findBar.input.focus();
                 }
-            }
-            
-            // Arrow key navigation
-            if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
-                e.preventDefault();
-                this.navigateWithArrowKeys(e.key);
-            }
-            
-            // Escape key to return to introduction
-            if (e.key === 'Escape') {
-                this.navigateToChapter('introduction');
-                const introLink = document.querySelector('[data-chapter="introduction"]');
-                if (introLink) this.updateActiveNav(introLink);
-            }
-        });
+            },
+            { id: 'previous-chapter', group: I18n.t('commandGroup.navigation'), title: I18n.t('command.previousChapter'), keys: ['ArrowLeft'], run: () => this.navigateWithArrowKeys('ArrowLeft') },
+            { id: 'next-chapter', group: I18n.t('commandGroup.navigation'), title: I18n.t('command.nextChapter'), keys: ['ArrowRight'], run: () => this.navigateWithArrowKeys('ArrowRight') },
+            { id: 'home', group: I18n.t('commandGroup.navigation'), title: I18n.t('command.home'), keys: ['Escape'], run: () => this.goTo(this.chapters[0].id) },
+            ...this.chapters.map((chapter, i) => ({
+                id: `chapter:${chapter.id}`,
+                group: I18n.t('commandGroup.chapters'),
+                title: I18n.t('command.goTo', { chapter: this.renderer.navLabel(chapter) }),
+                keys: i < 9 ? [`Mod+${i + 1}`] : [],
+                run: () => this.goTo(chapter.id)
+            })),
+            { id: 'listen', group: I18n.t('commandGroup.reading'), title: I18n.t('command.listen'), run: () => this.narrator.toggle(document.getElementById(this.currentSection)) },
+            { id: 'skip-paragraph', group: I18n.t('commandGroup.reading'), title: I18n.t('command.skipParagraph'), run: () => this.narrator.skip() },
+            { id: 'stop-listening', group: I18n.t('commandGroup.reading'), title: I18n.t('command.stopListening'), run: () => this.narrator.stop() },
+            { id: 'copy-link', group: I18n.t('commandGroup.reading'), title: I18n.t('command.copyLink'), run: () => this.copyCardLink(this.currentSection, null) },
+            { id: 'export-notes', group: I18n.t('commandGroup.reading'), title: I18n.t('command.exportNotes'), run: () => this.notesPanel.exportFile() },
+            { id: 'export-chapter-markdown', group: I18n.t('commandGroup.export'), title: I18n.t('command.exportChapterMarkdown'), run: () => this.exportAs('chapter-markdown') },
+            { id: 'export-markdown', group: I18n.t('commandGroup.export'), title: I18n.t('command.exportMarkdown'), run: () => this.exportAs('markdown') },
+            { id: 'export-epub', group: I18n.t('commandGroup.export'), title: I18n.t('command.exportEpub'), run: () => this.exportAs('epub') },
+            { id: 'print-chapter', group: I18n.t('commandGroup.export'), title: I18n.t('command.printChapter'), run: () => this.exportAs('print-chapter') },
+            { id: 'print-all', group: I18n.t('commandGroup.export'), title: I18n.t('command.printAll'), run: () => this.exportAs('print-all') },
+            { id: 'theme', group: I18n.t('commandGroup.view'), title: I18n.t('command.theme'), run: () => this.settings.set('theme', this.theme.nextMode()) },
+            { id: 'settings', group: I18n.t('commandGroup.view'), title: I18n.t('command.settings'), run: () => this.settingsPanel.toggle(document.querySelector('.settings-toggle')) },
+            { id: 'notifications', group: I18n.t('commandGroup.view'), title: I18n.t('command.notifications'), run: () => this.notifications.togglePanel() },
+            { id: 'fullscreen', group: I18n.t('commandGroup.view'), title: I18n.t('command.fullscreen'), run: () => this.toggleFullscreen() },
+            ...Object.keys(AI_LOCALES).filter(code => code !== this.i18n.locale).map(code => ({
+                id: `language:${code}`,
+                group: I18n.t('commandGroup.view'),
+                title: I18n.t('command.language', { language: this.i18n.name(code) }),
+                run: () => this.switchLocale(code)
+            })),
+            { id: 'easter-egg', title: I18n.t('command.easterEgg'), keys: ['ArrowUp ArrowUp ArrowDown ArrowDown ArrowLeft ArrowRight ArrowLeft ArrowRight B A'], hidden: true, run: () => this.activateEasterEgg() }
+        ];
+
+        commands.forEach(command => this.commands.register(command));
+        this.commands.start();
+
+        const commandIcon = document.querySelector('.command-toggle');
+        if (commandIcon) {
+            commandIcon.addEventListener('click', () => this.commandPalette.open());
+        }
+    }
+
+    activateEasterEgg() {
+        this.showNotification(I18n.t('notify.easterEgg'), 'info');
+        if (this.animationLevel() === 'off') return;
+        document.body.style.filter = 'hue-rotate(45deg)';
+        setTimeout(() => {
+            document.body.style.filter = '';
+        }, 3000);
     }
 
     navigateWithArrowKeys(key) {
-        const chapters = ['introduction', 'genesis', 'evolution', 'current-state', 
-                         'human-transformation', 'dark-side', 'psychological-impact', 
-                         'future-scenarios', 'singularity', 'conclusion'];
+        this.goTo(this.adjacentChapter(key));
+    }
+
+    // The chapter before or after the current one; wraps around unless told not to
+    adjacentChapter(key, { wrap = true } = {}) {
+        const chapters = this.getChapterIds();
         const currentIndex = chapters.indexOf(this.currentSection);
         
         let nextIndex;
@@ -173,102 +512,101 @@ class AIEncyclopedia {
         } else {
             nextIndex = currentIndex < chapters.length - 1 ? currentIndex + 1 : 0;
         }
-        
-        this.navigateToChapter(chapters[nextIndex]);
-        const navLink = document.querySelector(`[data-chapter="${chapters[nextIndex]}"]`);
-        if (navLink) this.updateActiveNav(navLink);
+
+        if (!wrap && Math.abs(nextIndex - currentIndex) !== 1) return null;
+        return chapters[nextIndex];
     }
 
     setupSearchFunctionality() {
-        const searchIcon = document.querySelector('.fa-search');
-        if (searchIcon) {
-            searchIcon.addEventListener('click', () => {
+        this.searchIndex = new SearchIndex();
+        const labelFor = chapter => this.renderer.navLabel(chapter);
+        this.searchIndex.addChapters(this.chapters, labelFor);
+        this.searchIndex.addGlossary(AI_GLOSSARY, this.chapters.find(chapter => chapter.id === 'glossary'), labelFor);
+        this.searchPanel = new SearchPanel(this.searchIndex, (result, query) => this.openSearchResult(result, query));
+
+        this.highlighter = new TextHighlighter(document.querySelector('.content-wrapper'));
+        this.findBar = new FindBar(this.highlighter, (mark) => {
+            const section = mark.closest('.content-section');
+            if (section) this.revealElement(section.id, mark);
+        });
+
+        const searchToggle = document.querySelector('.search-toggle');
+        if (searchToggle) {
+            searchToggle.addEventListener('click', () => {
                 this.showSearchDialog();
             });
         }
-        
-        // CMD/Ctrl + F for search
-        document.addEventListener('keydown', (e) => {
-            if ((e.metaKey || e.ctrlKey) && e.key === 'f') {
-                e.preventDefault();
-                this.showSearchDialog();
-            }
-        });
     }
 
-    showSearchDialog() {
-        const searchTerm = prompt('Search the AI Encyclopedia:', '');
-        if (searchTerm && searchTerm.trim()) {
-            this.performSearch(searchTerm.trim().toLowerCase());
-        }
+    showSearchDialog(query = '') {
+        this.searchPanel.open(query);
     }
 
     performSearch(term) {
-        const sections = document.querySelectorAll('.content-section');
-        let found = false;
-        
-        sections.forEach(section => {
-            const content = section.textContent.toLowerCase();
-            if (content.includes(term)) {
-                const sectionId = section.id;
-                this.navigateToChapter(sectionId);
-                const navLink = document.querySelector(`[data-chapter="${sectionId}"]`);
-                if (navLink) this.updateActiveNav(navLink);
-                found = true;
-                
-                // Highlight search term (basic implementation)
-                setTimeout(() => {
-                    this.highlightText(section, term);
-                }, 500);
-                
-                return; // Stop at first match
-            }
+        return this.searchIndex.search(term);
+    }
+
+    openSearchResult(result, query) {
+        const target = this.findAnchor(result.chapterId, result.anchor);
+        this.goTo(result.chapterId, result.anchor);
+
+        // Start counting matches from the chosen card, which is already being scrolled to
+        this.findBar.open(query, {
+            within: target || document.getElementById(result.chapterId),
+            reveal: false
         });
-        
-        if (!found) {
-            this.showNotification('No results found for "' + term + '"', 'warning');
-        }
     }
 
-    highlightText(container, term) {
-        // Simple text highlighting
-        const walker = document.createTreeWalker(
-            container,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-        
-        const textNodes = [];
-        let node;
-        
-        while (node = walker.nextNode()) {
-            textNodes.push(node);
+    // Highlight every occurrence of a term across all chapters
+    highlightText(term) {
+        this.findBar.open(term, { within: document.getElementById(this.currentSection) });
+    }
+
+    clearHighlights() {
+        this.findBar.close();
+    }
+
+    findAnchor(chapterId, anchor) {
+        const section = document.getElementById(chapterId);
+        if (!section || !anchor) return null;
+
+        return Array.from(section.querySelectorAll('[data-anchor]'))
+            .find(element => element.getAttribute('data-anchor') === anchor) || null;
+    }
+
+    // Open a chapter and bring one of its cards into view
+    revealAnchor(chapterId, anchor) {
+        const target = this.findAnchor(chapterId, anchor);
+
+        this.revealElement(chapterId, target, () => this.flashTarget(target));
+
+        return target;
+    }
+
+    flashTarget(target) {
+        target.classList.remove('anchor-target');
+        void target.offsetWidth;
+        target.classList.add('anchor-target');
+        setTimeout(() => {
+            target.classList.remove('anchor-target');
+        }, 2000);
+    }
+
+    revealElement(chapterId, target, onRevealed) {
+        const alreadyOpen = this.currentSection === chapterId;
+
+        if (!alreadyOpen) {
+            this.navigateToChapter(chapterId);
+            const navLink = document.querySelector(`[data-chapter="${chapterId}"]`);
+            if (navLink) this.updateActiveNav(navLink);
         }
-        
-        textNodes.forEach(textNode => {
-            const content = textNode.textContent.toLowerCase();
-            if (content.includes(term)) {
-                const highlightedContent = textNode.textContent.replace(
-                    new RegExp(term, 'gi'), 
-                    `<mark style="background: #FFE066; padding: 2px 4px; border-radius: 3px;">$&</mark>`
-                );
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = highlightedContent;
-                
-                while (tempDiv.firstChild) {
-                    textNode.parentNode.insertBefore(tempDiv.firstChild, textNode);
-                }
-                textNode.parentNode.removeChild(textNode);
-            }
-        });
-        
-        // Remove highlights after 5 seconds
+        if (!target) return;
+
+        // Wait for the section transition before scrolling
         setTimeout(() => {
-            container.querySelectorAll('mark').forEach(mark => {
-                mark.outerHTML = mark.innerHTML;
-            });
-        }, 5000);
+            target.scrollIntoView({ behavior: this.scrollBehavior(), block: 'center' });
+            if (onRevealed) onRevealed(target);
+        }, alreadyOpen ? 0 : 200);
     }
 
     setupAnimationObserver() {
@@ -290,10 +628,24 @@ class AIEncyclopedia {
     }
 
     animateSection(section) {
+        const animation = this.animationLevel();
+        if (animation === 'off') return;
+
         const animatableElements = section.querySelectorAll(
             '.intro-card, .timeline-item, .milestone-card, .domain-card, .dark-card, .crisis-item, .prediction-card'
         );
         
+        if (animation === 'reduced') {
+            animatableElements.forEach(el => {
+                el.style.opacity = '0';
+                setTimeout(() => {
+                    el.style.transition = 'opacity 0.2s ease';
+                    el.style.opacity = '1';
+                }, 0);
+            });
+            return;
+        }
+
         animatableElements.forEach((el, index) => {
             el.style.opacity = '0';
             el.style.transform = 'translateY(30px)';
@@ -306,6 +658,36 @@ class AIEncyclopedia {
         });
     }
 
+    // Skip links move focus without changing the route
+    setupSkipLinks() {
+        document.querySelectorAll('.skip-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+
+                if (link.dataset.skip === 'contents') {
+                    if (this.drawer && this.drawer.isCompact()) {
+                        this.drawer.open();
+                        return;
+                    }
+                    const current = document.querySelector('.nav-link.active') || document.querySelector('.nav-link');
+                    if (current) current.focus();
+                    return;
+                }
+
+                const heading = document.querySelector(`#${this.currentSection} h1`);
+                if (heading) {
+                    heading.focus({ preventScroll: true });
+                    heading.scrollIntoView({ block: 'start' });
+                }
+            });
+        });
+    }
+
+    setupNotifications() {
+        this.notifications = new NotificationCenter((message, options) => this.announce(message, options));
+        this.notifications.mount(document.querySelector('.notification-toggle'));
+    }
+
     setupTrafficLights() {
         const redLight = document.querySelector('.traffic-light.red');
         const yellowLight = document.querySelector('.traffic-light.yellow');
@@ -330,10 +712,219 @@ class AIEncyclopedia {
         }
     }
 
+    // "Copy link" buttons on every card that can be linked to directly
+    setupCardLinks() {
+        document.querySelectorAll('.content-section [data-anchor]').forEach(card => {
+            // Groups that contain linkable cards are reached through those cards
+            if (card.querySelector('[data-anchor]')) return;
+
+            const section = card.closest('.content-section');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'card-link';
+            button.title = I18n.t('card.copyLink');
+            button.setAttribute('aria-label', button.title);
+            button.innerHTML = '<i class="fas fa-link"></i>';
+
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.copyCardLink(section.id, card.getAttribute('data-anchor'));
+            });
+
+            card.appendChild(button);
+        });
+    }
+
+    setupCitations() {
+        this.citations = new CitationPopover(document.querySelector('.content-wrapper'), entry => {
+            entry.scrollIntoView({ behavior: this.scrollBehavior(), block: 'center' });
+            this.flashTarget(entry);
+        });
+        this.citations.mount();
+    }
+
+    setupGlossary() {
+        const content = document.querySelector('.content-wrapper');
+
+        this.glossaryLinker = new GlossaryLinker(AI_GLOSSARY);
+        this.glossaryLinker.linkAll(content);
+
+        this.glossaryPopover = new GlossaryPopover(content, AI_GLOSSARY, entry => this.goTo('glossary', entry.id));
+        this.glossaryPopover.mount();
+    }
+
+    setupTimeline() {
+        const events = TimelineData.collect(this.chapters);
+
+        document.querySelectorAll('[data-timeline]').forEach(container => {
+            const chart = new TimelineChart(container, events, event => this.goTo(event.chapterId, event.id));
+            chart.mount();
+        });
+    }
+
+    setupPredictionExplorer() {
+        this.forecasts = ForecastSet.fromChapters(this.chapters);
+
+        document.querySelectorAll('[data-prediction-explorer]').forEach(container => {
+            const explorer = new PredictionExplorer(container, this.forecasts, prediction => this.goTo(prediction.chapterId, prediction.id));
+            explorer.mount();
+        });
+    }
+
+    setupQuizzes() {
+        this.quizzes = new QuizStore(this.getStorage());
+
+        document.querySelectorAll('[data-quiz]').forEach(container => {
+            const chapter = this.chapters.find(item => item.id === container.dataset.quiz);
+            if (chapter) new QuizView(container, chapter, this.quizzes).mount();
+        });
+
+        this.quizSummary = new QuizSummary(
+            this.quizzes,
+            this.chapters,
+            chapter => this.renderer.navLabel(chapter),
+            chapterId => this.goTo(chapterId, 'test-yourself')
+        );
+        this.quizSummary.mount(document.querySelector('.sidebar-nav'));
+    }
+
+    setupAnnotations() {
+        this.annotations = new AnnotationStore(this.getStorage());
+        this.annotationLayer = new AnnotationLayer(this.annotations, document.querySelector('.content-wrapper'));
+        this.annotationLayer.mount();
+
+        this.notesPanel = new NotesPanel(
+            this.annotations,
+            chapterId => {
+                const chapter = this.chapters.find(item => item.id === chapterId);
+                return chapter ? this.renderer.navLabel(chapter) : chapterId;
+            },
+            annotation => this.openAnnotation(annotation),
+            (message, type, options) => this.showNotification(message, type, options)
+        );
+        this.notesPanel.mount(document.querySelector('.sidebar-nav'));
+    }
+
+    setupExport() {
+        const labelFor = chapter => this.renderer.navLabel(chapter);
+
+        this.markdownExporter = new MarkdownExporter(this.chapters, AI_SOURCES, AI_GLOSSARY);
+        this.printMode = new PrintMode(this.chapters, labelFor);
+        this.printMode.mount(document.querySelector('.content-wrapper'));
+
+        this.exportPanel = new ExportPanel(format => this.exportAs(format));
+        const exportToggle = document.querySelector('.export-toggle');
+        if (exportToggle) {
+            exportToggle.addEventListener('click', () => this.exportPanel.toggle(exportToggle));
+        }
+    }
+
+    exportAs(format) {
+        const chapter = this.chapters.find(item => item.id === this.currentSection);
+
+        switch (format) {
+            case 'chapter-markdown':
+                downloadFile(`ai-encyclopedia-${chapter.id}.md`, this.markdownExporter.chapter(chapter), 'text/markdown');
+                break;
+            case 'markdown':
+                downloadFile('ai-encyclopedia.md', this.markdownExporter.encyclopedia(), 'text/markdown');
+                break;
+            case 'epub': {
+                const epub = new EpubBuilder(this.chapters, this.renderer, {
+                    title: I18n.t('app.title'),
+                    language: this.i18n.locale,
+                    identifier: window.location.href.split('#')[0]
+                });
+                downloadFile('ai-encyclopedia.epub', new Blob([epub.build()], { type: 'application/epub+zip' }));
+                break;
+            }
+            case 'print-chapter':
+                this.printMode.print('chapter');
+                break;
+            case 'print-all':
+                this.printMode.print('all');
+                break;
+            default:
+                console.warn(`[export] Unknown format "${format}"`);
+        }
+    }
+
+    // Listen mode reads the open chapter aloud and moves on in the same order as the arrow keys
+    setupNarration(backend = new SpeechSynthesisBackend()) {
+        this.narrationPreferences = new NarrationPreferences(this.getStorage());
+        this.narrator = new Narrator(backend, this.narrationPreferences, {
+            onSentence: mark => mark.scrollIntoView({ behavior: this.scrollBehavior(), block: 'nearest' }),
+            onChapterEnd: () => {
+                const next = this.adjacentChapter('ArrowRight', { wrap: false });
+                if (next) {
+                    this.goTo(next);
+                } else {
+                    this.narrator.stop();
+                    this.announce(I18n.t('narration.finished'));
+                }
+            }
+        });
+
+        this.narrationControls = new NarrationControls(
+            document.querySelector('.narration-controls'),
+            this.narrator,
+            this.narrationPreferences,
+            backend,
+            () => document.getElementById(this.currentSection)
+        );
+        this.narrationControls.mount();
+    }
+
+    // Jump from "My Notes" back to the highlighted text or bookmarked card
+    openAnnotation(annotation) {
+        const mark = this.annotationLayer.marksFor(annotation.id)[0];
+
+        if (mark) {
+            this.revealElement(annotation.chapter, mark, () => this.flashTarget(mark));
+        } else if (annotation.anchor) {
+            this.goTo(annotation.chapter, annotation.anchor);
+        } else {
+            this.goTo(annotation.chapter);
+        }
+    }
+
+    copyCardLink(chapterId, anchor) {
+        const url = this.router.linkTo({ chapter: chapterId, anchor });
+
+        const copied = navigator.clipboard && navigator.clipboard.writeText
+            ? navigator.clipboard.writeText(url)
+            : Promise.reject(new Error('Clipboard API unavailable'));
+
+        copied
+            .catch(() => {
+                // Fallback for browsers without async clipboard access
+                const field = document.createElement('textarea');
+                field.value = url;
+                field.setAttribute('readonly', '');
+                field.style.position = 'fixed';
+                field.style.opacity = '0';
+                document.body.appendChild(field);
+                field.select();
+                const ok = document.execCommand && document.execCommand('copy');
+                document.body.removeChild(field);
+                if (!ok) throw new Error('Copy command failed');
+            })
+            .then(() => {
+                this.showNotification(I18n.t('notify.linkCopied'), 'info');
+            })
+            .catch(() => {
+                this.showNotification(I18n.t('notify.copyFailed', { url }), 'warning');
+            });
+    }
+
     showCloseDialog() {
-        const shouldClose = confirm('Are you sure you want to close the AI Encyclopedia?');
+        const shouldClose = confirm(I18n.t('window.confirmClose'));
         if (shouldClose) {
             // Create a closing animation
+            if (this.animationLevel() === 'off') {
+                window.close();
+                return;
+            }
             document.body.style.transition = 'opacity 0.5s ease';
             document.body.style.opacity = '0';
             
@@ -346,14 +937,16 @@ class AIEncyclopedia {
     minimizeWindow() {
         // Simulate minimize with a shrink animation
         const content = document.querySelector('.main-content');
-        content.style.transition = 'transform 0.3s ease';
-        content.style.transform = 'scale(0.8)';
-        
-        setTimeout(() => {
-            content.style.transform = '';
-        }, 300);
+        if (this.animationLevel() === 'full') {
+            content.style.transition = 'transform 0.3s ease';
+            content.style.transform = 'scale(0.8)';
+
+            setTimeout(() => {
+                content.style.transform = '';
+            }, 300);
+        }
         
-        this.showNotification('Window minimized (simulated)', 'info');
+        this.showNotification(I18n.t('window.minimized'), 'info');
     }
 
     toggleFullscreen() {
@@ -361,62 +954,20 @@ class AIEncyclopedia {
             document.exitFullscreen();
         } else {
             document.documentElement.requestFullscreen().catch(err => {
-                this.showNotification('Fullscreen not supported', 'warning');
+                this.showNotification(I18n.t('window.fullscreenUnsupported'), 'warning');
             });
         }
     }
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <i class="fas fa-${type === 'warning' ? 'exclamation-triangle' : 
-                              type === 'error' ? 'times-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
-        `;
-        
-        // Style notification
-        Object.assign(notification.style, {
-            position: 'fixed',
-            top: '80px',
-            right: '20px',
-            background: type === 'warning' ? '#FF9500' : 
-                       type === 'error' ? '#FF3B30' : '#007AFF',
-            color: 'white',
-            padding: '12px 20px',
-            borderRadius: '8px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px',
-            fontSize: '14px',
-            fontWeight: '500',
-            boxShadow: '0 10px 25px rgba(0, 0, 0, 0.2)',
-            zIndex: '10000',
-            transform: 'translateX(350px)',
-            transition: 'transform 0.3s ease'
-        });
-        
-        document.body.appendChild(notification);
-        
-        // Animate in
-        setTimeout(() => {
-            notification.style.transform = 'translateX(0)';
-        }, 10);
-        
-        // Remove after delay
-        setTimeout(() => {
-            notification.style.transform = 'translateX(350px)';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }, 3000);
+    // options: { actions: [{ label, run }], duration } (see NotificationCenter.show)
+    showNotification(message, type = 'info', options = {}) {
+        return this.notifications.show(message, { type, ...options });
     }
 
     playTransitionSound() {
         // Create a subtle audio feedback (optional)
+        if (!this.settings.get('sound')) return;
+
         if (typeof Audio !== 'undefined') {
             try {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
@@ -440,37 +991,6 @@ class AIEncyclopedia {
         }
     }
 
-    handleResize() {
-        // Handle responsive sidebar toggle
-        const sidebar = document.querySelector('.sidebar');
-        const mainContent = document.querySelector('.main-content');
-        
-        if (window.innerWidth <= 1024) {
-            sidebar.classList.remove('open');
-            mainContent.style.marginLeft = '0';
-        } else {
-            mainContent.style.marginLeft = '280px';
-        }
-    }
-
-    handleScroll() {
-        if (this.isScrolling) return;
-        
-        this.isScrolling = true;
-        
-        // Add scroll-based effects here
-        const menuBar = document.querySelector('.menu-bar');
-        if (window.scrollY > 0) {
-            menuBar.style.boxShadow = '0 2px 20px rgba(0, 0, 0, 0.1)';
-        } else {
-            menuBar.style.boxShadow = '0 1px 3px rgba(0, 0, 0, 0.1)';
-        }
-        
-        setTimeout(() => {
-            this.isScrolling = false;
-        }, 16);
-    }
-
     // Utility function for throttling
     throttle(func, limit) {
         let lastFunc;
@@ -494,110 +1014,6 @@ class AIEncyclopedia {
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    const encyclopedia = new AIEncyclopedia();
-    
-    // Add some additional interactive features
-    
-    // Hover effects for cards
-    document.querySelectorAll('.intro-card, .milestone-card, .domain-card, .crisis-item').forEach(card => {
-        card.addEventListener('mouseenter', function() {
-            this.style.transform = 'translateY(-8px) scale(1.02)';
-        });
-        
-        card.addEventListener('mouseleave', function() {
-            this.style.transform = 'translateY(0) scale(1)';
-        });
-    });
-    
-    // Add click ripple effect
-    document.querySelectorAll('.nav-link, .intro-card').forEach(element => {
-        element.addEventListener('click', function(e) {
-            const ripple = document.createElement('div');
-            const rect = this.getBoundingClientRect();
-            const size = Math.max(rect.width, rect.height);
-            const x = e.clientX - rect.left - size / 2;
-            const y = e.clientY - rect.top - size / 2;
-            
-            ripple.style.cssText = `
-                position: absolute;
-                border-radius: 50%;
-                background: rgba(255, 255, 255, 0.3);
-                transform: scale(0);
-                animation: ripple 0.6s linear;
-                width: ${size}px;
-                height: ${size}px;
-                left: ${x}px;
-                top: ${y}px;
-                pointer-events: none;
-            `;
-            
-            this.style.position = 'relative';
-            this.style.overflow = 'hidden';
-            this.appendChild(ripple);
-            
-            setTimeout(() => {
-                if (ripple.parentNode) {
-                    ripple.parentNode.removeChild(ripple);
-                }
-            }, 600);
-        });
-    });
-    
-    // Add ripple animation to CSS
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes ripple {
-            to {
-                transform: scale(4);
-                opacity: 0;
-            }
-        }
-    `;
-    document.head.appendChild(style);
-    
-    // Handle initial hash navigation
-    const hash = window.location.hash.slice(1);
-    if (hash) {
-        const navLink = document.querySelector(`[data-chapter="${hash}"]`);
-        if (navLink) {
-            encyclopedia.navigateToChapter(hash);
-            encyclopedia.updateActiveNav(navLink);
-        }
-    }
-    
-    // Add easter egg
-    let konami = [];
-    const konamiCode = [38, 38, 40, 40, 37, 39, 37, 39, 66, 65]; // ↑↑↓↓←→←→BA
-    
-    document.addEventListener('keydown', (e) => {
-        konami.push(e.keyCode);
-        if (konami.length > konamiCode.length) {
-            konami = konami.slice(-konamiCode.length);
-        }
-        
-        if (konami.length === konamiCode.length && 
-            konami.every((val, i) => val === konamiCode[i])) {
-            encyclopedia.showNotification('🤖 AI Easter Egg Activated! Welcome, fellow AI enthusiast!', 'info');
-            document.body.style.filter = 'hue-rotate(45deg)';
-            setTimeout(() => {
-                document.body.style.filter = '';
-            }, 3000);
-        }
-    });
-    
-    console.log(`
-    ╔══════════════════════════════════════════╗
-    ║        🤖 AI ENCYCLOPEDIA LOADED        ║
-    ║                                          ║
-    ║  Keyboard shortcuts:                     ║
-    ║  • Cmd/Ctrl + 1-9: Quick navigation     ║
-    ║  • Arrow keys: Previous/Next chapter    ║
-    ║  • Cmd/Ctrl + F: Search                 ║
-    ║  • Esc: Return to introduction          ║
-    ║                                          ║
-    ║  Try the Konami code for a surprise! 😉  ║
-    ╚══════════════════════════════════════════╝
-    `);
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AIEncyclopedia };
+}
@@ -0,0 +1,297 @@
+// AI Encyclopedia Search
+// In-memory inverted index over chapter content and a Spotlight-style results panel
+
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Fields that describe how a card looks rather than what it says
+const SEARCH_IGNORED_FIELDS = ['type', 'id', 'icon', 'emoji', 'severity', 'layout', 'className', 'variant', 'category', 'url'];
+
+class SearchIndex {
+    constructor() {
+        this.documents = [];
+        this.postings = new Map();
+    }
+
+    static normalize(word) {
+        return word.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    static tokenize(text) {
+        return (String(text).match(/[\p{L}\p{N}]+/gu) || [])
+            .map(word => SearchIndex.normalize(word))
+            .filter(token => !SEARCH_STOP_WORDS.has(token));
+    }
+
+    addChapters(chapters, labelFor = chapter => chapter.title) {
+        chapters.forEach(chapter => {
+            const chapterLabel = labelFor(chapter);
+
+            this.addDocument({
+                chapterId: chapter.id,
+                chapterLabel,
+                icon: chapter.icon,
+                anchor: null,
+                title: chapter.title,
+                text: chapter.subtitle || ''
+            });
+
+            if (chapter.blocks) {
+                this.addBlocks(chapter, chapterLabel, chapter.blocks);
+            }
+        });
+    }
+
+    addBlocks(chapter, chapterLabel, blocks) {
+        blocks.forEach(block => {
+            if (block.type === 'group') {
+                const prose = block.blocks.filter(child => child.type === 'paragraph' || child.type === 'quote');
+                if (block.title || prose.length) {
+                    this.addDocument({
+                        chapterId: chapter.id,
+                        chapterLabel,
+                        icon: chapter.icon,
+                        anchor: block.id || null,
+                        title: block.title || chapter.title,
+                        text: prose.map(child => this.collectText(child)).join(' ')
+                    });
+                }
+                this.addBlocks(chapter, chapterLabel, block.blocks.filter(child => !prose.includes(child)));
+            } else if (block.type === 'cards') {
+                block.items.forEach(item => {
+                    const title = item.title || item.label || item.predictor || '';
+                    this.addDocument({
+                        chapterId: chapter.id,
+                        chapterLabel,
+                        icon: chapter.icon,
+                        anchor: item.id || null,
+                        title,
+                        text: this.collectText(item, ['title', 'label', 'predictor'])
+                    });
+                });
+            } else if (!['timeline', 'prediction-explorer', 'glossary'].includes(block.type)) {
+                this.addDocument({
+                    chapterId: chapter.id,
+                    chapterLabel,
+                    icon: chapter.icon,
+                    anchor: null,
+                    title: chapter.title,
+                    text: this.collectText(block)
+                });
+            }
+        });
+    }
+
+    // Glossary entries live outside the chapter data but are rendered into the glossary chapter
+    addGlossary(entries, chapter, labelFor = item => item.title) {
+        if (!chapter) return;
+
+        const chapterLabel = labelFor(chapter);
+        entries.forEach(entry => {
+            this.addDocument({
+                chapterId: chapter.id,
+                chapterLabel,
+                icon: chapter.icon,
+                anchor: entry.id,
+                title: entry.abbreviation ? `${entry.term} (${entry.abbreviation})` : entry.term,
+                text: [...(entry.aliases || []), entry.definition].join(' ')
+            });
+        });
+    }
+
+    // Every human-readable string on a block or card, nested lists included
+    collectText(value, skip = []) {
+        if (typeof value === 'string') return value;
+        if (Array.isArray(value)) return value.map(entry => this.collectText(entry)).join(' ');
+        if (value && typeof value === 'object') {
+            return Object.keys(value)
+                .filter(key => !SEARCH_IGNORED_FIELDS.includes(key) && !skip.includes(key))
+                .map(key => this.collectText(value[key]))
+                .join(' ');
+        }
+        return '';
+    }
+
+    addDocument(doc) {
+        const id = this.documents.length;
+        this.documents.push(doc);
+
+        const index = (text, inTitle) => {
+            SearchIndex.tokenize(text).forEach(token => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                const postings = this.postings.get(token);
+                const entry = postings.get(id) || { count: 0, inTitle: false };
+                entry.count++;
+                entry.inTitle = entry.inTitle || inTitle;
+                postings.set(id, entry);
+            });
+        };
+
+        index(doc.title, true);
+        index(doc.text, false);
+    }
+
+    // Index tokens matching a query term, exactly, as a prefix or within a small edit distance
+    expandTerm(term) {
+        const matches = [];
+        const maxEdits = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+
+        this.postings.forEach((postings, token) => {
+            if (token === term) {
+                matches.push({ token, weight: 1 });
+            } else if (term.length >= 2 && token.startsWith(term)) {
+                matches.push({ token, weight: 0.7 });
+            } else if (maxEdits && Math.abs(token.length - term.length) <= maxEdits &&
+                       SearchIndex.editDistance(term, token, maxEdits) <= maxEdits) {
+                matches.push({ token, weight: 0.4 });
+            }
+        });
+
+        return matches;
+    }
+
+    search(query, limit = 20) {
+        const terms = [...new Set(SearchIndex.tokenize(query))];
+        if (!terms.length) return [];
+
+        const hits = new Map();
+
+        terms.forEach(term => {
+            const best = new Map();
+
+            this.expandTerm(term).forEach(({ token, weight }) => {
+                this.postings.get(token).forEach((entry, docId) => {
+                    const score = weight * (1 + Math.log(entry.count)) * (entry.inTitle ? 2.5 : 1);
+                    const current = best.get(docId);
+                    if (!current || score > current.score) {
+                        best.set(docId, { score, tokens: current ? current.tokens.concat(token) : [token] });
+                    } else {
+                        current.tokens.push(token);
+                    }
+                });
+            });
+
+            best.forEach(({ score, tokens }, docId) => {
+                const hit = hits.get(docId) || { score: 0, terms: 0, tokens: new Set() };
+                hit.score += score;
+                hit.terms++;
+                tokens.forEach(token => hit.tokens.add(token));
+                hits.set(docId, hit);
+            });
+        });
+
+        // Documents matching every word come first, then by relevance
+        return Array.from(hits.entries())
+            .sort(([, a], [, b]) => (b.terms - a.terms) || (b.score - a.score))
+            .slice(0, limit)
+            .map(([docId, hit]) => {
+                const doc = this.documents[docId];
+                return {
+                    ...doc,
+                    score: hit.score,
+                    matchedAll: hit.terms === terms.length,
+                    tokens: Array.from(hit.tokens),
+                    snippet: SearchIndex.snippet(doc.text, hit.tokens)
+                };
+            });
+    }
+
+    // A short excerpt around the first matching word, with match ranges relative to the excerpt
+    static snippet(text, tokens, radius = 70) {
+        const wordPattern = /[\p{L}\p{N}]+/gu;
+        const ranges = [];
+        let match;
+
+        while ((match = wordPattern.exec(text))) {
+            if (tokens.has(SearchIndex.normalize(match[0]))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        if (!ranges.length) {
+            const excerpt = text.length > radius * 2 ? text.slice(0, radius * 2).trimEnd() + '…' : text;
+            return { text: excerpt, ranges: [] };
+        }
+
+        let start = Math.max(0, ranges[0][0] - radius);
+        let end = Math.min(text.length, ranges[0][1] + radius);
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        if (end < text.length) end = text.lastIndexOf(' ', end) > ranges[0][1] ? text.lastIndexOf(' ', end) : end;
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+
+        return {
+            text: prefix + text.slice(start, end) + suffix,
+            ranges: ranges
+                .filter(([from, to]) => from >= start && to <= end)
+                .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+        };
+    }
+
+    static editDistance(a, b, limit) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+class SearchPanel extends ListDialog {
+    constructor(index, onSelect) {
+        super('search', { label: I18n.t('search.title'), placeholder: I18n.t('search.title'), icon: 'search', type: 'search' });
+        this.index = index;
+        this.onSelect = onSelect;
+    }
+
+    find(query) {
+        return query ? this.index.search(query) : [];
+    }
+
+    renderResult(item, result) {
+        const meta = document.createElement('div');
+        meta.className = 'search-result-chapter';
+        const icon = document.createElement('i');
+        icon.className = `fas fa-${result.icon}`;
+        meta.append(icon, ` ${result.chapterLabel}`);
+
+        const title = document.createElement('div');
+        title.className = 'search-result-title';
+        title.textContent = result.title;
+
+        const snippet = document.createElement('div');
+        snippet.className = 'search-result-snippet';
+        ListDialog.appendHighlighted(snippet, result.snippet.text, result.snippet.ranges);
+
+        item.append(meta, title, snippet);
+    }
+
+    statusText() {
+        if (!this.query) return I18n.t('search.prompt');
+        if (!this.results.length) return I18n.t('search.noResults', { query: this.query });
+        return I18n.t('search.results', { count: this.results.length });
+    }
+
+    run(result) {
+        this.onSelect(result, this.query);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, SearchPanel };
+}
@@ -0,0 +1,219 @@
+// AI Encyclopedia Settings
+// Reader preferences persisted in localStorage and the panel behind the menu-bar cog
+
+const SETTINGS_OPTIONS = {
+    sound: [true, false],
+    animation: ['full', 'reduced', 'off'],
+    fontSize: [14, 15, 16, 17, 18, 19, 20, 21, 22],
+    lineWidth: ['narrow', 'normal', 'wide'],
+    theme: ['light', 'dark', 'auto']
+};
+
+const DEFAULT_SETTINGS = {
+    sound: true,
+    animation: 'full',
+    fontSize: 16,
+    lineWidth: 'normal',
+    theme: 'auto'
+};
+
+class SettingsStore {
+    constructor(storage, key = 'ai-encyclopedia:settings') {
+        this.storage = storage;
+        this.key = key;
+        this.listeners = [];
+        this.values = this.load();
+    }
+
+    load() {
+        let saved = {};
+        try {
+            saved = JSON.parse(this.storage.getItem(this.key)) || {};
+        } catch (e) {
+            // Storage unavailable or corrupted; fall back to defaults
+        }
+
+        // Only keep known settings with allowed values
+        return Object.keys(DEFAULT_SETTINGS).reduce((values, name) => {
+            values[name] = SETTINGS_OPTIONS[name].includes(saved[name]) ? saved[name] : DEFAULT_SETTINGS[name];
+            return values;
+        }, {});
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.values));
+        } catch (e) {
+            // Private browsing or quota exceeded; settings last for this visit only
+        }
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    set(name, value) {
+        if (!SETTINGS_OPTIONS[name] || !SETTINGS_OPTIONS[name].includes(value)) return;
+        if (this.values[name] === value) return;
+
+        this.values[name] = value;
+        this.save();
+        this.listeners.forEach(listener => listener(this.values, name));
+    }
+
+    reset() {
+        this.values = { ...DEFAULT_SETTINGS };
+        this.save();
+        this.listeners.forEach(listener => listener(this.values, null));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+class SettingsPanel {
+    constructor(store) {
+        this.store = store;
+        this.element = null;
+        this.outsideClick = new OutsideClick(
+            target => this.element.contains(target) || Boolean(this.trigger && this.trigger.contains(target)),
+            () => this.close()
+        );
+    }
+
+    build() {
+        const panel = document.createElement('div');
+        panel.className = 'settings-panel';
+        panel.hidden = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', I18n.t('settings.title'));
+        panel.innerHTML = `
+            <h2>${I18n.t('settings.title')}</h2>
+
+            <label class="settings-row">
+                <span>${I18n.t('settings.sound')}</span>
+                <input type="checkbox" class="settings-switch" name="sound">
+            </label>
+
+            <div class="settings-row">
+                <span>${I18n.t('settings.animation')}</span>
+                <div class="segmented" role="radiogroup" aria-label="${I18n.t('settings.animation')}">
+                    <label><input type="radio" name="animation" value="full"><span>${I18n.t('settings.animationFull')}</span></label>
+                    <label><input type="radio" name="animation" value="reduced"><span>${I18n.t('settings.animationReduced')}</span></label>
+                    <label><input type="radio" name="animation" value="off"><span>${I18n.t('settings.animationOff')}</span></label>
+                </div>
+            </div>
+
+            <label class="settings-row">
+                <span>${I18n.t('settings.fontSize')} <output class="settings-value" data-for="fontSize"></output></span>
+                <input type="range" name="fontSize" min="14" max="22" step="1">
+            </label>
+
+            <div class="settings-row">
+                <span>${I18n.t('settings.lineWidth')}</span>
+                <div class="segmented" role="radiogroup" aria-label="${I18n.t('settings.lineWidth')}">
+                    <label><input type="radio" name="lineWidth" value="narrow"><span>${I18n.t('settings.lineWidthNarrow')}</span></label>
+                    <label><input type="radio" name="lineWidth" value="normal"><span>${I18n.t('settings.lineWidthNormal')}</span></label>
+                    <label><input type="radio" name="lineWidth" value="wide"><span>${I18n.t('settings.lineWidthWide')}</span></label>
+                </div>
+            </div>
+
+            <div class="settings-row">
+                <span>${I18n.t('settings.appearance')}</span>
+                <div class="segmented" role="radiogroup" aria-label="${I18n.t('settings.appearance')}">
+                    <label><input type="radio" name="theme" value="light"><span>${I18n.t('theme.light')}</span></label>
+                    <label><input type="radio" name="theme" value="dark"><span>${I18n.t('theme.dark')}</span></label>
+                    <label><input type="radio" name="theme" value="auto"><span>${I18n.t('theme.auto')}</span></label>
+                </div>
+            </div>
+
+            <button type="button" class="settings-reset">${I18n.t('settings.reset')}</button>
+        `;
+
+        panel.addEventListener('change', (e) => {
+            const { name, type } = e.target;
+            if (!name) return;
+
+            if (type === 'checkbox') {
+                this.store.set(name, e.target.checked);
+            } else if (type === 'range') {
+                this.store.set(name, Number(e.target.value));
+            } else {
+                this.store.set(name, e.target.value);
+            }
+        });
+
+        // Update the text size label while the slider is dragged
+        panel.addEventListener('input', (e) => {
+            if (e.target.type === 'range') {
+                this.store.set(e.target.name, Number(e.target.value));
+            }
+        });
+
+        panel.querySelector('.settings-reset').addEventListener('click', () => this.store.reset());
+
+        panel.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.store.onChange(() => this.sync());
+
+        document.body.appendChild(panel);
+        this.element = panel;
+        this.sync();
+    }
+
+    // Reflect the stored values in the form controls
+    sync() {
+        const values = this.store.values;
+
+        this.element.querySelectorAll('input').forEach(input => {
+            const value = values[input.name];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else if (input.type === 'radio') {
+                input.checked = input.value === String(value);
+            } else {
+                input.value = value;
+            }
+        });
+
+        this.element.querySelector('[data-for="fontSize"]').textContent = `${values.fontSize}px`;
+    }
+
+    isOpen() {
+        return Boolean(this.element && !this.element.hidden);
+    }
+
+    toggle(trigger) {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open(trigger);
+        }
+    }
+
+    open(trigger) {
+        if (!this.element) this.build();
+
+        this.trigger = trigger;
+        this.element.hidden = false;
+        this.element.querySelector('input').focus();
+
+        this.outsideClick.start();
+    }
+
+    close() {
+        if (!this.isOpen()) return;
+
+        this.element.hidden = true;
+        this.outsideClick.stop();
+        if (this.trigger && this.trigger.focus) this.trigger.focus();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsStore, SettingsPanel, DEFAULT_SETTINGS, SETTINGS_OPTIONS };
+}
@@ -0,0 +1,68 @@
+// AI Encyclopedia Theme
+// Resolves the light / dark / auto appearance and exposes the CSS theme tokens to scripts
+
+const THEME_MODES = ['light', 'dark', 'auto'];
+
+const THEME_LABELS = {
+    light: { label: 'Light', icon: 'sun' },
+    dark: { label: 'Dark', icon: 'moon' },
+    auto: { label: 'Auto', icon: 'circle-half-stroke' }
+};
+
+class ThemeManager {
+    constructor(root = document.documentElement) {
+        this.root = root;
+        this.mode = 'auto';
+        this.listeners = [];
+        this.systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+        // Follow the operating system while in auto mode
+        if (this.systemQuery) {
+            const onSystemChange = () => {
+                if (this.mode === 'auto') this.apply();
+            };
+            if (this.systemQuery.addEventListener) {
+                this.systemQuery.addEventListener('change', onSystemChange);
+            } else if (this.systemQuery.addListener) {
+                this.systemQuery.addListener(onSystemChange);
+            }
+        }
+    }
+
+    setMode(mode) {
+        this.mode = THEME_MODES.includes(mode) ? mode : 'auto';
+        this.apply();
+    }
+
+    nextMode() {
+        return THEME_MODES[(THEME_MODES.indexOf(this.mode) + 1) % THEME_MODES.length];
+    }
+
+    resolve() {
+        if (this.mode !== 'auto') return this.mode;
+        return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
+    }
+
+    apply() {
+        const theme = this.resolve();
+
+        this.root.dataset.theme = theme;
+        this.root.dataset.themeMode = this.mode;
+        this.root.style.colorScheme = theme;
+
+        this.listeners.forEach(listener => listener(theme, this.mode));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Current value of a theme token, e.g. token('highlight-bg')
+    token(name) {
+        return getComputedStyle(this.root).getPropertyValue(`--${name}`).trim();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThemeManager, THEME_MODES, THEME_LABELS };
+}
@@ -0,0 +1,360 @@
+// AI Encyclopedia Timeline
+// Merges every dated card across the chapters into one zoomable SVG timeline
+
+// Category → interface string key for its filter label
+const TIMELINE_CATEGORIES = {
+    foundations: 'timeline.foundations',
+    games: 'timeline.games',
+    language: 'timeline.language',
+    multimodal: 'timeline.multimodal',
+    prediction: 'timeline.predictions'
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+class TimelineData {
+    // '1950' → 1950–1950, '1960s-70s' → 1960–1979, '2050-2100' → 2050–2100; undated text → null
+    static parseYear(value) {
+        const match = /(\d{4})(s?)(?:\s*[-–]\s*(\d{2,4})(s?))?/.exec(String(value || ''));
+        if (!match) return null;
+
+        const start = Number(match[1]);
+        let end = start + (match[2] ? 9 : 0);
+
+        if (match[3]) {
+            const century = match[3].length === 2 ? Math.floor(start / 100) * 100 : 0;
+            end = century + Number(match[3]) + (match[4] ? 9 : 0);
+        }
+
+        return { start, end: Math.max(start, end) };
+    }
+
+    static collect(chapters) {
+        const events = [];
+
+        const visit = (chapter, blocks) => blocks.forEach(block => {
+            if (block.blocks) visit(chapter, block.blocks);
+            if (block.type !== 'cards') return;
+
+            block.items.forEach(item => {
+                const prediction = item.type === 'prediction-card';
+                const date = prediction ? item.estimate && Forecast.estimateLabel(item.estimate) : item.date || item.year;
+                const span = date && TimelineData.parseYear(date);
+                if (!span || !item.id) return;
+
+                events.push({
+                    id: item.id,
+                    chapterId: chapter.id,
+                    title: prediction ? `${item.predictor}: ${Forecast.confidenceLabel(item.confidence)}` : item.title,
+                    label: date,
+                    category: prediction ? 'prediction' : item.category || 'foundations',
+                    prediction,
+                    ...span
+                });
+            });
+        });
+
+        chapters.filter(chapter => chapter.blocks).forEach(chapter => visit(chapter, chapter.blocks));
+        return events.sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    // Years between consecutive breakthroughs that have already happened
+    static gaps(events) {
+        const past = events.filter(event => !event.prediction);
+
+        return past.slice(1).map((event, i) => ({
+            from: past[i],
+            to: event,
+            years: event.start - past[i].start
+        }));
+    }
+
+    static tickStep(span) {
+        return [1, 2, 5, 10, 20, 25, 50, 100].find(step => span / step <= 10) || 200;
+    }
+}
+
+class TimelineChart {
+    constructor(container, events, onSelect) {
+        this.container = container;
+        this.events = events;
+        this.onSelect = onSelect;
+        this.width = 800;
+        this.height = 220;
+        this.padding = 30;
+        this.active = new Set(Object.keys(TIMELINE_CATEGORIES));
+
+        const first = Math.min(...events.map(event => event.start));
+        const last = Math.max(...events.map(event => event.end));
+        this.bounds = [first - 5, last + 5];
+        this.domain = [...this.bounds];
+    }
+
+    static svg(tag, attrs = {}) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(name => element.setAttribute(name, attrs[name]));
+        return element;
+    }
+
+    mount() {
+        const categories = Object.keys(TIMELINE_CATEGORIES)
+            .filter(category => this.events.some(event => event.category === category));
+
+        this.container.innerHTML = `
+            <div class="timeline-toolbar">
+                <div class="timeline-filters" role="group" aria-label="${I18n.t('timeline.categories')}">
+                    ${categories.map(category => `
+                    <label class="timeline-filter" data-category="${category}">
+                        <input type="checkbox" value="${category}" checked>
+                        <span>${I18n.t(TIMELINE_CATEGORIES[category])}</span>
+                    </label>`).join('')}
+                </div>
+                <div class="timeline-zoom">
+                    <button type="button" data-zoom="0.5" aria-label="${I18n.t('timeline.zoomIn')}" title="${I18n.t('timeline.zoomIn')}"><i class="fas fa-plus"></i></button>
+                    <button type="button" data-zoom="2" aria-label="${I18n.t('timeline.zoomOut')}" title="${I18n.t('timeline.zoomOut')}"><i class="fas fa-minus"></i></button>
+                    <button type="button" data-zoom="reset" aria-label="${I18n.t('timeline.reset')}" title="${I18n.t('timeline.reset')}"><i class="fas fa-expand"></i></button>
+                </div>
+            </div>
+            <div class="timeline-viewport"></div>
+            <h3 class="timeline-gaps-title">${I18n.t('timeline.gapsTitle')}</h3>
+            <div class="timeline-gaps"></div>
+        `;
+
+        this.container.querySelector('.timeline-filters').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.active.add(e.target.value);
+            } else {
+                this.active.delete(e.target.value);
+            }
+            this.render();
+        });
+
+        this.container.querySelectorAll('[data-zoom]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.dataset.zoom === 'reset') {
+                    this.domain = [...this.bounds];
+                    this.render();
+                } else {
+                    this.zoom(Number(button.dataset.zoom));
+                }
+            });
+        });
+
+        this.svgElement = TimelineChart.svg('svg', {
+            class: 'timeline-svg',
+            viewBox: `0 0 ${this.width} ${this.height}`,
+            tabindex: '0',
+            role: 'group',
+            'aria-label': I18n.t('timeline.label')
+        });
+        this.container.querySelector('.timeline-viewport').appendChild(this.svgElement);
+        this.setupPanZoom();
+
+        this.render();
+    }
+
+    visibleEvents() {
+        return this.events.filter(event => this.active.has(event.category));
+    }
+
+    // Year → x coordinate in viewBox units
+    x(year) {
+        const [from, to] = this.domain;
+        return this.padding + (year - from) / (to - from) * (this.width - this.padding * 2);
+    }
+
+    zoom(factor, focus = (this.domain[0] + this.domain[1]) / 2) {
+        const [from, to] = this.domain;
+        const full = this.bounds[1] - this.bounds[0];
+        const span = Math.min(Math.max((to - from) * factor, 4), full);
+        const ratio = (focus - from) / (to - from);
+        const start = focus - span * ratio;
+
+        this.domain = [start, start + span];
+        this.setDomain(start);
+        this.render();
+    }
+
+    pan(years) {
+        this.setDomain(this.domain[0] + years);
+        this.render();
+    }
+
+    // Move the window to start at `from`, kept within the data
+    setDomain(from) {
+        const span = this.domain[1] - this.domain[0];
+        const start = Math.min(Math.max(from, this.bounds[0]), this.bounds[1] - span);
+        this.domain = [start, start + span];
+    }
+
+    setupPanZoom() {
+        const svg = this.svgElement;
+        const yearsPerPixel = () => {
+            const width = svg.getBoundingClientRect().width || this.width;
+            return (this.domain[1] - this.domain[0]) / width * (this.width / (this.width - this.padding * 2));
+        };
+
+        // Plain wheel events scroll the page; trackpad pinches and Ctrl/Cmd+wheel zoom the chart
+        svg.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
+
+            e.preventDefault();
+            const rect = svg.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * (this.width / (rect.width || this.width));
+            const focus = this.domain[0] + (x - this.padding) / (this.width - this.padding * 2) * (this.domain[1] - this.domain[0]);
+            this.zoom(e.deltaY > 0 ? 1.25 : 0.8, focus);
+        }, { passive: false });
+
+        let drag = null;
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.timeline-point')) return;
+            drag = { x: e.clientX, from: this.domain[0] };
+            svg.classList.add('dragging');
+            if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+        });
+        svg.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            this.setDomain(drag.from - (e.clientX - drag.x) * yearsPerPixel());
+            this.render();
+        });
+        const endDrag = () => {
+            drag = null;
+            svg.classList.remove('dragging');
+        };
+        svg.addEventListener('pointerup', endDrag);
+        svg.addEventListener('pointercancel', endDrag);
+
+        // Keep the chart's keys away from chapter navigation
+        svg.addEventListener('keydown', (e) => {
+            const span = this.domain[1] - this.domain[0];
+            const actions = {
+                ArrowLeft: () => this.pan(-span / 10),
+                ArrowRight: () => this.pan(span / 10),
+                '+': () => this.zoom(0.5),
+                '=': () => this.zoom(0.5),
+                '-': () => this.zoom(2),
+                '0': () => {
+                    this.domain = [...this.bounds];
+                    this.render();
+                }
+            };
+
+            if (actions[e.key]) {
+                e.preventDefault();
+                e.stopPropagation();
+                actions[e.key]();
+            } else if (e.key === 'Enter' && e.target.closest('.timeline-point')) {
+                e.stopPropagation();
+                this.onSelect(this.events.find(event => event.id === e.target.closest('.timeline-point').dataset.event));
+            }
+        });
+    }
+
+    render() {
+        const svg = this.svgElement;
+        const events = this.visibleEvents();
+        const axisY = this.height - 40;
+        const [from, to] = this.domain;
+
+        while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+        svg.appendChild(TimelineChart.svg('line', {
+            class: 'timeline-axis', x1: this.padding, x2: this.width - this.padding, y1: axisY, y2: axisY
+        }));
+
+        // Year ticks
+        const step = TimelineData.tickStep(to - from);
+        for (let year = Math.ceil(from / step) * step; year <= to; year += step) {
+            const x = this.x(year);
+            svg.appendChild(TimelineChart.svg('line', { class: 'timeline-tick', x1: x, x2: x, y1: axisY, y2: axisY + 6 }));
+            const label = TimelineChart.svg('text', { class: 'timeline-tick-label', x, y: axisY + 20, 'text-anchor': 'middle' });
+            label.textContent = year;
+            svg.appendChild(label);
+        }
+
+        // Alternate label rows so neighbouring titles don't overlap
+        events.filter(event => event.end >= from && event.start <= to).forEach((event, i) => {
+            const row = i % 3;
+            const labelY = 30 + row * 36;
+            const x1 = this.x(event.start);
+            const x2 = this.x(event.end);
+
+            const point = TimelineChart.svg('g', {
+                class: `timeline-point${event.prediction ? ' prediction' : ''}`,
+                'data-event': event.id,
+                'data-category': event.category,
+                tabindex: '0',
+                role: 'button',
+                'aria-label': `${event.label}: ${event.title}`
+            });
+
+            const title = TimelineChart.svg('title');
+            title.textContent = `${event.label}: ${event.title}`;
+            point.appendChild(title);
+
+            point.appendChild(TimelineChart.svg('line', { class: 'timeline-stem', x1, x2: x1, y1: labelY + 6, y2: axisY }));
+            if (x2 - x1 > 1) {
+                point.appendChild(TimelineChart.svg('rect', { class: 'timeline-range', x: x1, y: axisY - 5, width: x2 - x1, height: 10, rx: 5 }));
+            }
+            point.appendChild(TimelineChart.svg('circle', { class: 'timeline-dot', cx: x1, cy: axisY, r: 7 }));
+
+            const label = TimelineChart.svg('text', { class: 'timeline-label', x: x1, y: labelY, 'text-anchor': 'middle' });
+            label.textContent = event.title.length > 26 ? `${event.title.slice(0, 25)}…` : event.title;
+            point.appendChild(label);
+
+            point.addEventListener('click', () => this.onSelect(event));
+            svg.appendChild(point);
+        });
+
+        this.renderGaps(events);
+    }
+
+    // Bar per gap between breakthroughs; shrinking bars are the exponential curve
+    renderGaps(events) {
+        const gaps = TimelineData.gaps(events);
+        const container = this.container.querySelector('.timeline-gaps');
+        const width = this.width;
+        const height = 160;
+        const base = height - 34;
+        const longest = Math.max(1, ...gaps.map(gap => gap.years));
+        const slot = (width - this.padding * 2) / Math.max(gaps.length, 1);
+
+        const svg = TimelineChart.svg('svg', {
+            class: 'timeline-gaps-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img',
+            'aria-label': gaps.map(gap => I18n.t('timeline.gap', { from: gap.from.label, to: gap.to.label, count: gap.years })).join('; ') || I18n.t('timeline.noGaps')
+        });
+
+        svg.appendChild(TimelineChart.svg('line', { class: 'timeline-axis', x1: this.padding, x2: width - this.padding, y1: base, y2: base }));
+
+        gaps.forEach((gap, i) => {
+            const barHeight = Math.max(2, gap.years / longest * (base - 24));
+            const x = this.padding + i * slot + slot * 0.2;
+            const barWidth = slot * 0.6;
+
+            const bar = TimelineChart.svg('rect', {
+                class: 'timeline-gap-bar', x, y: base - barHeight, width: barWidth, height: barHeight, rx: 4
+            });
+            const title = TimelineChart.svg('title');
+            title.textContent = I18n.t('timeline.gapTitle', { from: gap.from.title, to: gap.to.title, count: gap.years });
+            bar.appendChild(title);
+            svg.appendChild(bar);
+
+            const value = TimelineChart.svg('text', { class: 'timeline-gap-value', x: x + barWidth / 2, y: base - barHeight - 6, 'text-anchor': 'middle' });
+            value.textContent = gap.years;
+            svg.appendChild(value);
+
+            const label = TimelineChart.svg('text', { class: 'timeline-tick-label', x: x + barWidth / 2, y: base + 18, 'text-anchor': 'middle' });
+            label.textContent = `→ ${gap.to.start}`;
+            svg.appendChild(label);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(svg);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimelineData, TimelineChart, TIMELINE_CATEGORIES };
+}
@@ -0,0 +1,319 @@
+// AI Encyclopedia Content Validator
+// Cross-checks the chapter data against the rendered navigation and sections
+
+const STAT_CARD_TYPES = ['metric', 'stat'];
+
+class ContentValidator {
+    // maxSourceAge: years after which a statistic's source counts as outdated
+    // translations: per-locale chapter overrides (data/translations.js) to check against the English chapters
+    constructor(chapters, { sources = {}, glossary = [], translations = {}, maxSourceAge = 5, now = new Date() } = {}) {
+        this.chapters = chapters;
+        this.sources = sources;
+        this.glossary = glossary;
+        this.translations = translations;
+        this.maxSourceAge = maxSourceAge;
+        this.now = now;
+    }
+
+    // Outline of what is actually on the page: nav link targets and sections
+    static collectFromDocument(doc) {
+        return {
+            navLinks: Array.from(doc.querySelectorAll('.nav-link[data-chapter]'))
+                .map(link => link.getAttribute('data-chapter')),
+            sections: Array.from(doc.querySelectorAll('.content-section')).map(section => {
+                const number = section.querySelector('.chapter-number');
+                return {
+                    id: section.id,
+                    numberLabel: number ? number.textContent.trim() : null,
+                    placeholder: section.hasAttribute('data-placeholder')
+                };
+            })
+        };
+    }
+
+    // Same outline from rendered markup, for use outside the browser
+    static collectFromHtml(html) {
+        const navLinks = [];
+        const sections = [];
+        const linkPattern = /class="nav-link[^"]*"[^>]*data-chapter="([^"]*)"/g;
+        const sectionPattern = /<section id="([^"]*)" class="content-section[^"]*"([^>]*)>([\s\S]*?)<\/section>/g;
+        let match;
+
+        while ((match = linkPattern.exec(html))) {
+            navLinks.push(match[1]);
+        }
+
+        while ((match = sectionPattern.exec(html))) {
+            const number = /<span class="chapter-number">([^<]*)<\/span>/.exec(match[3]);
+            sections.push({
+                id: match[1],
+                numberLabel: number ? number[1].trim() : null,
+                placeholder: match[2].includes('data-placeholder')
+            });
+        }
+
+        return { navLinks, sections };
+    }
+
+    validate(outline) {
+        const issues = [];
+        const report = (level, code, chapter, message) => {
+            issues.push({ level, code, chapter, message });
+        };
+
+        this.checkChapters(report);
+        this.checkSources(report);
+        this.checkGlossary(report);
+        this.checkTranslations(report);
+        if (outline) {
+            this.checkNavigation(outline.navLinks, report);
+            this.checkSections(outline.sections, report);
+        }
+
+        return issues;
+    }
+
+    checkChapters(report) {
+        const seen = new Set();
+        let expectedNumber = 1;
+
+        this.chapters.forEach(chapter => {
+            if (seen.has(chapter.id)) {
+                report('error', 'duplicate-chapter', chapter.id, `Chapter "${chapter.id}" is defined more than once`);
+            }
+            seen.add(chapter.id);
+
+            if (chapter.number) {
+                if (chapter.number !== expectedNumber) {
+                    report('error', 'out-of-order', chapter.id,
+                        `Chapter "${chapter.id}" is numbered ${chapter.number} but comes in position ${expectedNumber}`);
+                }
+                expectedNumber = chapter.number + 1;
+            }
+
+            if (!chapter.blocks) {
+                report('warning', 'unwritten', chapter.id, `Chapter "${chapter.id}" has no content yet and shows a placeholder`);
+                return;
+            }
+
+            this.findDuplicates(this.collectAnchors(chapter.blocks)).forEach(anchor => {
+                report('error', 'duplicate-anchor', chapter.id, `Chapter "${chapter.id}" uses the card id "${anchor}" more than once`);
+            });
+
+            this.collectCards(chapter.blocks)
+                .filter(card => card.type === 'prediction-card')
+                .forEach(card => {
+                    Forecast.validate(card).forEach(problem => {
+                        report('error', 'invalid-prediction', chapter.id, `Prediction "${card.id}" in "${chapter.id}" ${problem}`);
+                    });
+                });
+
+            this.findDuplicates((chapter.quiz || []).map(question => question.id)).forEach(id => {
+                report('error', 'duplicate-question', chapter.id, `Chapter "${chapter.id}" uses the quiz question id "${id}" more than once`);
+            });
+            (chapter.quiz || []).forEach(question => {
+                Quiz.validate(question, chapter).forEach(problem => {
+                    report('error', 'invalid-question', chapter.id, `Quiz question "${question.id}" in "${chapter.id}" ${problem}`);
+                });
+            });
+
+            this.checkCitations(chapter, report);
+        });
+    }
+
+    // Every statistic needs a source, and that source must be known and recent enough
+    checkCitations(chapter, report) {
+        const visit = blocks => blocks.forEach(block => {
+            [block, ...(block.items || [])].forEach(item => {
+                const refs = item.refs || [];
+                const name = item.id || item.label || item.type;
+
+                refs.filter(id => !this.sources[id]).forEach(id => {
+                    report('error', 'unknown-source', chapter.id, `"${name}" in "${chapter.id}" cites unknown source "${id}"`);
+                });
+
+                if (!STAT_CARD_TYPES.includes(item.type)) return;
+
+                if (!refs.length) {
+                    report('warning', 'uncited-stat', chapter.id, `Statistic "${name}" (${item.value}) in "${chapter.id}" has no source`);
+                }
+
+                refs.filter(id => this.sources[id]).forEach(id => {
+                    const age = this.sourceAge(this.sources[id]);
+                    if (age !== null && age > this.maxSourceAge) {
+                        report('warning', 'stale-source', chapter.id,
+                            `Statistic "${name}" in "${chapter.id}" relies on "${id}", published ${Math.floor(age)} years ago`);
+                    }
+                });
+            });
+
+            if (block.blocks) visit(block.blocks);
+        });
+
+        visit(chapter.blocks);
+    }
+
+    checkSources(report) {
+        Object.keys(this.sources).forEach(id => {
+            const source = this.sources[id];
+            if (!source.title) {
+                report('error', 'invalid-source', null, `Source "${id}" has no title`);
+            }
+            if (source.url && !source.accessed) {
+                report('warning', 'invalid-source', null, `Source "${id}" links to a web page but has no accessed date`);
+            }
+        });
+    }
+
+    // Entries need a definition, and every linked form must lead to exactly one entry
+    checkGlossary(report) {
+        const ids = new Set(this.glossary.map(entry => entry.id));
+        const forms = new Map();
+
+        this.findDuplicates(this.glossary.map(entry => entry.id)).forEach(id => {
+            report('error', 'duplicate-term', null, `Glossary entry "${id}" is defined more than once`);
+        });
+
+        this.glossary.forEach(entry => {
+            if (!entry.term || !entry.definition) {
+                report('error', 'invalid-term', null, `Glossary entry "${entry.id}" needs a term and a definition`);
+            }
+
+            (entry.related || []).filter(id => !ids.has(id)).forEach(id => {
+                report('error', 'unknown-term', null, `Glossary entry "${entry.id}" refers to unknown entry "${id}"`);
+            });
+
+            [entry.term, entry.abbreviation, ...(entry.aliases || [])].filter(Boolean).forEach(form => {
+                const key = form.toLowerCase();
+                if (forms.has(key) && forms.get(key) !== entry.id) {
+                    report('error', 'duplicate-term', null, `"${form}" is used by glossary entries "${forms.get(key)}" and "${entry.id}"`);
+                }
+                forms.set(key, entry.id);
+            });
+        });
+    }
+
+    // Years since a source was published, or null when it has no usable date
+    sourceAge(source) {
+        const published = Date.parse(source.published);
+        if (Number.isNaN(published)) return null;
+        return (this.now - published) / (365.25 * 24 * 60 * 60 * 1000);
+    }
+
+    // Translated blocks replace the English ones wholesale, so they must keep every card id links rely on
+    checkTranslations(report) {
+        Object.keys(this.translations).forEach(locale => {
+            Object.keys(this.translations[locale]).forEach(id => {
+                const chapter = this.chapters.find(item => item.id === id);
+                const translation = this.translations[locale][id];
+
+                if (!chapter) {
+                    report('error', 'orphan-translation', id, `The "${locale}" translation covers "${id}", which is not a known chapter`);
+                    return;
+                }
+                if (!translation.blocks) return;
+
+                const translated = this.collectAnchors(translation.blocks);
+                this.collectAnchors(chapter.blocks || [])
+                    .filter(anchor => !translated.includes(anchor))
+                    .forEach(anchor => {
+                        report('error', 'missing-translated-anchor', id,
+                            `The "${locale}" translation of "${id}" has no card with the id "${anchor}"`);
+                    });
+            });
+        });
+    }
+
+    collectCards(blocks) {
+        return blocks.reduce((cards, block) => {
+            if (block.items) cards.push(...block.items);
+            if (block.blocks) cards.push(...this.collectCards(block.blocks));
+            return cards;
+        }, []);
+    }
+
+    collectAnchors(blocks) {
+        return blocks.reduce((anchors, block) => {
+            if (block.id) anchors.push(block.id);
+            if (block.items) anchors.push(...block.items.filter(item => item.id).map(item => item.id));
+            if (block.blocks) anchors.push(...this.collectAnchors(block.blocks));
+            return anchors;
+        }, []);
+    }
+
+    checkNavigation(navLinks, report) {
+        const ids = this.chapters.map(chapter => chapter.id);
+
+        this.findDuplicates(navLinks).forEach(id => {
+            report('error', 'duplicate-link', id, `Chapter "${id}" has more than one navigation link`);
+        });
+
+        navLinks.forEach(id => {
+            if (!ids.includes(id)) {
+                report('error', 'orphan-link', id, `Navigation links to "${id}", which is not a known chapter`);
+            }
+        });
+
+        ids.forEach(id => {
+            if (!navLinks.includes(id)) {
+                report('error', 'missing-link', id, `Chapter "${id}" has no navigation link`);
+            }
+        });
+
+        const linkedOrder = navLinks.filter(id => ids.includes(id));
+        const chapterOrder = ids.filter(id => navLinks.includes(id));
+        if (linkedOrder.join() !== chapterOrder.join()) {
+            report('error', 'nav-order', null, 'Navigation links are not in chapter order');
+        }
+    }
+
+    checkSections(sections, report) {
+        const sectionIds = sections.map(section => section.id);
+
+        this.findDuplicates(sectionIds).forEach(id => {
+            report('error', 'duplicate-section', id, `Section "${id}" appears more than once`);
+        });
+
+        this.chapters.forEach(chapter => {
+            const section = sections.find(candidate => candidate.id === chapter.id);
+
+            if (!section) {
+                report('error', 'missing-section', chapter.id, `Chapter "${chapter.id}" has no section`);
+                return;
+            }
+
+            const expected = this.expectedNumberLabel(chapter);
+            if (section.numberLabel !== expected) {
+                report('error', 'number-mismatch', chapter.id,
+                    `Section "${chapter.id}" is labelled "${section.numberLabel}" but should be "${expected}"`);
+            }
+        });
+
+        sectionIds.forEach(id => {
+            if (!this.chapters.some(chapter => chapter.id === id)) {
+                report('error', 'orphan-section', id, `Section "${id}" does not belong to any chapter`);
+            }
+        });
+    }
+
+    expectedNumberLabel(chapter) {
+        if (chapter.hero) return null;
+        if (chapter.numberLabel) return chapter.numberLabel;
+        return chapter.number ? String(chapter.number).padStart(2, '0') : '';
+    }
+
+    findDuplicates(values) {
+        return values.filter((value, index) => values.indexOf(value) !== index);
+    }
+
+    static log(issues) {
+        issues.forEach(issue => {
+            const log = issue.level === 'error' ? console.error : console.warn;
+            log(`[content] ${issue.message}`);
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContentValidator };
+}
@@ -0,0 +1,427 @@
+// AI Encyclopedia Chapter Content
+// Single source of truth for the table of contents and every chapter page.
+//
+// Each chapter has an id (used for the URL hash and the section element),
+// an optional number, a navTitle for the sidebar, a title and subtitle for
+// the header, a Font Awesome icon and a list of typed blocks. Chapters
+// without blocks are listed in the table of contents but not yet written.
+// Cards and titled groups carry their own id so they can be linked to.
+// An optional quiz lists the chapter's "Test yourself" questions (see ai-quiz.js).
+
+const AI_CHAPTERS = [
+    {
+        id: 'introduction',
+        number: null,
+        hero: true,
+        navTitle: 'Introduction',
+        title: 'The AI Encyclopedia',
+        subtitle: 'From Genesis to Singularity: Understanding Artificial Intelligence',
+        icon: 'rocket',
+        blocks: [
+            {
+                type: 'cards',
+                layout: 'intro-cards',
+                items: [
+                    { type: 'intro-card', id: 'historical-journey', icon: 'history', title: 'Historical Journey', text: 'Trace AI\'s evolution from ancient myths to modern reality' },
+                    { type: 'intro-card', id: 'global-impact', icon: 'globe', title: 'Global Impact', text: 'Understand how AI is reshaping every aspect of human life' },
+                    { type: 'intro-card', id: 'critical-analysis', icon: 'shield-alt', title: 'Critical Analysis', text: 'Examine both the promises and perils of artificial intelligence' }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'welcome',
+                className: 'intro-content',
+                title: 'Welcome to the Future',
+                blocks: [
+                    { type: 'paragraph', text: 'Artificial Intelligence stands as humanity\'s most ambitious creation—a mirror reflecting our intelligence, aspirations, and deepest fears. This encyclopedia chronicles the complete journey of AI, from its philosophical origins to its potential role in humanity\'s final chapter.' },
+                    { type: 'paragraph', text: 'We are living through a pivotal moment in history. AI is not just a technology; it\'s a force that will redefine what it means to be human. This comprehensive guide will take you through every crucial aspect of this transformation.' },
+                    { type: 'quote', variant: 'quote-box', text: 'The development of full artificial intelligence could spell the end of the human race... It would take off on its own, and re-design itself at an ever increasing rate.', cite: 'Stephen Hawking', refs: ['bbc-hawking-2014'] }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'genesis',
+        number: 1,
+        navTitle: 'Genesis of AI',
+        title: 'Genesis of AI',
+        subtitle: 'The birth of an idea that would change everything',
+        icon: 'seedling',
+        blocks: [
+            {
+                type: 'cards',
+                layout: 'timeline',
+                items: [
+                    { type: 'timeline-item', id: 'mythological-beginnings', date: 'Ancient Times', title: 'Mythological Beginnings', text: 'From Pygmalion\'s Galatea to Jewish golems, humanity has always dreamed of breathing life into artificial beings. These myths laid the conceptual foundation for artificial intelligence.' },
+                    { type: 'timeline-item', id: 'turing-test-1950', category: 'foundations', date: '1950', title: 'The Turing Test', text: 'Alan Turing proposed the famous test: "Can machines think?" His paper "Computing Machinery and Intelligence" became the philosophical cornerstone of AI research.' },
+                    { type: 'timeline-item', id: 'dartmouth-1956', category: 'foundations', date: '1956', title: 'The Dartmouth Conference', text: 'John McCarthy, Marvin Minsky, and others coined the term "Artificial Intelligence" and established it as a formal field of study. The dream became a science.' },
+                    { type: 'timeline-item', id: 'early-programs', category: 'language', date: '1960s-70s', title: 'Early Programs', text: 'ELIZA, the first chatbot, convinced users they were talking to a human therapist. Early expert systems showed AI\'s potential for specialized knowledge domains.' }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'philosophical-foundation',
+                className: 'deep-dive',
+                title: 'The Philosophical Foundation',
+                blocks: [
+                    { type: 'paragraph', text: 'The quest for artificial intelligence began not in laboratories, but in the human imagination. Ancient civilizations spoke of automatons and artificial beings, but it was the convergence of mathematics, philosophy, and engineering in the 20th century that made AI possible.' },
+                    { type: 'paragraph', text: 'The fundamental questions that drove early AI researchers remain relevant today: Can consciousness be replicated? Is intelligence substrate-independent? These questions would prove prophetic as we now face the reality of potentially conscious machines.' }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'turing-question', type: 'choice', prompt: 'What question did Alan Turing\'s 1950 paper set out to answer?', options: ['Can machines think?', 'Can machines feel pain?', 'Can computers play chess?', 'Can programs write other programs?'], answer: 0, explanation: 'In "Computing Machinery and Intelligence" Turing asked "Can machines think?" and proposed the test now named after him.' },
+            { id: 'naming-the-field', type: 'choice', prompt: 'Where was the term "Artificial Intelligence" coined?', options: ['At the Dartmouth Conference', 'In ELIZA\'s source code', 'At IBM during the Deep Blue match', 'In Turing\'s 1950 paper'], answer: 0, explanation: 'John McCarthy, Marvin Minsky and others coined the term at Dartmouth in 1956 and established AI as a formal field of study.' },
+            { id: 'eliza', type: 'choice', prompt: 'Who did ELIZA convince users they were talking to?', options: ['A human therapist', 'A chess grandmaster', 'A librarian', 'A customer service agent'], answer: 0 },
+            { id: 'early-order', type: 'order', prompt: 'Put these early moments in AI history in the order they happened.', cards: ['early-programs', 'turing-test-1950', 'dartmouth-1956'] }
+        ]
+    },
+    {
+        id: 'evolution',
+        number: 2,
+        navTitle: 'Evolution & Milestones',
+        title: 'Evolution & Milestones',
+        subtitle: 'The exponential journey from simple programs to superintelligence',
+        icon: 'chart-line',
+        blocks: [
+            {
+                type: 'cards',
+                layout: 'milestone-grid',
+                items: [
+                    { type: 'milestone-card', id: 'deep-blue-1997', category: 'games', year: '1997', title: 'Deep Blue vs Kasparov', text: 'IBM\'s Deep Blue defeated world chess champion Garry Kasparov, proving AI could outperform humans in strategic thinking.' },
+                    { type: 'milestone-card', id: 'watson-2011', category: 'language', year: '2011', title: 'Watson Wins Jeopardy', text: 'IBM Watson demonstrated natural language processing by defeating human champions in the quiz show Jeopardy.' },
+                    { type: 'milestone-card', id: 'alphago-2016', category: 'games', year: '2016', title: 'AlphaGo\'s Victory', text: 'DeepMind\'s AlphaGo beat world Go champion Lee Sedol, mastering a game with more positions than atoms in the observable universe.' },
+                    { type: 'milestone-card', id: 'gpt3-2020', category: 'language', year: '2020', title: 'GPT-3 Language Revolution', text: 'OpenAI\'s GPT-3 with 175 billion parameters demonstrated unprecedented language understanding and generation capabilities.' },
+                    { type: 'milestone-card', id: 'chatgpt-2022', category: 'language', year: '2022', title: 'ChatGPT Goes Viral', text: 'ChatGPT reached 100 million users in 2 months, bringing AI into mainstream consciousness and changing how we work.' },
+                    { type: 'milestone-card', id: 'multimodal-2023', category: 'multimodal', year: '2023', title: 'Multimodal AI Era', text: 'GPT-4, Claude, and other models integrated text, images, and code, approaching human-level performance across domains.' }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'exponential-curve',
+                className: 'evolution-chart',
+                title: 'The Exponential Curve',
+                blocks: [
+                    { type: 'paragraph', text: 'AI capabilities have followed an exponential trajectory, with each breakthrough enabling the next. The time between major milestones continues to shrink, suggesting we\'re approaching a critical inflection point.' },
+                    { type: 'timeline' }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'milestone-order', type: 'order', prompt: 'Put these milestones in chronological order.', cards: ['alphago-2016', 'deep-blue-1997', 'chatgpt-2022', 'watson-2011', 'gpt3-2020'], explanation: 'The gaps keep shrinking: fourteen years separate Deep Blue and Watson, but only two separate GPT-3 and ChatGPT.' },
+            { id: 'watson', type: 'choice', prompt: 'How did IBM Watson demonstrate natural language processing in 2011?', options: ['By winning the quiz show Jeopardy', 'By defeating Garry Kasparov at chess', 'By beating Lee Sedol at Go', 'By reaching 100 million users'], answer: 0 },
+            { id: 'chatgpt-users', type: 'choice', prompt: 'How long did ChatGPT take to reach 100 million users?', options: ['2 months', '2 weeks', '1 year', '5 years'], answer: 0, explanation: 'Reaching 100 million users in two months brought AI into mainstream consciousness.' }
+        ]
+    },
+    {
+        id: 'current-state',
+        number: 3,
+        navTitle: 'Current State',
+        title: 'Current State of AI',
+        subtitle: 'Where we stand today in the AI revolution',
+        icon: 'microchip',
+        blocks: [
+            {
+                type: 'cards',
+                layout: 'current-state-overview',
+                items: [
+                    { type: 'metric', id: 'ai-investment', value: '$200B+', label: 'Annual AI Investment' },
+                    { type: 'metric', id: 'billion-dollar-companies', value: '1000+', label: 'AI Companies Valued >$1B' },
+                    { type: 'metric', id: 'business-adoption', value: '85%', label: 'Businesses Using AI' }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'ai-domains',
+                className: 'ai-domains',
+                title: 'AI in Every Domain',
+                blocks: [
+                    {
+                        type: 'cards',
+                        layout: 'domain-grid',
+                        items: [
+                            { type: 'domain-card', id: 'healthcare', icon: 'stethoscope', title: 'Healthcare', text: 'AI diagnoses diseases faster than doctors, discovers new drugs, and personalizes treatments. Medical AI systems can detect cancer, predict heart attacks, and even perform robotic surgeries.' },
+                            { type: 'domain-card', id: 'transportation', icon: 'car', title: 'Transportation', text: 'Autonomous vehicles use computer vision and deep learning to navigate complex environments. Tesla, Waymo, and others are bringing self-driving cars to reality.' },
+                            { type: 'domain-card', id: 'finance', icon: 'chart-bar', title: 'Finance', text: 'AI algorithms execute trades in microseconds, detect fraud, and assess credit risk. High-frequency trading and robo-advisors manage trillions in assets.' },
+                            { type: 'domain-card', id: 'education', icon: 'graduation-cap', title: 'Education', text: 'Personalized learning platforms adapt to individual students. AI tutors provide 24/7 support, while automated grading frees teachers for more meaningful interactions.' },
+                            { type: 'domain-card', id: 'security', icon: 'shield-alt', title: 'Security', text: 'AI-powered surveillance systems recognize faces, detect anomalies, and predict threats. Military applications include autonomous weapons and strategic planning.' },
+                            { type: 'domain-card', id: 'creative-arts', icon: 'paint-brush', title: 'Creative Arts', text: 'AI generates art, composes music, writes poetry, and creates videos. Tools like DALL-E, Midjourney, and Stable Diffusion democratize creative expression.' }
+                        ]
+                    }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'self-driving', type: 'choice', prompt: 'Which techniques let autonomous vehicles navigate complex environments?', options: ['Computer vision and deep learning', 'Hand-written expert system rules', 'Robo-advisors', 'Automated grading'], answer: 0 },
+            { id: 'finance', type: 'choice', prompt: 'Which of these does the chapter say AI does in finance?', options: ['Executes trades in microseconds and detects fraud', 'Diagnoses diseases', 'Composes music', 'Grades homework'], answer: 0, explanation: 'In finance, AI algorithms execute trades, detect fraud and assess credit risk; robo-advisors manage trillions in assets.' }
+        ]
+    },
+    {
+        id: 'human-transformation',
+        number: 4,
+        navTitle: 'Transforming Humanity',
+        title: 'Transforming Humanity',
+        icon: 'users'
+    },
+    {
+        id: 'dark-side',
+        number: 5,
+        navTitle: 'The Dark Side',
+        title: 'The Dark Side of AI',
+        subtitle: 'The shadows cast by artificial intelligence',
+        icon: 'exclamation-triangle',
+        blocks: [
+            { type: 'alert', icon: 'exclamation-triangle', label: 'Warning:', text: 'The following content discusses serious risks and potential negative outcomes associated with AI development.' },
+            {
+                type: 'cards',
+                layout: 'dark-themes',
+                items: [
+                    {
+                        type: 'dark-card',
+                        id: 'surveillance-state',
+                        severity: 'critical',
+                        icon: 'eye',
+                        title: 'Surveillance State',
+                        text: 'AI enables unprecedented surveillance capabilities, creating the infrastructure for authoritarian control.',
+                        details: {
+                            heading: 'Current Reality:',
+                            items: [
+                                'China\'s social credit system monitors 1.4 billion people',
+                                'Facial recognition systems track movements in real-time',
+                                'Predictive policing algorithms profile citizens',
+                                'Digital footprints reveal intimate personal details'
+                            ]
+                        }
+                    },
+                    {
+                        type: 'dark-card',
+                        id: 'autonomous-weapons',
+                        severity: 'critical',
+                        icon: 'crosshairs',
+                        title: 'Autonomous Weapons',
+                        text: 'AI-powered weapons systems can select and engage targets without human intervention.',
+                        details: {
+                            heading: 'Military Applications:',
+                            items: [
+                                'Lethal autonomous weapon systems (LAWS)',
+                                'AI-guided missiles and drones',
+                                'Cyber warfare and infrastructure attacks',
+                                'Automated defense systems'
+                            ]
+                        }
+                    },
+                    {
+                        type: 'dark-card',
+                        id: 'existential-risk',
+                        severity: 'critical',
+                        icon: 'skull-crossbones',
+                        title: 'Existential Risk',
+                        text: 'Advanced AI systems could pose an existential threat to human civilization.',
+                        details: {
+                            heading: 'Potential Scenarios:',
+                            items: [
+                                'Misaligned superintelligence',
+                                'Rapid recursive self-improvement',
+                                'Loss of human agency and control',
+                                'Instrumental convergence leading to human displacement'
+                            ]
+                        }
+                    }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'autonomous-weapons', type: 'choice', prompt: 'What sets autonomous weapons apart from other weapons systems?', options: ['They can select and engage targets without human intervention', 'They only operate in cyberspace', 'They need constant human supervision', 'They cannot be used by militaries'], answer: 0 }
+        ]
+    },
+    {
+        id: 'psychological-impact',
+        number: 6,
+        navTitle: 'Psychological Impact',
+        title: 'Psychological Impact on Human Minds',
+        subtitle: 'How AI is rewiring human consciousness and behavior',
+        icon: 'brain',
+        blocks: [
+            {
+                type: 'cards',
+                layout: 'psych-overview',
+                items: [
+                    { type: 'stat', id: 'ai-anxiety', value: '73%', label: 'Experience AI-related anxiety' },
+                    { type: 'stat', id: 'job-displacement', value: '45%', label: 'Fear job displacement' },
+                    { type: 'stat', id: 'privacy-worries', value: '62%', label: 'Worry about privacy' },
+                    { type: 'stat', id: 'digital-addiction', value: '38%', label: 'Show signs of digital addiction' }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'mental-health-crisis',
+                className: 'mental-health-crisis',
+                title: 'The Emerging Mental Health Crisis',
+                blocks: [
+                    {
+                        type: 'cards',
+                        layout: 'crisis-aspects',
+                        items: [
+                            { type: 'crisis-item', id: 'technology-addiction', emoji: '📱', title: 'Technology Addiction', text: 'AI-powered recommendation algorithms are designed to maximize user engagement, leading to compulsive usage patterns similar to gambling addiction. The constant dopamine hits from notifications and personalized content create dependency cycles.' },
+                            { type: 'crisis-item', id: 'identity-confusion', emoji: '🎭', title: 'Identity Confusion', text: 'As AI systems become more capable, humans struggle with questions of identity and purpose. Young people especially face confusion about their future relevance and career prospects in an AI-dominated world.' },
+                            { type: 'crisis-item', id: 'reality-distortion', emoji: '🔍', title: 'Reality Distortion', text: 'AI-generated content, deepfakes, and personalized information bubbles create confusion about what\'s real. This "epistemic crisis" undermines trust in institutions, media, and even personal experiences.' }
+                        ]
+                    }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'engagement', type: 'choice', prompt: 'Why do AI-powered recommendation algorithms lead to compulsive use?', options: ['They are designed to maximize user engagement', 'They block other apps', 'They are required by law', 'They limit screen time'], answer: 0, explanation: 'Optimising for engagement produces usage patterns similar to gambling addiction.' },
+            { id: 'epistemic-crisis', type: 'choice', prompt: 'What does the chapter call the confusion about what is real caused by deepfakes and information bubbles?', options: ['An epistemic crisis', 'An intelligence explosion', 'A feedback loop', 'Identity confusion'], answer: 0 }
+        ]
+    },
+    {
+        id: 'future-scenarios',
+        number: 7,
+        navTitle: 'Future Scenarios',
+        title: 'Future Scenarios',
+        icon: 'crystal-ball'
+    },
+    {
+        id: 'singularity',
+        number: 8,
+        navTitle: 'The Singularity',
+        title: 'The Singularity',
+        subtitle: 'The event horizon of human history',
+        icon: 'infinity',
+        blocks: [
+            {
+                type: 'group',
+                className: 'singularity-definition',
+                blocks: [
+                    {
+                        type: 'group',
+                        id: 'what-is-the-singularity',
+                        className: 'definition-card',
+                        title: 'What is the Singularity?',
+                        blocks: [
+                            { type: 'paragraph', text: 'The technological singularity represents a hypothetical point in the future when artificial intelligence becomes so advanced that it triggers runaway technological growth, resulting in unforeseeable changes to human civilization.' },
+                            {
+                                type: 'cards',
+                                layout: 'definition-aspects',
+                                items: [
+                                    { type: 'aspect', id: 'intelligence-explosion', emoji: '🧠', title: 'Intelligence Explosion', text: 'AI systems become capable of recursive self-improvement, rapidly enhancing their own capabilities beyond human comprehension.' },
+                                    { type: 'aspect', id: 'feedback-loop', emoji: '🔄', title: 'Feedback Loop', text: 'Each improvement enables the AI to make even better improvements, creating an exponential growth curve.' },
+                                    { type: 'aspect', id: 'unpredictability', emoji: '🌌', title: 'Unpredictability', text: 'Beyond this point, human predictions about technology and society become meaningless.' }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                type: 'group',
+                id: 'timeline-to-singularity',
+                className: 'singularity-timeline',
+                title: 'Timeline to Singularity',
+                blocks: [
+                    {
+                        type: 'cards',
+                        layout: 'timeline-predictions',
+                        items: [
+                            {
+                                type: 'prediction-card',
+                                id: 'kurzweil-2045',
+                                predictor: 'Ray Kurzweil',
+                                estimate: { year: 2045 },
+                                confidence: 'high',
+                                source: { title: 'The Singularity Is Near', publisher: 'Viking' },
+                                madeIn: 2005,
+                                quote: 'By 2045, we will have expanded the intelligence of our human-machine civilization a billion-fold.'
+                            },
+                            {
+                                type: 'prediction-card',
+                                id: 'russell-2050',
+                                predictor: 'Stuart Russell',
+                                estimate: { from: 2050, to: 2100 },
+                                confidence: 'low',
+                                source: { title: 'Human Compatible', publisher: 'Viking' },
+                                madeIn: 2019,
+                                quote: 'AGI could arrive anywhere between 2050-2100, depending on breakthrough timing.'
+                            },
+                            {
+                                type: 'prediction-card',
+                                id: 'vinge-2030',
+                                predictor: 'Vernor Vinge',
+                                estimate: { from: 2005, to: 2030 },
+                                confidence: 'medium',
+                                source: { title: 'The Coming Technological Singularity', publisher: 'NASA VISION-21 Symposium' },
+                                madeIn: 1993,
+                                quote: 'Within thirty years, we will have the technological means to create superhuman intelligence. Shortly after, the human era will be ended.'
+                            },
+                            {
+                                type: 'prediction-card',
+                                id: 'ai-impacts-2059',
+                                predictor: 'AI Impacts expert survey',
+                                estimate: { year: 2059 },
+                                confidence: 'medium',
+                                source: { title: '2022 Expert Survey on Progress in AI', publisher: 'AI Impacts', url: 'https://aiimpacts.org/2022-expert-survey-on-progress-in-ai/' },
+                                madeIn: 2022,
+                                quote: 'The aggregate forecast time to a 50% chance of high-level machine intelligence was 37 years, i.e. 2059.'
+                            }
+                        ]
+                    },
+                    { type: 'prediction-explorer' }
+                ]
+            }
+        ],
+        quiz: [
+            { id: 'explosion', type: 'choice', prompt: 'What drives an intelligence explosion?', options: ['Recursive self-improvement', 'Faster internet connections', 'More human programmers', 'Cheaper electricity'], answer: 0, explanation: 'Each improvement lets the AI make even better improvements, creating an exponential feedback loop.' },
+            { id: 'kurzweil', type: 'choice', prompt: 'By which year does Ray Kurzweil expect the intelligence of our human-machine civilization to have expanded a billion-fold?', options: ['2045', '2030', '2059', '2100'], answer: 0 }
+        ]
+    },
+    {
+        id: 'conclusion',
+        number: null,
+        numberLabel: '∞',
+        navTitle: 'Conclusion',
+        title: 'Conclusion',
+        subtitle: 'Standing at the threshold of infinite possibility',
+        icon: 'flag-checkered',
+        blocks: [
+            {
+                type: 'group',
+                id: 'great-convergence',
+                className: 'conclusion-content',
+                title: 'The Great Convergence',
+                blocks: [
+                    { type: 'paragraph', text: 'We stand at a unique moment in the history of intelligence itself. For billions of years, biological intelligence was the only form of intelligence in the universe. In just a few decades, we have created artificial minds that match and increasingly surpass human capabilities.' },
+                    { type: 'paragraph', text: 'This encyclopedia has traced the complete arc of artificial intelligence—from its mythological origins through its current revolutionary impact to its potential role in humanity\'s final transformation. We have examined both the extraordinary promise and the existential peril that AI represents.' },
+                    { type: 'quote', variant: 'final-quote', text: 'The future is not some place we are going to, but one we are creating. The paths are not to be found, but made, and the activity of making them changes both the maker and the destination.', cite: 'John Schaar, adapted for the AI age' },
+                    {
+                        type: 'group',
+                        id: 'epilogue',
+                        className: 'epilogue',
+                        title: 'Epilogue: Beyond the Horizon',
+                        blocks: [
+                            { type: 'paragraph', text: 'As we conclude this journey through the past, present, and possible futures of artificial intelligence, we acknowledge that we are writing the opening chapters of a story whose ending remains unwritten. The next phase of this epic will be determined by the choices we make today.' },
+                            { type: 'paragraph', variant: 'final-words', text: 'The age of artificial intelligence has begun. How it ends is up to us.' }
+                        ]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'glossary',
+        number: null,
+        numberLabel: 'A–Z',
+        navTitle: 'Glossary',
+        title: 'Glossary',
+        subtitle: 'Key terms used throughout the encyclopedia',
+        icon: 'book',
+        blocks: [
+            // Entries come from data/glossary.js
+            { type: 'glossary' }
+        ]
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AI_CHAPTERS };
+}
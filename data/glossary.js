@@ -0,0 +1,147 @@
+// AI Encyclopedia Glossary
+// Terms linked from chapter prose and listed in the Glossary chapter.
+// Entries: { id, term, abbreviation?, aliases, definition, related }. The term, abbreviation and aliases
+// are all linked in chapter text; an all-capitals form such as AGI only matches that exact case.
+
+const AI_GLOSSARY = [
+    {
+        id: 'agi',
+        term: 'Artificial General Intelligence',
+        abbreviation: 'AGI',
+        aliases: [],
+        definition: 'A hypothetical AI system able to understand, learn and carry out any intellectual task a human can, rather than excelling in one narrow domain.',
+        related: ['superintelligence', 'singularity']
+    },
+    {
+        id: 'algorithm',
+        term: 'Algorithm',
+        aliases: [],
+        definition: 'A precise, step-by-step procedure for solving a problem or making a decision. Machine learning algorithms learn their exact behaviour from data.',
+        related: ['machine-learning']
+    },
+    {
+        id: 'artificial-intelligence',
+        term: 'Artificial Intelligence',
+        abbreviation: 'AI',
+        aliases: [],
+        definition: 'The science of building machines that perform tasks which would require intelligence if people did them, such as recognising speech, making decisions or translating languages.',
+        related: ['machine-learning', 'agi']
+    },
+    {
+        id: 'chatbot',
+        term: 'Chatbot',
+        aliases: [],
+        definition: 'A program that holds a conversation with people in natural language. ELIZA, written in the mid-1960s, was one of the first; ChatGPT is a modern example.',
+        related: ['natural-language-processing', 'turing-test']
+    },
+    {
+        id: 'computer-vision',
+        term: 'Computer Vision',
+        aliases: [],
+        definition: 'The field of AI that lets computers interpret images and video, for example recognising faces, reading road signs or spotting tumours in scans.',
+        related: ['deep-learning']
+    },
+    {
+        id: 'deep-learning',
+        term: 'Deep Learning',
+        aliases: [],
+        definition: 'Machine learning with neural networks that have many layers, each learning more abstract features of raw data such as pixels, sound or text.',
+        related: ['machine-learning', 'neural-network']
+    },
+    {
+        id: 'deepfake',
+        term: 'Deepfake',
+        aliases: [],
+        definition: 'Synthetic video, audio or images made with deep learning to show someone saying or doing something they never did.',
+        related: ['deep-learning']
+    },
+    {
+        id: 'expert-system',
+        term: 'Expert System',
+        aliases: [],
+        definition: 'A program that captures a specialist\'s knowledge as hand-written if-then rules to make decisions in a narrow field. Expert systems were the dominant form of AI in the 1970s and 1980s.',
+        related: ['algorithm']
+    },
+    {
+        id: 'existential-risk',
+        term: 'Existential Risk',
+        aliases: [],
+        definition: 'A risk that could cause human extinction or permanently and drastically curtail humanity\'s potential. Misaligned superintelligence is often cited as one.',
+        related: ['superintelligence']
+    },
+    {
+        id: 'intelligence-explosion',
+        term: 'Intelligence Explosion',
+        aliases: [],
+        definition: 'I. J. Good\'s 1965 idea that a machine able to improve its own design could set off a runaway rise in intelligence, leaving human intelligence far behind.',
+        related: ['recursive-self-improvement', 'singularity']
+    },
+    {
+        id: 'machine-learning',
+        term: 'Machine Learning',
+        aliases: [],
+        definition: 'Techniques that let computers learn patterns from examples instead of following rules written by a programmer.',
+        related: ['deep-learning', 'algorithm']
+    },
+    {
+        id: 'multimodal',
+        term: 'Multimodal AI',
+        aliases: ['multimodal'],
+        definition: 'AI that works with several kinds of input and output, such as text, images, audio and code, within a single model.',
+        related: ['deep-learning']
+    },
+    {
+        id: 'natural-language-processing',
+        term: 'Natural Language Processing',
+        abbreviation: 'NLP',
+        aliases: [],
+        definition: 'The field of AI concerned with understanding and generating human language, from translation and summarising to answering questions.',
+        related: ['chatbot', 'parameters']
+    },
+    {
+        id: 'neural-network',
+        term: 'Neural Network',
+        aliases: [],
+        definition: 'A model built from layers of simple connected units, loosely inspired by neurons. Training adjusts the strength of each connection until the network produces useful outputs.',
+        related: ['deep-learning', 'parameters']
+    },
+    {
+        id: 'parameters',
+        term: 'Parameters',
+        aliases: [],
+        definition: 'The adjustable numbers inside a neural network that are learned during training. Model size is often quoted as a parameter count, such as GPT-3\'s 175 billion.',
+        related: ['neural-network']
+    },
+    {
+        id: 'recursive-self-improvement',
+        term: 'Recursive Self-Improvement',
+        aliases: ['self-improvement'],
+        definition: 'An AI system improving its own design, where each improved version is better at making the next improvement.',
+        related: ['intelligence-explosion', 'singularity']
+    },
+    {
+        id: 'singularity',
+        term: 'Technological Singularity',
+        aliases: ['singularity'],
+        definition: 'A hypothetical point at which technological progress, driven by self-improving AI, becomes so fast that what comes after can no longer be predicted.',
+        related: ['intelligence-explosion', 'superintelligence']
+    },
+    {
+        id: 'superintelligence',
+        term: 'Superintelligence',
+        aliases: [],
+        definition: 'An intellect that greatly exceeds the best human minds in practically every field, including scientific creativity, general wisdom and social skills.',
+        related: ['agi', 'singularity']
+    },
+    {
+        id: 'turing-test',
+        term: 'Turing Test',
+        aliases: [],
+        definition: 'Alan Turing\'s 1950 proposal to judge whether a machine can think: a judge chats by text with a machine and a person and tries to tell which is which.',
+        related: ['chatbot']
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AI_GLOSSARY };
+}
@@ -0,0 +1,17 @@
+// AI Encyclopedia Bibliography
+// Sources cited by chapter content. Blocks and cards reference them by id with `refs: ['id']`.
+// Entries: { title, publisher, url, published: 'YYYY[-MM[-DD]]', accessed: 'YYYY-MM-DD' }
+
+const AI_SOURCES = {
+    'bbc-hawking-2014': {
+        title: 'Stephen Hawking warns artificial intelligence could end mankind',
+        publisher: 'BBC News',
+        url: 'https://www.bbc.com/news/technology-30290540',
+        published: '2014-12-02',
+        accessed: '2026-10-19'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AI_SOURCES };
+}
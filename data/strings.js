@@ -0,0 +1,643 @@
+// AI Encyclopedia Interface Strings
+// UI string catalogs, one per locale. Keys missing from a locale fall back to English.
+// Placeholders look like {name}; a message can be { one, other } to pick a plural form by {count}.
+// AI_LOCALES lists the languages offered by the switcher; dir: 'rtl' flips the layout.
+
+const AI_LOCALES = {
+    en: { name: 'English' },
+    es: { name: 'Español' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+const AI_STRINGS = {
+    en: {
+        'app.title': 'The AI Encyclopedia',
+        'app.documentTitle': 'The AI Encyclopedia - From Genesis to Singularity',
+        'app.shortTitle': 'AI Encyclopedia',
+        'app.pageTitle': '{title} | The AI Encyclopedia',
+        'skip.chapter': 'Skip to chapter',
+        'skip.contents': 'Skip to table of contents',
+        'window.close': 'Close',
+        'window.minimize': 'Minimize',
+        'window.fullscreen': 'Toggle full screen',
+        'window.confirmClose': 'Are you sure you want to close the AI Encyclopedia?',
+        'window.minimized': 'Window minimized (simulated)',
+        'window.fullscreenUnsupported': 'Fullscreen not supported',
+        'menu.search': 'Search',
+        'menu.commands': 'Commands and shortcuts',
+        'menu.export': 'Export and print',
+        'menu.settings': 'Settings',
+        'menu.notifications': 'Notifications',
+        'menu.appearance': 'Appearance: {mode}',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.auto': 'Auto',
+        'language.label': 'Language',
+        'nav.label': 'Table of contents',
+        'nav.heading': 'Table of Contents',
+        'chapter.label': 'Chapter {number}: {title}',
+        'chapter.placeholderHeading': 'This chapter hasn\'t been written yet',
+        'chapter.placeholderText': '"{title}" is part of the encyclopedia\'s outline, but its content is still being written. Check back soon, or continue with the next chapter.',
+        'references.heading': 'References',
+        'references.source': 'Source {number}',
+        'references.unknown': 'Unknown source',
+        'references.accessed': 'Accessed {date}',
+        'glossary.seeAlso': 'See also:',
+        'card.copyLink': 'Copy link to this card',
+        'notify.linkCopied': 'Link to card copied to clipboard',
+        'notify.copyFailed': 'Could not copy link: {url}',
+        'notify.easterEgg': '🤖 AI Easter Egg Activated! Welcome, fellow AI enthusiast!',
+        'notify.updateAvailable': 'A new version of the encyclopedia is available.',
+        'notify.reload': 'Reload to update',
+        'notify.bookmarkRemoved': 'Bookmark removed',
+        'notify.highlightRemoved': 'Highlight removed',
+        'notify.undo': 'Undo',
+        'notifications.title': 'Notifications',
+        'notifications.unread': { one: 'Notifications, {count} unread', other: 'Notifications, {count} unread' },
+        'notifications.empty': 'No notifications yet',
+        'notifications.clear': 'Clear all',
+        'notifications.dismiss': 'Dismiss',
+        'search.title': 'Search the AI Encyclopedia',
+        'search.prompt': 'Type to search every chapter and card',
+        'search.noResults': 'No results found for "{query}"',
+        'search.results': { one: '{count} result · ↑↓ to move · ↵ to open', other: '{count} results · ↑↓ to move · ↵ to open' },
+        'offline.available': 'Available offline',
+        'offline.saved': 'Offline: reading the saved copy',
+        'offline.offline': 'Offline',
+        'settings.title': 'Settings',
+        'settings.sound': 'Transition sound',
+        'settings.animation': 'Animations',
+        'settings.animationFull': 'Full',
+        'settings.animationReduced': 'Reduced',
+        'settings.animationOff': 'Off',
+        'settings.fontSize': 'Text size',
+        'settings.lineWidth': 'Line width',
+        'settings.lineWidthNarrow': 'Narrow',
+        'settings.lineWidthNormal': 'Normal',
+        'settings.lineWidthWide': 'Wide',
+        'settings.appearance': 'Appearance',
+        'settings.reset': 'Restore defaults',
+        'export.title': 'Export & Print',
+        'export.chapter': 'This chapter',
+        'export.all': 'Whole encyclopedia',
+        'export.markdown': 'Markdown',
+        'export.epub': 'EPUB e-book',
+        'export.print': 'Print or save as PDF',
+        'narration.group': 'Listen',
+        'narration.listen': 'Listen to this chapter',
+        'narration.pause': 'Pause',
+        'narration.resume': 'Resume listening',
+        'narration.skip': 'Skip paragraph',
+        'narration.stop': 'Stop listening',
+        'narration.options': 'Voice and speed',
+        'narration.voice': 'Voice',
+        'narration.speed': 'Speed',
+        'narration.systemVoice': 'System default',
+        'narration.finished': 'Finished reading the encyclopedia',
+        'commandGroup.general': 'General',
+        'commandGroup.navigation': 'Navigation',
+        'commandGroup.chapters': 'Chapters',
+        'commandGroup.reading': 'Reading',
+        'commandGroup.export': 'Export',
+        'commandGroup.view': 'View',
+        'command.palette': 'Command palette',
+        'command.shortcuts': 'Show keyboard shortcuts',
+        'command.search': 'Search the encyclopedia',
+        'command.highlight': 'Highlight words in every chapter',
+        'command.previousChapter': 'Previous chapter',
+        'command.nextChapter': 'Next chapter',
+        'command.home': 'Back to the introduction',
+        'command.goTo': 'Go to {chapter}',
+        'command.listen': 'Listen to this chapter (play or pause)',
+        'command.skipParagraph': 'Skip to the next paragraph while listening',
+        'command.stopListening': 'Stop listening',
+        'command.copyLink': 'Copy link to this chapter',
+        'command.exportNotes': 'Export my notes',
+        'command.exportChapterMarkdown': 'Export this chapter as Markdown',
+        'command.exportMarkdown': 'Export the encyclopedia as Markdown',
+        'command.exportEpub': 'Export the encyclopedia as an EPUB e-book',
+        'command.printChapter': 'Print this chapter',
+        'command.printAll': 'Print the whole encyclopedia',
+        'command.theme': 'Switch appearance (light, dark, auto)',
+        'command.settings': 'Open settings',
+        'command.notifications': 'Show recent notifications',
+        'command.fullscreen': 'Toggle full screen',
+        'command.language': 'Switch language to {language}',
+        'quiz.heading': 'Test yourself',
+        'quiz.count': { one: '{count} question on this chapter.', other: '{count} questions on this chapter.' },
+        'quiz.lastAttempt': 'Last attempt: {score} of {total}, best {best}.',
+        'quiz.orderHint': 'Use the arrows to move each item into place, earliest first.',
+        'quiz.moveUp': 'Move "{label}" up',
+        'quiz.moveDown': 'Move "{label}" down',
+        'quiz.check': 'Check answers',
+        'quiz.retry': 'Try again',
+        'quiz.score': 'You scored {score} of {total}.',
+        'quiz.correct': 'Correct.',
+        'quiz.unanswered': 'No answer selected.',
+        'quiz.wrong': 'Not quite.',
+        'quiz.rightOrder': 'The right order is {order}.',
+        'quiz.results': 'Test Results',
+        'quiz.clearResults': 'Clear results',
+        'quiz.notTaken': 'Not taken',
+        'progress.heading': 'Reading progress',
+        'progress.reset': 'Reset progress',
+        'progress.read': 'Read',
+        'progress.percentRead': '{percent}% read',
+        'progress.resumeAt': 'Resume at {chapter}, {percent}%',
+        'progress.resume': 'Resume',
+        'progress.dismiss': 'Dismiss',
+        'commands.placeholder': 'Type a command',
+        'commands.results': { one: '{count} command · ↑↓ to move · ↵ to run', other: '{count} commands · ↑↓ to move · ↵ to run' },
+        'commands.noResults': 'No commands match "{query}"',
+        'shortcuts.title': 'Keyboard shortcuts',
+        'shortcuts.close': 'Close',
+        'shortcuts.intro': 'Choose {change} and press the new keys. Backspace removes a shortcut, Esc cancels.',
+        'shortcuts.change': 'Change',
+        'shortcuts.changeLabel': 'Change shortcut for {command}',
+        'shortcuts.pressKeys': 'Press keys…',
+        'shortcuts.none': 'None',
+        'shortcuts.reset': 'Restore default shortcuts',
+        'shortcuts.restored': 'Default shortcuts restored.',
+        'shortcuts.capture': 'Press the new shortcut for "{command}".',
+        'shortcuts.removed': 'Removed the shortcut for "{command}".',
+        'shortcuts.assigned': '{keys} now runs "{command}".',
+        'shortcuts.reassigned': '{keys} now runs "{command}" instead of "{previous}".',
+        'notes.heading': 'My Notes',
+        'notes.empty': 'Select text in a chapter to highlight it, or bookmark a milestone or prediction.',
+        'notes.export': 'Export',
+        'notes.import': 'Import',
+        'notes.imported': { one: 'Imported {count} note', other: 'Imported {count} notes' },
+        'notes.importEmpty': 'No notes found in that file',
+        'notes.importFailed': 'Could not read notes file: {error}',
+        'notes.bookmarkCard': 'Bookmark this card',
+        'notes.highlight': 'Highlight',
+        'notes.addNote': 'Add note',
+        'notes.note': 'Note',
+        'notes.placeholder': 'Add a note…',
+        'notes.remove': 'Remove',
+        'notes.cancel': 'Cancel',
+        'notes.save': 'Save',
+        'find.label': 'Highlight in all chapters',
+        'find.previous': 'Previous match',
+        'find.previousHint': 'Previous match (Shift+Enter)',
+        'find.next': 'Next match',
+        'find.nextHint': 'Next match (Enter)',
+        'find.clear': 'Clear highlights',
+        'find.clearHint': 'Clear highlights (Esc)',
+        'find.noMatches': 'No matches',
+        'find.position': '{index} of {count}',
+        'timeline.label': 'AI timeline. Use plus and minus to zoom, arrow keys to pan.',
+        'timeline.categories': 'Categories',
+        'timeline.foundations': 'Foundations',
+        'timeline.games': 'Games',
+        'timeline.language': 'Language',
+        'timeline.multimodal': 'Multimodal',
+        'timeline.predictions': 'Predictions',
+        'timeline.zoomIn': 'Zoom in',
+        'timeline.zoomOut': 'Zoom out',
+        'timeline.reset': 'Show everything',
+        'timeline.gapsTitle': 'Years between breakthroughs',
+        'timeline.gap': { one: '{from} to {to}: {count} year', other: '{from} to {to}: {count} years' },
+        'timeline.gapTitle': { one: '{from} → {to}: {count} year', other: '{from} → {to}: {count} years' },
+        'timeline.noGaps': 'No breakthroughs selected',
+        'predictions.high': 'High confidence',
+        'predictions.medium': 'Moderate confidence',
+        'predictions.low': 'Low confidence',
+        'predictions.sortBy': 'Sort by',
+        'predictions.sortEstimate': 'Earliest estimate',
+        'predictions.sortConfidence': 'Most confident',
+        'predictions.sortMade': 'Most recent',
+        'predictions.confidence': 'Confidence',
+        'predictions.none': 'No forecasts match the selected confidence levels.',
+        'predictions.summary': { one: '{count} forecast · Median {median} · Middle half {low}–{high} · Full range {from}–{to}', other: '{count} forecasts · Median {median} · Middle half {low}–{high} · Full range {from}–{to}' },
+        'predictions.plot': 'Forecasts plotted on a shared timeline',
+        'predictions.description': '{predictor} ({made}): {estimate}, {confidence}',
+        'predictions.source': '{description}. Source: {source}',
+        'export.contents': 'Contents',
+        'glossary.readMore': 'Read the full entry',
+        'command.easterEgg': 'Easter egg',
+        'export.accessed': 'Accessed {date}'
+    },
+
+    es: {
+        'app.title': 'La Enciclopedia de la IA',
+        'app.documentTitle': 'La Enciclopedia de la IA - Del Génesis a la Singularidad',
+        'app.shortTitle': 'Enciclopedia IA',
+        'app.pageTitle': '{title} | La Enciclopedia de la IA',
+        'skip.chapter': 'Saltar al capítulo',
+        'skip.contents': 'Saltar al índice',
+        'window.close': 'Cerrar',
+        'window.minimize': 'Minimizar',
+        'window.fullscreen': 'Pantalla completa',
+        'window.confirmClose': '¿Seguro que quieres cerrar la Enciclopedia de la IA?',
+        'window.minimized': 'Ventana minimizada (simulado)',
+        'window.fullscreenUnsupported': 'La pantalla completa no está disponible',
+        'menu.search': 'Buscar',
+        'menu.commands': 'Comandos y atajos',
+        'menu.export': 'Exportar e imprimir',
+        'menu.settings': 'Ajustes',
+        'menu.notifications': 'Notificaciones',
+        'menu.appearance': 'Apariencia: {mode}',
+        'theme.light': 'Clara',
+        'theme.dark': 'Oscura',
+        'theme.auto': 'Automática',
+        'language.label': 'Idioma',
+        'nav.label': 'Índice',
+        'nav.heading': 'Índice',
+        'chapter.label': 'Capítulo {number}: {title}',
+        'chapter.placeholderHeading': 'Este capítulo aún no se ha escrito',
+        'chapter.placeholderText': '«{title}» forma parte del esquema de la enciclopedia, pero su contenido todavía se está escribiendo. Vuelve pronto o continúa con el siguiente capítulo.',
+        'references.heading': 'Referencias',
+        'references.source': 'Fuente {number}',
+        'references.unknown': 'Fuente desconocida',
+        'references.accessed': 'Consultado el {date}',
+        'glossary.seeAlso': 'Véase también:',
+        'card.copyLink': 'Copiar el enlace a esta tarjeta',
+        'notify.linkCopied': 'Enlace a la tarjeta copiado al portapapeles',
+        'notify.copyFailed': 'No se pudo copiar el enlace: {url}',
+        'notify.easterEgg': '🤖 ¡Huevo de Pascua activado! ¡Bienvenido, entusiasta de la IA!',
+        'notify.updateAvailable': 'Hay una nueva versión de la enciclopedia.',
+        'notify.reload': 'Recargar para actualizar',
+        'notify.bookmarkRemoved': 'Marcador eliminado',
+        'notify.highlightRemoved': 'Resaltado eliminado',
+        'notify.undo': 'Deshacer',
+        'notifications.title': 'Notificaciones',
+        'notifications.unread': { one: 'Notificaciones, {count} sin leer', other: 'Notificaciones, {count} sin leer' },
+        'notifications.empty': 'Aún no hay notificaciones',
+        'notifications.clear': 'Borrar todo',
+        'notifications.dismiss': 'Descartar',
+        'search.title': 'Buscar en la Enciclopedia de la IA',
+        'search.prompt': 'Escribe para buscar en todos los capítulos y tarjetas',
+        'search.noResults': 'No hay resultados para «{query}»',
+        'search.results': { one: '{count} resultado · ↑↓ para moverte · ↵ para abrir', other: '{count} resultados · ↑↓ para moverte · ↵ para abrir' },
+        'offline.available': 'Disponible sin conexión',
+        'offline.saved': 'Sin conexión: leyendo la copia guardada',
+        'offline.offline': 'Sin conexión',
+        'settings.title': 'Ajustes',
+        'settings.sound': 'Sonido de transición',
+        'settings.animation': 'Animaciones',
+        'settings.animationFull': 'Todas',
+        'settings.animationReduced': 'Reducidas',
+        'settings.animationOff': 'Ninguna',
+        'settings.fontSize': 'Tamaño del texto',
+        'settings.lineWidth': 'Ancho de línea',
+        'settings.lineWidthNarrow': 'Estrecho',
+        'settings.lineWidthNormal': 'Normal',
+        'settings.lineWidthWide': 'Ancho',
+        'settings.appearance': 'Apariencia',
+        'settings.reset': 'Restablecer valores',
+        'export.title': 'Exportar e imprimir',
+        'export.chapter': 'Este capítulo',
+        'export.all': 'Toda la enciclopedia',
+        'export.markdown': 'Markdown',
+        'export.epub': 'Libro electrónico EPUB',
+        'export.print': 'Imprimir o guardar como PDF',
+        'narration.group': 'Escuchar',
+        'narration.listen': 'Escuchar este capítulo',
+        'narration.pause': 'Pausa',
+        'narration.resume': 'Seguir escuchando',
+        'narration.skip': 'Saltar párrafo',
+        'narration.stop': 'Dejar de escuchar',
+        'narration.options': 'Voz y velocidad',
+        'narration.voice': 'Voz',
+        'narration.speed': 'Velocidad',
+        'narration.systemVoice': 'Predeterminada del sistema',
+        'narration.finished': 'Has terminado de escuchar la enciclopedia',
+        'commandGroup.general': 'General',
+        'commandGroup.navigation': 'Navegación',
+        'commandGroup.chapters': 'Capítulos',
+        'commandGroup.reading': 'Lectura',
+        'commandGroup.export': 'Exportar',
+        'commandGroup.view': 'Vista',
+        'command.palette': 'Paleta de comandos',
+        'command.shortcuts': 'Mostrar los atajos de teclado',
+        'command.search': 'Buscar en la enciclopedia',
+        'command.highlight': 'Resaltar palabras en todos los capítulos',
+        'command.previousChapter': 'Capítulo anterior',
+        'command.nextChapter': 'Capítulo siguiente',
+        'command.home': 'Volver a la introducción',
+        'command.goTo': 'Ir a {chapter}',
+        'command.listen': 'Escuchar este capítulo (reproducir o pausar)',
+        'command.skipParagraph': 'Saltar al siguiente párrafo mientras escuchas',
+        'command.stopListening': 'Dejar de escuchar',
+        'command.copyLink': 'Copiar el enlace a este capítulo',
+        'command.exportNotes': 'Exportar mis notas',
+        'command.exportChapterMarkdown': 'Exportar este capítulo en Markdown',
+        'command.exportMarkdown': 'Exportar la enciclopedia en Markdown',
+        'command.exportEpub': 'Exportar la enciclopedia como libro EPUB',
+        'command.printChapter': 'Imprimir este capítulo',
+        'command.printAll': 'Imprimir toda la enciclopedia',
+        'command.theme': 'Cambiar la apariencia (clara, oscura, automática)',
+        'command.settings': 'Abrir los ajustes',
+        'command.notifications': 'Ver las notificaciones recientes',
+        'command.fullscreen': 'Pantalla completa',
+        'command.language': 'Cambiar el idioma a {language}',
+        'quiz.heading': 'Ponte a prueba',
+        'quiz.count': { one: '{count} pregunta sobre este capítulo.', other: '{count} preguntas sobre este capítulo.' },
+        'quiz.lastAttempt': 'Último intento: {score} de {total}, mejor resultado {best}.',
+        'quiz.orderHint': 'Usa las flechas para colocar cada elemento en su sitio, del más antiguo al más reciente.',
+        'quiz.moveUp': 'Subir «{label}»',
+        'quiz.moveDown': 'Bajar «{label}»',
+        'quiz.check': 'Comprobar respuestas',
+        'quiz.retry': 'Intentar de nuevo',
+        'quiz.score': 'Has acertado {score} de {total}.',
+        'quiz.correct': 'Correcto.',
+        'quiz.unanswered': 'No has elegido ninguna respuesta.',
+        'quiz.wrong': 'No exactamente.',
+        'quiz.rightOrder': 'El orden correcto es {order}.',
+        'quiz.results': 'Resultados de los tests',
+        'quiz.clearResults': 'Borrar resultados',
+        'quiz.notTaken': 'Sin hacer',
+        'progress.heading': 'Progreso de lectura',
+        'progress.reset': 'Reiniciar progreso',
+        'progress.read': 'Leído',
+        'progress.percentRead': '{percent} % leído',
+        'progress.resumeAt': 'Continuar en {chapter}, {percent} %',
+        'progress.resume': 'Continuar',
+        'progress.dismiss': 'Descartar',
+        'commands.placeholder': 'Escribe un comando',
+        'commands.results': { one: '{count} comando · ↑↓ para moverte · ↵ para ejecutar', other: '{count} comandos · ↑↓ para moverte · ↵ para ejecutar' },
+        'commands.noResults': 'Ningún comando coincide con «{query}»',
+        'shortcuts.title': 'Atajos de teclado',
+        'shortcuts.close': 'Cerrar',
+        'shortcuts.intro': 'Elige {change} y pulsa las teclas nuevas. Retroceso quita un atajo y Esc cancela.',
+        'shortcuts.change': 'Cambiar',
+        'shortcuts.changeLabel': 'Cambiar el atajo de {command}',
+        'shortcuts.pressKeys': 'Pulsa las teclas…',
+        'shortcuts.none': 'Ninguno',
+        'shortcuts.reset': 'Restaurar los atajos predeterminados',
+        'shortcuts.restored': 'Se han restaurado los atajos predeterminados.',
+        'shortcuts.capture': 'Pulsa el nuevo atajo para «{command}».',
+        'shortcuts.removed': 'Se ha quitado el atajo de «{command}».',
+        'shortcuts.assigned': '{keys} ahora ejecuta «{command}».',
+        'shortcuts.reassigned': '{keys} ahora ejecuta «{command}» en lugar de «{previous}».',
+        'notes.heading': 'Mis notas',
+        'notes.empty': 'Selecciona texto de un capítulo para resaltarlo, o guarda un hito o una predicción en marcadores.',
+        'notes.export': 'Exportar',
+        'notes.import': 'Importar',
+        'notes.imported': { one: 'Se importó {count} nota', other: 'Se importaron {count} notas' },
+        'notes.importEmpty': 'No hay notas en ese archivo',
+        'notes.importFailed': 'No se pudo leer el archivo de notas: {error}',
+        'notes.bookmarkCard': 'Guardar esta tarjeta en marcadores',
+        'notes.highlight': 'Resaltar',
+        'notes.addNote': 'Añadir nota',
+        'notes.note': 'Nota',
+        'notes.placeholder': 'Añade una nota…',
+        'notes.remove': 'Quitar',
+        'notes.cancel': 'Cancelar',
+        'notes.save': 'Guardar',
+        'find.label': 'Resaltar en todos los capítulos',
+        'find.previous': 'Coincidencia anterior',
+        'find.previousHint': 'Coincidencia anterior (Mayús+Intro)',
+        'find.next': 'Coincidencia siguiente',
+        'find.nextHint': 'Coincidencia siguiente (Intro)',
+        'find.clear': 'Quitar resaltados',
+        'find.clearHint': 'Quitar resaltados (Esc)',
+        'find.noMatches': 'Sin coincidencias',
+        'find.position': '{index} de {count}',
+        'timeline.label': 'Cronología de la IA. Usa más y menos para acercar o alejar, y las flechas para desplazarte.',
+        'timeline.categories': 'Categorías',
+        'timeline.foundations': 'Fundamentos',
+        'timeline.games': 'Juegos',
+        'timeline.language': 'Lenguaje',
+        'timeline.multimodal': 'Multimodal',
+        'timeline.predictions': 'Predicciones',
+        'timeline.zoomIn': 'Acercar',
+        'timeline.zoomOut': 'Alejar',
+        'timeline.reset': 'Mostrar todo',
+        'timeline.gapsTitle': 'Años entre avances',
+        'timeline.gap': { one: 'De {from} a {to}: {count} año', other: 'De {from} a {to}: {count} años' },
+        'timeline.gapTitle': { one: '{from} → {to}: {count} año', other: '{from} → {to}: {count} años' },
+        'timeline.noGaps': 'No hay avances seleccionados',
+        'predictions.high': 'Confianza alta',
+        'predictions.medium': 'Confianza moderada',
+        'predictions.low': 'Confianza baja',
+        'predictions.sortBy': 'Ordenar por',
+        'predictions.sortEstimate': 'Estimación más temprana',
+        'predictions.sortConfidence': 'Mayor confianza',
+        'predictions.sortMade': 'Más recientes',
+        'predictions.confidence': 'Confianza',
+        'predictions.none': 'Ninguna predicción coincide con los niveles de confianza seleccionados.',
+        'predictions.summary': { one: '{count} predicción · Mediana {median} · Mitad central {low}–{high} · Rango completo {from}–{to}', other: '{count} predicciones · Mediana {median} · Mitad central {low}–{high} · Rango completo {from}–{to}' },
+        'predictions.plot': 'Predicciones representadas en una misma línea temporal',
+        'predictions.description': '{predictor} ({made}): {estimate}, {confidence}',
+        'predictions.source': '{description}. Fuente: {source}',
+        'export.contents': 'Contenido',
+        'glossary.readMore': 'Leer la entrada completa',
+        'command.easterEgg': 'Huevo de Pascua',
+        'export.accessed': 'Consultado el {date}'
+    },
+
+    ar: {
+        'app.title': 'موسوعة الذكاء الاصطناعي',
+        'app.documentTitle': 'موسوعة الذكاء الاصطناعي - من النشأة إلى التفرّد',
+        'app.shortTitle': 'موسوعة الذكاء الاصطناعي',
+        'app.pageTitle': '{title} | موسوعة الذكاء الاصطناعي',
+        'skip.chapter': 'انتقل إلى الفصل',
+        'skip.contents': 'انتقل إلى جدول المحتويات',
+        'window.close': 'إغلاق',
+        'window.minimize': 'تصغير',
+        'window.fullscreen': 'ملء الشاشة',
+        'window.confirmClose': 'هل تريد بالتأكيد إغلاق موسوعة الذكاء الاصطناعي؟',
+        'window.minimized': 'تم تصغير النافذة (محاكاة)',
+        'window.fullscreenUnsupported': 'وضع ملء الشاشة غير مدعوم',
+        'menu.search': 'بحث',
+        'menu.commands': 'الأوامر والاختصارات',
+        'menu.export': 'تصدير وطباعة',
+        'menu.settings': 'الإعدادات',
+        'menu.notifications': 'الإشعارات',
+        'menu.appearance': 'المظهر: {mode}',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.auto': 'تلقائي',
+        'language.label': 'اللغة',
+        'nav.label': 'جدول المحتويات',
+        'nav.heading': 'جدول المحتويات',
+        'chapter.label': 'الفصل {number}: {title}',
+        'chapter.placeholderHeading': 'لم يُكتب هذا الفصل بعد',
+        'chapter.placeholderText': '«{title}» جزء من مخطط الموسوعة، لكن محتواه لا يزال قيد الكتابة. عُد قريبًا أو تابع إلى الفصل التالي.',
+        'references.heading': 'المراجع',
+        'references.source': 'المصدر {number}',
+        'references.unknown': 'مصدر غير معروف',
+        'references.accessed': 'تاريخ الاطلاع {date}',
+        'glossary.seeAlso': 'انظر أيضًا:',
+        'card.copyLink': 'نسخ رابط هذه البطاقة',
+        'notify.linkCopied': 'تم نسخ رابط البطاقة إلى الحافظة',
+        'notify.copyFailed': 'تعذّر نسخ الرابط: {url}',
+        'notify.easterEgg': '🤖 تم تفعيل المفاجأة! أهلًا بك يا محب الذكاء الاصطناعي!',
+        'notify.updateAvailable': 'يتوفر إصدار جديد من الموسوعة.',
+        'notify.reload': 'أعد التحميل للتحديث',
+        'notify.bookmarkRemoved': 'تمت إزالة الإشارة المرجعية',
+        'notify.highlightRemoved': 'تمت إزالة التظليل',
+        'notify.undo': 'تراجع',
+        'notifications.title': 'الإشعارات',
+        'notifications.unread': { one: 'الإشعارات، إشعار واحد غير مقروء', other: 'الإشعارات، {count} غير مقروءة' },
+        'notifications.empty': 'لا توجد إشعارات بعد',
+        'notifications.clear': 'مسح الكل',
+        'notifications.dismiss': 'تجاهل',
+        'search.title': 'البحث في موسوعة الذكاء الاصطناعي',
+        'search.prompt': 'اكتب للبحث في جميع الفصول والبطاقات',
+        'search.noResults': 'لا توجد نتائج لـ «{query}»',
+        'search.results': { one: 'نتيجة واحدة · ↑↓ للتنقل · ↵ للفتح', other: '{count} نتائج · ↑↓ للتنقل · ↵ للفتح' },
+        'offline.available': 'متاح دون اتصال',
+        'offline.saved': 'دون اتصال: تقرأ النسخة المحفوظة',
+        'offline.offline': 'دون اتصال',
+        'settings.title': 'الإعدادات',
+        'settings.sound': 'صوت الانتقال',
+        'settings.animation': 'الحركة',
+        'settings.animationFull': 'كاملة',
+        'settings.animationReduced': 'مخففة',
+        'settings.animationOff': 'متوقفة',
+        'settings.fontSize': 'حجم النص',
+        'settings.lineWidth': 'عرض السطر',
+        'settings.lineWidthNarrow': 'ضيق',
+        'settings.lineWidthNormal': 'عادي',
+        'settings.lineWidthWide': 'عريض',
+        'settings.appearance': 'المظهر',
+        'settings.reset': 'استعادة الإعدادات الافتراضية',
+        'export.title': 'تصدير وطباعة',
+        'export.chapter': 'هذا الفصل',
+        'export.all': 'الموسوعة كاملة',
+        'export.markdown': 'Markdown',
+        'export.epub': 'كتاب إلكتروني EPUB',
+        'export.print': 'طباعة أو حفظ بصيغة PDF',
+        'narration.group': 'استماع',
+        'narration.listen': 'استمع إلى هذا الفصل',
+        'narration.pause': 'إيقاف مؤقت',
+        'narration.resume': 'متابعة الاستماع',
+        'narration.skip': 'تخطي الفقرة',
+        'narration.stop': 'إيقاف الاستماع',
+        'narration.options': 'الصوت والسرعة',
+        'narration.voice': 'الصوت',
+        'narration.speed': 'السرعة',
+        'narration.systemVoice': 'صوت النظام الافتراضي',
+        'narration.finished': 'انتهت قراءة الموسوعة',
+        'commandGroup.general': 'عام',
+        'commandGroup.navigation': 'التنقل',
+        'commandGroup.chapters': 'الفصول',
+        'commandGroup.reading': 'القراءة',
+        'commandGroup.export': 'التصدير',
+        'commandGroup.view': 'العرض',
+        'command.palette': 'لوحة الأوامر',
+        'command.shortcuts': 'عرض اختصارات لوحة المفاتيح',
+        'command.search': 'البحث في الموسوعة',
+        'command.highlight': 'تمييز الكلمات في جميع الفصول',
+        'command.previousChapter': 'الفصل السابق',
+        'command.nextChapter': 'الفصل التالي',
+        'command.home': 'العودة إلى المقدمة',
+        'command.goTo': 'انتقل إلى {chapter}',
+        'command.listen': 'استمع إلى هذا الفصل (تشغيل أو إيقاف مؤقت)',
+        'command.skipParagraph': 'تخطَّ إلى الفقرة التالية أثناء الاستماع',
+        'command.stopListening': 'إيقاف الاستماع',
+        'command.copyLink': 'نسخ رابط هذا الفصل',
+        'command.exportNotes': 'تصدير ملاحظاتي',
+        'command.exportChapterMarkdown': 'تصدير هذا الفصل بصيغة Markdown',
+        'command.exportMarkdown': 'تصدير الموسوعة بصيغة Markdown',
+        'command.exportEpub': 'تصدير الموسوعة ككتاب EPUB',
+        'command.printChapter': 'طباعة هذا الفصل',
+        'command.printAll': 'طباعة الموسوعة كاملة',
+        'command.theme': 'تبديل المظهر (فاتح، داكن، تلقائي)',
+        'command.settings': 'فتح الإعدادات',
+        'command.notifications': 'عرض الإشعارات الأخيرة',
+        'command.fullscreen': 'ملء الشاشة',
+        'command.language': 'تغيير اللغة إلى {language}',
+        'quiz.heading': 'اختبر نفسك',
+        'quiz.count': { one: 'سؤال واحد عن هذا الفصل.', other: '{count} أسئلة عن هذا الفصل.' },
+        'quiz.lastAttempt': 'آخر محاولة: {score} من {total}، وأفضل نتيجة {best}.',
+        'quiz.orderHint': 'استخدم الأسهم لنقل كل عنصر إلى مكانه، من الأقدم إلى الأحدث.',
+        'quiz.moveUp': 'انقل «{label}» إلى الأعلى',
+        'quiz.moveDown': 'انقل «{label}» إلى الأسفل',
+        'quiz.check': 'تحقّق من الإجابات',
+        'quiz.retry': 'حاول مرة أخرى',
+        'quiz.score': 'حصلت على {score} من {total}.',
+        'quiz.correct': 'صحيح.',
+        'quiz.unanswered': 'لم تختر أي إجابة.',
+        'quiz.wrong': 'ليس تمامًا.',
+        'quiz.rightOrder': 'الترتيب الصحيح هو {order}.',
+        'quiz.results': 'نتائج الاختبارات',
+        'quiz.clearResults': 'مسح النتائج',
+        'quiz.notTaken': 'لم يُجرَ بعد',
+        'progress.heading': 'تقدّم القراءة',
+        'progress.reset': 'إعادة ضبط التقدّم',
+        'progress.read': 'مقروء',
+        'progress.percentRead': 'قُرئ {percent}%',
+        'progress.resumeAt': 'تابع من {chapter}، {percent}%',
+        'progress.resume': 'متابعة',
+        'progress.dismiss': 'تجاهل',
+        'commands.placeholder': 'اكتب أمرًا',
+        'commands.results': { one: 'أمر واحد · ↑↓ للتنقل · ↵ للتنفيذ', other: '{count} أوامر · ↑↓ للتنقل · ↵ للتنفيذ' },
+        'commands.noResults': 'لا توجد أوامر تطابق «{query}»',
+        'shortcuts.title': 'اختصارات لوحة المفاتيح',
+        'shortcuts.close': 'إغلاق',
+        'shortcuts.intro': 'اختر {change} واضغط المفاتيح الجديدة. يزيل مفتاح Backspace الاختصار، ويلغي Esc التغيير.',
+        'shortcuts.change': 'تغيير',
+        'shortcuts.changeLabel': 'تغيير اختصار {command}',
+        'shortcuts.pressKeys': 'اضغط المفاتيح…',
+        'shortcuts.none': 'لا يوجد',
+        'shortcuts.reset': 'استعادة الاختصارات الافتراضية',
+        'shortcuts.restored': 'تمت استعادة الاختصارات الافتراضية.',
+        'shortcuts.capture': 'اضغط الاختصار الجديد لـ «{command}».',
+        'shortcuts.removed': 'أُزيل اختصار «{command}».',
+        'shortcuts.assigned': 'يشغّل {keys} الآن «{command}».',
+        'shortcuts.reassigned': 'يشغّل {keys} الآن «{command}» بدلًا من «{previous}».',
+        'notes.heading': 'ملاحظاتي',
+        'notes.empty': 'حدّد نصًا في أحد الفصول لتمييزه، أو أضف معلمًا أو توقعًا إلى الإشارات المرجعية.',
+        'notes.export': 'تصدير',
+        'notes.import': 'استيراد',
+        'notes.imported': { one: 'تم استيراد ملاحظة واحدة', other: 'تم استيراد {count} ملاحظات' },
+        'notes.importEmpty': 'لا توجد ملاحظات في هذا الملف',
+        'notes.importFailed': 'تعذّرت قراءة ملف الملاحظات: {error}',
+        'notes.bookmarkCard': 'أضف هذه البطاقة إلى الإشارات المرجعية',
+        'notes.highlight': 'تمييز',
+        'notes.addNote': 'إضافة ملاحظة',
+        'notes.note': 'ملاحظة',
+        'notes.placeholder': 'أضف ملاحظة…',
+        'notes.remove': 'إزالة',
+        'notes.cancel': 'إلغاء',
+        'notes.save': 'حفظ',
+        'find.label': 'تمييز في جميع الفصول',
+        'find.previous': 'التطابق السابق',
+        'find.previousHint': 'التطابق السابق (Shift+Enter)',
+        'find.next': 'التطابق التالي',
+        'find.nextHint': 'التطابق التالي (Enter)',
+        'find.clear': 'مسح التمييز',
+        'find.clearHint': 'مسح التمييز (Esc)',
+        'find.noMatches': 'لا توجد تطابقات',
+        'find.position': '{index} من {count}',
+        'timeline.label': 'الخط الزمني للذكاء الاصطناعي. استخدم زرّي الجمع والطرح للتكبير والتصغير، ومفاتيح الأسهم للتحريك.',
+        'timeline.categories': 'الفئات',
+        'timeline.foundations': 'الأسس',
+        'timeline.games': 'الألعاب',
+        'timeline.language': 'اللغة',
+        'timeline.multimodal': 'متعدد الوسائط',
+        'timeline.predictions': 'التوقعات',
+        'timeline.zoomIn': 'تكبير',
+        'timeline.zoomOut': 'تصغير',
+        'timeline.reset': 'عرض الكل',
+        'timeline.gapsTitle': 'السنوات بين الإنجازات',
+        'timeline.gap': { one: 'من {from} إلى {to}: سنة واحدة', other: 'من {from} إلى {to}: {count} سنوات' },
+        'timeline.gapTitle': { one: '{from} ← {to}: سنة واحدة', other: '{from} ← {to}: {count} سنوات' },
+        'timeline.noGaps': 'لم تُحدَّد أي إنجازات',
+        'predictions.high': 'ثقة عالية',
+        'predictions.medium': 'ثقة متوسطة',
+        'predictions.low': 'ثقة منخفضة',
+        'predictions.sortBy': 'ترتيب حسب',
+        'predictions.sortEstimate': 'أقرب تقدير',
+        'predictions.sortConfidence': 'الأعلى ثقة',
+        'predictions.sortMade': 'الأحدث',
+        'predictions.confidence': 'الثقة',
+        'predictions.none': 'لا توجد توقعات تطابق مستويات الثقة المحددة.',
+        'predictions.summary': { one: 'توقع واحد · الوسيط {median} · النصف الأوسط {low}–{high} · المدى الكامل {from}–{to}', other: '{count} توقعات · الوسيط {median} · النصف الأوسط {low}–{high} · المدى الكامل {from}–{to}' },
+        'predictions.plot': 'التوقعات معروضة على خط زمني مشترك',
+        'predictions.description': '{predictor} ({made}): {estimate}، {confidence}',
+        'predictions.source': '{description}. المصدر: {source}',
+        'export.contents': 'المحتويات',
+        'glossary.readMore': 'اقرأ المدخل كاملًا',
+        'command.easterEgg': 'مفاجأة مخفية',
+        'export.accessed': 'تاريخ الاطلاع {date}'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AI_LOCALES, AI_STRINGS };
+}
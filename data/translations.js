@@ -0,0 +1,90 @@
+// AI Encyclopedia Chapter Translations
+// Per-locale chapter content, keyed by chapter id. Any field given here (navTitle, title, subtitle,
+// blocks, quiz) replaces the English one from data/chapters.js; anything left out stays in English.
+// Translated blocks must keep the English card and group ids so links work in every language.
+
+const AI_TRANSLATIONS = {
+    es: {
+        introduction: {
+            navTitle: 'Introducción',
+            title: 'La Enciclopedia de la IA',
+            subtitle: 'Del Génesis a la Singularidad: comprender la inteligencia artificial',
+            blocks: [
+                {
+                    type: 'cards',
+                    layout: 'intro-cards',
+                    items: [
+                        { type: 'intro-card', id: 'historical-journey', icon: 'history', title: 'Recorrido histórico', text: 'Sigue la evolución de la IA desde los mitos antiguos hasta la realidad actual' },
+                        { type: 'intro-card', id: 'global-impact', icon: 'globe', title: 'Impacto global', text: 'Comprende cómo la IA está transformando cada aspecto de la vida humana' },
+                        { type: 'intro-card', id: 'critical-analysis', icon: 'shield-alt', title: 'Análisis crítico', text: 'Examina tanto las promesas como los peligros de la inteligencia artificial' }
+                    ]
+                },
+                {
+                    type: 'group',
+                    id: 'welcome',
+                    className: 'intro-content',
+                    title: 'Bienvenido al futuro',
+                    blocks: [
+                        { type: 'paragraph', text: 'La inteligencia artificial es la creación más ambiciosa de la humanidad: un espejo que refleja nuestra inteligencia, nuestras aspiraciones y nuestros miedos más profundos. Esta enciclopedia narra el recorrido completo de la IA, desde sus orígenes filosóficos hasta su posible papel en el capítulo final de la humanidad.' },
+                        { type: 'paragraph', text: 'Vivimos un momento decisivo de la historia. La IA no es solo una tecnología; es una fuerza que redefinirá lo que significa ser humano. Esta guía te llevará por cada aspecto crucial de esta transformación.' },
+                        { type: 'quote', variant: 'quote-box', text: 'El desarrollo de una inteligencia artificial completa podría significar el fin de la raza humana... Despegaría por sí sola y se rediseñaría a un ritmo cada vez mayor.', cite: 'Stephen Hawking', refs: ['bbc-hawking-2014'] }
+                    ]
+                }
+            ]
+        },
+        genesis: { navTitle: 'Génesis de la IA', title: 'Génesis de la IA', subtitle: 'El nacimiento de una idea que lo cambiaría todo' },
+        evolution: { navTitle: 'Evolución e hitos', title: 'Evolución e hitos', subtitle: 'El viaje exponencial de los programas sencillos a la superinteligencia' },
+        'current-state': { navTitle: 'Estado actual', title: 'El estado actual de la IA', subtitle: 'Dónde estamos hoy en la revolución de la IA' },
+        'human-transformation': { navTitle: 'Transformar la humanidad', title: 'Transformar la humanidad' },
+        'dark-side': { navTitle: 'El lado oscuro', title: 'El lado oscuro de la IA', subtitle: 'Las sombras que proyecta la inteligencia artificial' },
+        'psychological-impact': { navTitle: 'Impacto psicológico', title: 'El impacto psicológico en la mente humana', subtitle: 'Cómo la IA está reconfigurando la conciencia y el comportamiento humanos' },
+        'future-scenarios': { navTitle: 'Escenarios futuros', title: 'Escenarios futuros' },
+        singularity: { navTitle: 'La Singularidad', title: 'La Singularidad', subtitle: 'El horizonte de sucesos de la historia humana' },
+        conclusion: { navTitle: 'Conclusión', title: 'Conclusión', subtitle: 'En el umbral de posibilidades infinitas' },
+        glossary: { navTitle: 'Glosario', title: 'Glosario', subtitle: 'Términos clave usados en toda la enciclopedia' }
+    },
+
+    ar: {
+        introduction: {
+            navTitle: 'المقدمة',
+            title: 'موسوعة الذكاء الاصطناعي',
+            subtitle: 'من النشأة إلى التفرّد: فهم الذكاء الاصطناعي',
+            blocks: [
+                {
+                    type: 'cards',
+                    layout: 'intro-cards',
+                    items: [
+                        { type: 'intro-card', id: 'historical-journey', icon: 'history', title: 'رحلة تاريخية', text: 'تتبّع تطور الذكاء الاصطناعي من الأساطير القديمة إلى الواقع الحديث' },
+                        { type: 'intro-card', id: 'global-impact', icon: 'globe', title: 'أثر عالمي', text: 'افهم كيف يعيد الذكاء الاصطناعي تشكيل كل جانب من جوانب الحياة البشرية' },
+                        { type: 'intro-card', id: 'critical-analysis', icon: 'shield-alt', title: 'تحليل نقدي', text: 'تأمّل وعود الذكاء الاصطناعي ومخاطره على حد سواء' }
+                    ]
+                },
+                {
+                    type: 'group',
+                    id: 'welcome',
+                    className: 'intro-content',
+                    title: 'مرحبًا بك في المستقبل',
+                    blocks: [
+                        { type: 'paragraph', text: 'الذكاء الاصطناعي هو أكثر ابتكارات البشرية طموحًا، مرآة تعكس ذكاءنا وتطلعاتنا وأعمق مخاوفنا. تروي هذه الموسوعة الرحلة الكاملة للذكاء الاصطناعي، من أصوله الفلسفية إلى دوره المحتمل في الفصل الأخير من تاريخ البشرية.' },
+                        { type: 'paragraph', text: 'نعيش لحظة فارقة في التاريخ. فالذكاء الاصطناعي ليس مجرد تقنية، بل قوة ستعيد تعريف معنى أن تكون إنسانًا. سيأخذك هذا الدليل عبر كل جانب حاسم من جوانب هذا التحول.' },
+                        { type: 'quote', variant: 'quote-box', text: 'قد يعني تطوير ذكاء اصطناعي كامل نهاية الجنس البشري... سينطلق من تلقاء نفسه ويعيد تصميم ذاته بوتيرة متسارعة باستمرار.', cite: 'ستيفن هوكينغ', refs: ['bbc-hawking-2014'] }
+                    ]
+                }
+            ]
+        },
+        genesis: { navTitle: 'نشأة الذكاء الاصطناعي', title: 'نشأة الذكاء الاصطناعي', subtitle: 'ميلاد فكرة ستغيّر كل شيء' },
+        evolution: { navTitle: 'التطور والمحطات', title: 'التطور والمحطات', subtitle: 'الرحلة المتسارعة من البرامج البسيطة إلى الذكاء الفائق' },
+        'current-state': { navTitle: 'الوضع الراهن', title: 'الوضع الراهن للذكاء الاصطناعي', subtitle: 'أين نقف اليوم في ثورة الذكاء الاصطناعي' },
+        'human-transformation': { navTitle: 'تحوّل البشرية', title: 'تحوّل البشرية' },
+        'dark-side': { navTitle: 'الجانب المظلم', title: 'الجانب المظلم للذكاء الاصطناعي', subtitle: 'الظلال التي يلقيها الذكاء الاصطناعي' },
+        'psychological-impact': { navTitle: 'الأثر النفسي', title: 'الأثر النفسي على العقول البشرية', subtitle: 'كيف يعيد الذكاء الاصطناعي تشكيل الوعي والسلوك البشري' },
+        'future-scenarios': { navTitle: 'سيناريوهات المستقبل', title: 'سيناريوهات المستقبل' },
+        singularity: { navTitle: 'التفرّد', title: 'التفرّد', subtitle: 'أفق الحدث في تاريخ البشرية' },
+        conclusion: { navTitle: 'الخاتمة', title: 'الخاتمة', subtitle: 'على أعتاب إمكانات لا حدود لها' },
+        glossary: { navTitle: 'المسرد', title: 'المسرد', subtitle: 'المصطلحات الأساسية المستخدمة في الموسوعة' }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AI_TRANSLATIONS };
+}
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Pre-renders a standalone page per chapter, with its own title, description, social cards,
+// canonical URL and structured data, plus a sitemap. Once loaded, each page runs the full app.
+// Usage: node scripts/build-pages.js [--base-url=<https://example.org/encyclopedia/>] [--out=dist] [--date=YYYY-MM-DD]
+//   --base-url  public address the site is served from; canonical and social URLs are built on it
+//               (default $SITE_URL, then the homepage in package.json)
+//   --out       output directory, replaced on every build (default dist); an existing directory is only
+//               replaced when it is dist or was written by this script, so source folders are never wiped
+//   --date      last-modified date written to the sitemap (default today)
+
+const fs = require('fs');
+const path = require('path');
+
+// Shared helpers are plain globals in the browser; mirror that for the renderer
+Object.assign(global, require('../data/strings.js'), require('../ai-i18n.js'),
+    require('../ai-predictions.js'), require('../ai-timeline.js'), require('../ai-quiz.js'));
+
+const { AI_CHAPTERS } = require('../data/chapters.js');
+const { AI_SOURCES } = require('../data/sources.js');
+const { AI_GLOSSARY } = require('../data/glossary.js');
+const { ChapterRenderer } = require('../ai-renderer.js');
+
+const ROOT = path.join(__dirname, '..');
+const DESCRIPTION_LENGTH = 160;
+const DEFAULT_OUT = path.join(ROOT, 'dist');
+
+// Left in every output directory so a later build knows it may replace it
+const BUILD_MARKER = '.build-pages';
+
+// Everything the pages load at runtime, copied next to them
+const STATIC_ASSETS = ['data', 'icons', 'vendor', 'manifest.webmanifest', 'sw.js'];
+
+function option(name, fallback) {
+    const arg = process.argv.find(item => item.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+function fileFor(chapter, index) {
+    return index === 0 ? 'index.html' : `${chapter.id}.html`;
+}
+
+function firstParagraph(blocks = []) {
+    for (const block of blocks) {
+        if (block.type === 'paragraph') return block.text;
+        const nested = firstParagraph(block.blocks);
+        if (nested) return nested;
+    }
+    return null;
+}
+
+// Opening paragraph, cut at a word boundary to fit search result snippets
+function describe(chapter) {
+    const text = firstParagraph(chapter.blocks) || chapter.subtitle
+        || I18n.t('chapter.placeholderText', { title: chapter.title });
+    if (text.length <= DESCRIPTION_LENGTH) return text;
+
+    const cut = text.slice(0, DESCRIPTION_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:.]+$/, '')}…`;
+}
+
+// JSON-LD sits inside a script element, so "<" must not close it early
+function jsonLd(data) {
+    return JSON.stringify(data, null, 4).replace(/</g, '\\u003c');
+}
+
+function metadata(chapter, { url, homeUrl, description, renderer }) {
+    const title = renderer.pageTitle(chapter);
+    const esc = value => renderer.escape(value);
+    const type = chapter.hero ? 'website' : 'article';
+
+    const structured = chapter.hero
+        ? { '@context': 'https://schema.org', '@type': 'WebSite', name: I18n.t('app.title'), description, url, inLanguage: 'en' }
+        : {
+            '@context': 'https://schema.org',
+            '@type': 'Article',
+            headline: chapter.title,
+            description,
+            url,
+            inLanguage: 'en',
+            isPartOf: { '@type': 'WebSite', name: I18n.t('app.title'), url: homeUrl }
+        };
+
+    return `<title>${esc(title)}</title>
+    <meta name="description" content="${esc(description)}">
+    <link rel="canonical" href="${esc(url)}">${chapter.blocks ? '' : `
+    <meta name="robots" content="noindex">`}
+    <meta property="og:type" content="${type}">
+    <meta property="og:site_name" content="${esc(I18n.t('app.title'))}">
+    <meta property="og:title" content="${esc(title)}">
+    <meta property="og:description" content="${esc(description)}">
+    <meta property="og:url" content="${esc(url)}">
+    <meta property="og:locale" content="en_US">
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${esc(title)}">
+    <meta name="twitter:description" content="${esc(description)}">
+    <script type="application/ld+json">
+${jsonLd(structured)}
+    </script>`;
+}
+
+// Fill the shell's empty containers; fails loudly if index.html no longer has them
+function fill(template, pattern, replacement) {
+    if (!pattern.test(template)) {
+        throw new Error(`index.html has no match for ${pattern}`);
+    }
+    return template.replace(pattern, replacement);
+}
+
+function renderPage(template, chapter, context) {
+    const { renderer, hrefFor } = context;
+    let html = template;
+
+    html = fill(html, /<title>[^<]*<\/title>/, () => metadata(chapter, context));
+    html = fill(html, /<body>/, `<body data-chapter="${renderer.escape(chapter.id)}">`);
+    html = fill(html, /(<nav class="sidebar-nav"[^>]*>)(<\/nav>)/, (match, open, close) => `${open}${renderer.renderNav(chapter.id, hrefFor)}\n        ${close}`);
+    html = fill(html, /(<div class="content-wrapper">)(<\/div>)/, (match, open, close) => `${open}${renderer.renderSection(chapter, true)}\n        ${close}`);
+
+    return html;
+}
+
+// Why outDir must not be wiped, or null when it is safe to replace
+function unsafeOutput(outDir) {
+    if (outDir === ROOT || ROOT.startsWith(outDir + path.sep)) return 'it contains the source files';
+    if (outDir === DEFAULT_OUT) return null;
+
+    // Inside the tree, only a new top-level folder or an earlier build's output
+    const inTree = outDir.startsWith(ROOT + path.sep);
+    if (!fs.existsSync(outDir)) {
+        return inTree && path.dirname(outDir) !== ROOT ? 'it is inside a folder of the source tree' : null;
+    }
+    if (!fs.statSync(outDir).isDirectory()) return 'it is not a directory';
+
+    const entries = fs.readdirSync(outDir);
+    if (entries.includes(BUILD_MARKER) || (!inTree && !entries.length)) return null;
+    return inTree ? 'it is a folder of the source tree' : 'it already has files this script did not write';
+}
+
+function sitemap(entries, date) {
+    const urls = entries.map(({ url }) => `
+    <url>
+        <loc>${url.replace(/&/g, '&amp;')}</loc>
+        <lastmod>${date}</lastmod>
+    </url>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+function build() {
+    const baseOption = option('base-url', process.env.SITE_URL || require('../package.json').homepage);
+    if (!baseOption) {
+        console.error('Usage: node scripts/build-pages.js --base-url=<https://example.org/encyclopedia/> [--out=dist] [--date=YYYY-MM-DD]');
+        process.exitCode = 1;
+        return;
+    }
+
+    const baseUrl = baseOption.endsWith('/') ? baseOption : `${baseOption}/`;
+    const outDir = path.resolve(ROOT, option('out', DEFAULT_OUT));
+    const date = option('date', new Date().toISOString().slice(0, 10));
+
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const renderer = new ChapterRenderer(AI_CHAPTERS, AI_SOURCES, AI_GLOSSARY);
+    const files = new Map(AI_CHAPTERS.map((chapter, i) => [chapter.id, fileFor(chapter, i)]));
+    const urlFor = file => new URL(file === 'index.html' ? '' : file, baseUrl).href;
+
+    // Without scripts, the table of contents links page to page; the app swaps in hash links on load
+    const hrefFor = chapter => files.get(chapter.id);
+
+    // The output directory is wiped, so only replace one this script owns
+    const unsafe = unsafeOutput(outDir);
+    if (unsafe) {
+        console.error(`Refusing to build into ${outDir}: ${unsafe}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.rmSync(outDir, { recursive: true, force: true });
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, BUILD_MARKER), 'Written by scripts/build-pages.js; replaced on every build.\n');
+
+    const pages = AI_CHAPTERS.map(chapter => {
+        const file = files.get(chapter.id);
+        const url = urlFor(file);
+        const html = renderPage(template, chapter, {
+            url,
+            homeUrl: baseUrl,
+            description: describe(chapter),
+            renderer,
+            hrefFor
+        });
+
+        fs.writeFileSync(path.join(outDir, file), html);
+        return { chapter, file, url };
+    });
+
+    // Unwritten chapters are marked noindex, so they stay out of the sitemap too
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), sitemap(pages.filter(page => page.chapter.blocks), date));
+
+    const scripts = fs.readdirSync(ROOT).filter(name => /^ai-.*\.(js|css)$/.test(name));
+    [...scripts, ...STATIC_ASSETS].forEach(name => {
+        fs.cpSync(path.join(ROOT, name), path.join(outDir, name), { recursive: true });
+    });
+
+    console.log(`${pages.length} pages and sitemap.xml written to ${path.relative(process.cwd(), outDir) || '.'}`);
+}
+
+build();
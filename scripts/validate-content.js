@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+// Checks chapter data and the rendered page outline for integrity problems.
+// Usage: node scripts/validate-content.js [--strict] [--max-source-age=<years>]
+//   --strict          also fail on warnings (e.g. unwritten chapters, uncited statistics)
+//   --max-source-age  flag statistics whose source is older than this many years (default 5)
+
+// Shared helpers are plain globals in the browser; mirror that for the renderer and validator
+Object.assign(global, require('../data/strings.js'), require('../ai-i18n.js'),
+    require('../ai-predictions.js'), require('../ai-timeline.js'), require('../ai-quiz.js'));
+
+const { AI_CHAPTERS } = require('../data/chapters.js');
+const { AI_SOURCES } = require('../data/sources.js');
+const { AI_GLOSSARY } = require('../data/glossary.js');
+const { AI_TRANSLATIONS } = require('../data/translations.js');
+const { ChapterRenderer } = require('../ai-renderer.js');
+const { ContentValidator } = require('../ai-validator.js');
+
+const strict = process.argv.includes('--strict');
+const ageOption = process.argv.find(arg => arg.startsWith('--max-source-age='));
+const maxSourceAge = ageOption ? Number(ageOption.split('=')[1]) : undefined;
+
+const renderer = new ChapterRenderer(AI_CHAPTERS, AI_SOURCES, AI_GLOSSARY);
+const html = renderer.renderNav() + renderer.renderSections();
+const issues = new ContentValidator(AI_CHAPTERS, { sources: AI_SOURCES, glossary: AI_GLOSSARY, translations: AI_TRANSLATIONS, maxSourceAge })
+    .validate(ContentValidator.collectFromHtml(html));
+
+const errors = issues.filter(issue => issue.level === 'error');
+const warnings = issues.filter(issue => issue.level === 'warning');
+
+issues.forEach(issue => {
+    console.log(`${issue.level === 'error' ? '✗' : '!'} [${issue.code}] ${issue.message}`);
+});
+
+console.log(`\n${AI_CHAPTERS.length} chapters checked: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+if (errors.length || (strict && warnings.length)) {
+    process.exitCode = 1;
+}
@@ -0,0 +1,101 @@
+// AI Encyclopedia Service Worker
+// Pre-caches the app shell, content and self-hosted fonts so the encyclopedia works offline.
+// Bump CACHE_VERSION whenever a cached file changes so readers receive the update.
+
+const CACHE_VERSION = 'v19';
+const CACHE_NAME = `ai-encyclopedia-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'ai-styles.css',
+    'ai-print.css',
+    'data/chapters.js',
+    'data/sources.js',
+    'data/glossary.js',
+    'data/strings.js',
+    'data/translations.js',
+    'ai-i18n.js',
+    'ai-predictions.js',
+    'ai-renderer.js',
+    'ai-validator.js',
+    'ai-citations.js',
+    'ai-list-dialog.js',
+    'ai-search.js',
+    'ai-highlighter.js',
+    'ai-glossary.js',
+    'ai-annotations.js',
+    'ai-timeline.js',
+    'ai-quiz.js',
+    'ai-router.js',
+    'ai-outside-click.js',
+    'ai-settings.js',
+    'ai-theme.js',
+    'ai-progress.js',
+    'ai-offline.js',
+    'ai-notifications.js',
+    'ai-commands.js',
+    'ai-drawer.js',
+    'ai-export.js',
+    'ai-narration.js',
+    'ai-script.js',
+    'ai-main.js',
+    'vendor/inter/inter.css',
+    'vendor/inter/inter-latin-300-normal.woff2',
+    'vendor/inter/inter-latin-400-normal.woff2',
+    'vendor/inter/inter-latin-500-normal.woff2',
+    'vendor/inter/inter-latin-600-normal.woff2',
+    'vendor/inter/inter-latin-700-normal.woff2',
+    'vendor/fontawesome/css/all.min.css',
+    'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome/webfonts/fa-v4compatibility.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop caches left behind by earlier versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('ai-encyclopedia-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Deep links like #evolution/alphago-2016 all resolve to the cached page. Pre-rendered chapter
+    // pages are kept once visited; any other page falls back to the app shell, which can show every chapter.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request).then(cached => cached || caches.match('index.html')))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,107 @@
+// Test helper: loads the real index.html and every script it references into jsdom,
+// with fake timers so the setTimeout-driven transitions can be stepped through
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const FakeTimers = require('@sinonjs/fake-timers');
+
+const ROOT = path.join(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+// Scripts come from the working tree; stylesheets and fonts are skipped to keep loading fast
+class LocalResources extends ResourceLoader {
+    fetch(url) {
+        const { origin, pathname } = new URL(url);
+        if (origin !== ORIGIN || !pathname.endsWith('.js')) return Promise.resolve(Buffer.alloc(0));
+        return Promise.resolve(fs.readFileSync(path.join(ROOT, decodeURIComponent(pathname))));
+    }
+}
+
+// Browser APIs jsdom leaves out, stubbed just enough for the app to start
+function installBrowserStubs(window, { compact, reducedMotion, languages, confirm }) {
+    window.matchMedia = query => ({
+        media: query,
+        matches: (compact && /max-width/.test(query)) || (reducedMotion && /reduced-motion/.test(query)),
+        addEventListener() {},
+        removeEventListener() {},
+        addListener() {},
+        removeListener() {}
+    });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.scrollTo = () => {};
+    window.Element.prototype.scrollIntoView = function () {};
+    window.TextEncoder = TextEncoder;
+    window.confirm = confirm;
+    window.close = () => {
+        window.closeCalls = (window.closeCalls || 0) + 1;
+    };
+    Object.defineProperty(window.navigator, 'languages', { value: languages, configurable: true });
+}
+
+// Resolves once the page has loaded and AIEncyclopedia has started
+async function loadPage({
+    hash = '',
+    storage = {},
+    compact = false,
+    reducedMotion = false,
+    languages = ['en-US'],
+    confirm = () => false
+} = {}) {
+    const logs = { warn: [], error: [] };
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('warn', (...args) => logs.warn.push(args.join(' ')));
+    virtualConsole.on('error', (...args) => logs.error.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => logs.error.push(error.message));
+
+    let clock;
+    let closeWindow;
+    const dom = await JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+        url: `${ORIGIN}/index.html${hash}`,
+        runScripts: 'dangerously',
+        resources: new LocalResources(),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            clock = FakeTimers.withGlobal(window).install({
+                toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame']
+            });
+            // The app's window.close() is counted by a stub; keep the real one for tearing down
+            closeWindow = window.close.bind(window);
+            installBrowserStubs(window, { compact, reducedMotion, languages, confirm });
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+        }
+    });
+
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+
+    // Let the first chapter's entrance animation and the router's initial sync finish
+    clock.tick(1000);
+
+    return {
+        window,
+        document: window.document,
+        app: window.aiEncyclopedia,
+        clock,
+        logs,
+        // Top-level classes in classic scripts are page globals but not window properties
+        global: name => window.eval(name),
+        key(key, options = {}) {
+            const target = options.target || window.document.body;
+            const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+            target.dispatchEvent(event);
+            return event;
+        },
+        close() {
+            clock.uninstall();
+            closeWindow();
+        }
+    };
+}
+
+module.exports = { loadPage, ROOT };
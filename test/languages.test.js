@@ -0,0 +1,118 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+const { I18n } = require('../ai-i18n');
+
+describe('I18n.localizeChapters', () => {
+    const chapters = [
+        { id: 'one', title: 'One', subtitle: 'First', blocks: [] },
+        { id: 'two', title: 'Two', blocks: [], quiz: [] }
+    ];
+    const translations = { one: { title: 'Uno', blocks: [] } };
+
+    it('lists the fields each chapter still shows in English', () => {
+        const [one, two] = I18n.localizeChapters(chapters, translations, 'es');
+
+        assert.equal(one.title, 'Uno');
+        assert.deepEqual(one.untranslated, ['subtitle']);
+        assert.deepEqual(two.untranslated, ['title', 'blocks', 'quiz']);
+    });
+
+    it('leaves English chapters untouched', () => {
+        assert.equal(I18n.localizeChapters(chapters, undefined, 'en'), chapters);
+    });
+});
+
+describe('English fallback in a translated page', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('marks chapter text that falls back to English in an Arabic page', async () => {
+        page = await loadPage({ hash: '#ar/genesis' });
+        const { document } = page;
+        const section = document.getElementById('genesis');
+
+        assert.equal(document.documentElement.lang, 'ar');
+        assert.equal(document.documentElement.dir, 'rtl');
+
+        // The heading is translated and follows the page
+        const heading = section.querySelector('h1');
+        assert.equal(heading.closest('[lang]'), document.documentElement);
+
+        // The untranslated body is English, left to right
+        const body = section.querySelector('.chapter-body');
+        assert.equal(body.lang, 'en');
+        assert.equal(body.dir, 'ltr');
+        assert.ok(body.contains(section.querySelector('[data-anchor="turing-test-1950"]')));
+
+        const prompt = section.querySelector('.chapter-quiz legend');
+        assert.equal(prompt.closest('[lang]').lang, 'en');
+    });
+
+    it('does not mark translated chapters or English pages', async () => {
+        page = await loadPage({ hash: '#ar/introduction' });
+        assert.equal(page.document.querySelector('#introduction .chapter-body'), null);
+        page.close();
+
+        page = await loadPage();
+        assert.equal(page.document.querySelector('.content-wrapper [lang]'), null);
+    });
+
+    it('reads fallback paragraphs with an English voice and translated ones in Arabic', async () => {
+        page = await loadPage({ hash: '#ar/genesis' });
+        const Narrator = page.global('Narrator');
+        const spoken = [];
+        const backend = {
+            speak(text, { lang }) {
+                spoken.push(lang);
+            },
+            pause() {},
+            resume() {},
+            cancel() {}
+        };
+        const narrator = new Narrator(backend, { values: { voice: null, rate: 1 } });
+
+        // Heading and subtitle are translated; the first paragraph of the body is not
+        narrator.start(page.document.getElementById('genesis'));
+        narrator.skip();
+        narrator.skip();
+
+        assert.deepEqual(spoken, ['ar', 'ar', 'en']);
+    });
+});
+
+describe('Interface strings in a translated page', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('shows the quiz, sidebar and command palette in Spanish', async () => {
+        page = await loadPage({ hash: '#es/genesis' });
+        const { document } = page;
+        const quiz = document.querySelector('#genesis .chapter-quiz');
+
+        assert.match(quiz.querySelector('h2').textContent, /Ponte a prueba/);
+        assert.match(quiz.querySelector('.quiz-intro').textContent, /preguntas? sobre este capítulo\.$/);
+
+        quiz.querySelector('.quiz-check').click();
+        assert.match(quiz.querySelector('.quiz-score').textContent, /^Has acertado 0 de \d+\.$/);
+
+        assert.equal(document.querySelector('.reading-progress-label span').textContent, 'Progreso de lectura');
+        assert.match(document.querySelector('.notes-section h3').textContent, /Mis notas/);
+
+        page.key('k', { ctrlKey: true });
+        const input = document.querySelector('.command-input');
+        assert.equal(input.placeholder, 'Escribe un comando');
+        assert.match(document.querySelector('.command-status').textContent, /comandos · ↑↓ para moverte/);
+    });
+
+    it('writes Markdown references in the reader\'s language', async () => {
+        page = await loadPage({ hash: '#es/introduction' });
+        const chapter = page.app.chapters.find(item => item.id === 'introduction');
+        const markdown = page.app.markdownExporter.chapter(chapter);
+
+        assert.match(markdown, /Consultado el 2026-10-19/);
+        assert.doesNotMatch(markdown, /Accessed/);
+    });
+});
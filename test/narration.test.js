@@ -0,0 +1,106 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+// Stands in for the Web Speech API: nothing is spoken until the test ends an utterance
+function stubBackend() {
+    return {
+        utterances: [],
+        calls: [],
+        isSupported: () => true,
+        getVoices: () => [],
+        onVoicesChanged() {},
+        speak(text, options, callbacks) {
+            this.utterances.push({ text, ...callbacks });
+        },
+        pause() {
+            this.calls.push('pause');
+        },
+        resume() {
+            this.calls.push('resume');
+        },
+        cancel() {
+            this.calls.push('cancel');
+        },
+        last() {
+            return this.utterances[this.utterances.length - 1];
+        }
+    };
+}
+
+describe('listen mode', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const highlighted = () => Array.from(page.document.querySelectorAll('mark.narration-sentence'))
+        .map(mark => mark.textContent).join('').replace(/\s+/g, ' ').trim();
+
+    it('highlights the sentence being spoken and moves on when it ends', async () => {
+        page = await loadPage();
+        const backend = stubBackend();
+        page.app.setupNarration(backend);
+        const { narrator } = page.app;
+
+        narrator.start(page.document.getElementById('introduction'));
+        const first = backend.last();
+        assert.equal(highlighted(), first.text);
+
+        first.onEnd();
+        assert.equal(backend.utterances.length, 2);
+        assert.notEqual(backend.last().text, first.text);
+        assert.equal(highlighted(), backend.last().text);
+    });
+
+    it('pauses, resumes and skips to the next paragraph', async () => {
+        page = await loadPage();
+        const backend = stubBackend();
+        page.app.setupNarration(backend);
+        const { narrator } = page.app;
+        const Narrator = page.global('Narrator');
+        const section = page.document.getElementById('introduction');
+        const paragraphs = Narrator.paragraphsIn(section);
+
+        narrator.start(section);
+        narrator.pause();
+        assert.equal(narrator.state, 'paused');
+        narrator.resume();
+        assert.equal(narrator.state, 'playing');
+        assert.deepEqual(backend.calls, ['pause', 'resume']);
+
+        const cutShort = backend.last();
+        narrator.skip();
+        const next = Narrator.sentences(paragraphs[1].textContent)[0].text;
+        assert.equal(backend.last().text, next);
+        assert.ok(paragraphs[1].contains(page.document.querySelector('mark.narration-sentence')));
+
+        // The utterance that was cut short no longer moves the reading on
+        const spoken = backend.utterances.length;
+        cutShort.onEnd();
+        assert.equal(backend.utterances.length, spoken);
+    });
+
+    it('reads on into the next chapter in arrow-key order', async () => {
+        page = await loadPage();
+        const backend = stubBackend();
+        page.app.setupNarration(backend);
+        const { narrator } = page.app;
+        const next = page.app.adjacentChapter('ArrowRight', { wrap: false });
+
+        narrator.start(page.document.getElementById('introduction'));
+        for (let guard = 0; page.app.currentSection === 'introduction' && guard < 1000; guard++) {
+            const spoken = backend.utterances.length;
+            backend.last().onEnd();
+            if (backend.utterances.length === spoken) page.clock.tick(400);
+        }
+
+        assert.equal(page.app.currentSection, next);
+        assert.equal(narrator.state, 'playing');
+        assert.equal(narrator.section.id, next);
+        assert.equal(page.document.querySelector('#introduction mark.narration-sentence'), null);
+
+        const mark = page.document.querySelector('mark.narration-sentence');
+        assert.ok(page.document.getElementById(next).contains(mark));
+        assert.equal(highlighted(), backend.last().text);
+    });
+});
@@ -0,0 +1,176 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+describe('chapter navigation', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const activeSection = () => page.document.querySelector('.content-section.active').id;
+
+    it('opens the first chapter on load', async () => {
+        page = await loadPage();
+
+        assert.equal(page.app.currentSection, 'introduction');
+        assert.equal(activeSection(), 'introduction');
+        assert.equal(page.document.querySelectorAll('.content-section.active').length, 1);
+    });
+
+    it('switches chapters from the table of contents once the transition has run', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+
+        document.querySelector('.nav-link[data-chapter="genesis"]').click();
+        assert.equal(page.app.currentSection, 'introduction', 'waits for the fade-out before switching');
+
+        clock.tick(400);
+        assert.equal(page.app.currentSection, 'genesis');
+        assert.equal(activeSection(), 'genesis');
+        assert.equal(document.title, 'Genesis of AI | The AI Encyclopedia');
+
+        const current = document.querySelectorAll('.nav-link[aria-current="page"]');
+        assert.equal(current.length, 1);
+        assert.equal(current[0].dataset.chapter, 'genesis');
+    });
+
+    it('moves focus to the new chapter heading and announces it', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+
+        page.app.goTo('evolution');
+        clock.tick(400);
+
+        assert.equal(document.activeElement, document.querySelector('#evolution h1'));
+        assert.equal(document.querySelector('.live-region[aria-live="polite"]').textContent, 'Chapter 2: Evolution & Milestones');
+    });
+
+    it('ignores chapters that do not exist', async () => {
+        page = await loadPage();
+
+        page.app.navigateToChapter('no-such-chapter');
+        page.clock.tick(400);
+
+        assert.equal(page.app.currentSection, 'introduction');
+        assert.equal(activeSection(), 'introduction');
+        assert.ok(page.logs.warn.some(message => message.includes('No section found for chapter "no-such-chapter"')));
+    });
+
+    it('skips the transition when animations are off', async () => {
+        page = await loadPage({ storage: { 'ai-encyclopedia:settings': JSON.stringify({ animation: 'off' }) } });
+
+        page.app.goTo('singularity');
+        page.clock.tick(150);
+
+        assert.equal(activeSection(), 'singularity');
+        assert.equal(page.document.querySelector('#introduction').style.animation, '');
+    });
+});
+
+describe('keyboard shortcuts', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('steps through chapters with the arrow keys, wrapping at either end', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.key('ArrowRight');
+        clock.tick(400);
+        assert.equal(page.app.currentSection, 'genesis');
+
+        page.key('ArrowLeft');
+        clock.tick(400);
+        page.key('ArrowLeft');
+        clock.tick(400);
+        assert.equal(page.app.currentSection, 'glossary');
+    });
+
+    it('jumps to a chapter with Ctrl and its number', async () => {
+        page = await loadPage();
+
+        const event = page.key('3', { ctrlKey: true });
+        page.clock.tick(400);
+
+        assert.ok(event.defaultPrevented);
+        assert.equal(page.app.currentSection, 'evolution');
+    });
+
+    it('returns to the introduction with Escape', async () => {
+        page = await loadPage({ hash: '#dark-side' });
+
+        page.key('Escape');
+        page.clock.tick(400);
+
+        assert.equal(page.app.currentSection, 'introduction');
+    });
+
+    it('leaves arrow keys alone while typing or on widgets that use them', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+
+        const input = document.createElement('input');
+        document.body.appendChild(input);
+        page.key('ArrowRight', { target: input });
+
+        const slider = document.createElement('div');
+        slider.setAttribute('role', 'slider');
+        document.body.appendChild(slider);
+        page.key('ArrowRight', { target: slider });
+
+        clock.tick(400);
+        assert.equal(page.app.currentSection, 'introduction');
+    });
+
+    it('opens the command palette with Ctrl+K and the shortcut list with ?', async () => {
+        page = await loadPage();
+        const { document } = page;
+
+        page.key('k', { ctrlKey: true });
+        assert.equal(document.querySelector('.command-overlay').hidden, false);
+
+        page.key('Escape', { target: document.querySelector('.command-input') });
+        page.key('?');
+        assert.equal(document.querySelector('.shortcut-overlay').hidden, false);
+    });
+
+    it('runs the easter egg sequence', async () => {
+        page = await loadPage();
+
+        ['ArrowUp', 'ArrowUp', 'ArrowDown', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'ArrowLeft', 'ArrowRight', 'b', 'a']
+            .forEach(key => page.key(key));
+
+        assert.match(page.document.querySelector('.notification').textContent, /Easter Egg Activated/);
+    });
+});
+
+describe('swiping between chapters', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const swipe = (target, from, to) => {
+        [['touchstart', from], ['touchend', to]].forEach(([type, x]) => {
+            const event = new page.window.Event(type, { bubbles: true });
+            const points = type === 'touchend' ? [] : [{ clientX: x, clientY: 200 }];
+            Object.assign(event, { touches: points, changedTouches: [{ clientX: x, clientY: 200 }] });
+            target.dispatchEvent(event);
+        });
+        page.clock.tick(400);
+    };
+
+    it('turns the page on a sideways swipe over the text', async () => {
+        page = await loadPage({ hash: '#evolution', compact: true });
+
+        swipe(page.document.querySelector('#evolution p'), 300, 100);
+        assert.equal(page.app.currentSection, 'current-state');
+    });
+
+    it('leaves a drag across the timeline to the chart', async () => {
+        page = await loadPage({ hash: '#evolution', compact: true });
+
+        swipe(page.document.querySelector('#evolution .timeline-svg'), 300, 100);
+        assert.equal(page.app.currentSection, 'evolution');
+    });
+});
@@ -0,0 +1,387 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+describe('notifications', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const toasts = () => page.document.querySelectorAll('.notification');
+
+    const touch = (target, type, x, y = 0) => {
+        const event = new page.window.Event(type, { bubbles: true });
+        const points = type === 'touchend' ? [] : [{ clientX: x, clientY: y }];
+        Object.assign(event, { touches: points, changedTouches: [{ clientX: x, clientY: y }] });
+        target.dispatchEvent(event);
+    };
+
+    it('shows a toast with an icon for its type', async () => {
+        page = await loadPage();
+
+        page.app.showNotification('Saved', 'info');
+        page.app.showNotification('Careful', 'warning');
+        page.app.showNotification('Broken', 'error');
+
+        const [info, warning, error] = toasts();
+        assert.equal(info.querySelector('.notification-message').textContent, 'Saved');
+        assert.ok(info.classList.contains('notification-info'));
+        assert.ok(info.querySelector('.fa-info-circle'));
+        assert.ok(warning.querySelector('.fa-exclamation-triangle'));
+        assert.ok(error.querySelector('.fa-times-circle'));
+    });
+
+    it('shows markup in a message as text', async () => {
+        page = await loadPage();
+        const message = 'No results for <img src="x" onerror="window.injected = true"><b>bold</b>';
+
+        page.app.showNotification(message, 'warning');
+
+        const toast = toasts()[0];
+        assert.equal(toast.querySelector('.notification-message').textContent, message);
+        assert.equal(toast.querySelector('img, b'), null);
+        assert.equal(page.window.injected, undefined);
+    });
+
+    it('reads the message out politely, and urgently for warnings and errors', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+        const polite = document.querySelector('.live-region[aria-live="polite"]');
+        const assertive = document.querySelector('.live-region[aria-live="assertive"]');
+
+        page.app.showNotification('Saved', 'info');
+        clock.tick(50);
+        assert.equal(polite.textContent, 'Saved');
+
+        page.app.showNotification('Broken', 'error');
+        clock.tick(50);
+        assert.equal(assertive.textContent, 'Broken');
+    });
+
+    it('removes itself after a few seconds', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.app.showNotification('Saved');
+        clock.tick(3000);
+        assert.equal(toasts().length, 1, 'still sliding out');
+        assert.ok(toasts()[0].classList.contains('is-leaving'));
+
+        clock.tick(300);
+        assert.equal(toasts().length, 0);
+    });
+
+    it('stacks a few toasts and queues the rest until there is room', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        ['One', 'Two', 'Three', 'Four', 'Five'].forEach(message => page.app.showNotification(message));
+        assert.deepEqual(Array.from(toasts(), toast => toast.textContent.trim()), ['One', 'Two', 'Three']);
+
+        toasts()[0].click();
+        clock.tick(300);
+        assert.deepEqual(Array.from(toasts(), toast => toast.textContent.trim()), ['Two', 'Three', 'Four']);
+    });
+
+    it('dismisses a toast from its close button or with Escape', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.app.showNotification('First');
+        page.app.showNotification('Second');
+        toasts()[0].querySelector('.notification-dismiss').click();
+        clock.tick(300);
+        assert.deepEqual(Array.from(toasts(), toast => toast.textContent.trim()), ['Second']);
+
+        page.app.goTo('genesis');
+        clock.tick(400);
+        const close = toasts()[0].querySelector('.notification-dismiss');
+        close.focus();
+        page.key('Escape', { target: close });
+        clock.tick(300);
+        assert.equal(toasts().length, 0);
+        assert.equal(page.app.currentSection, 'genesis', 'Escape stays with the toast');
+    });
+
+    it('leaves when swiped sideways and springs back from a short drag', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.app.showNotification('Swipe me', 'info', { duration: 0 });
+        const toast = toasts()[0];
+
+        touch(toast, 'touchstart', 300);
+        touch(toast, 'touchmove', 270);
+        touch(toast, 'touchend', 270);
+        toast.click();
+        clock.tick(300);
+        assert.equal(toast.isConnected, true, 'the click a short drag produces does not dismiss');
+        assert.equal(toast.style.transform, '');
+
+        touch(toast, 'touchstart', 300);
+        touch(toast, 'touchmove', 400);
+        touch(toast, 'touchend', 400);
+        clock.tick(300);
+        assert.equal(toast.isConnected, false);
+    });
+
+    it('still dismisses on a later tap after a drag that produced no click', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.app.showNotification('Tap me', 'info', { duration: 0 });
+        const toast = toasts()[0];
+
+        touch(toast, 'touchstart', 300);
+        touch(toast, 'touchmove', 270);
+        touch(toast, 'touchend', 270);
+
+        touch(toast, 'touchstart', 300);
+        touch(toast, 'touchend', 300);
+        toast.click();
+        clock.tick(300);
+        assert.equal(toast.isConnected, false);
+    });
+
+    it('still dismisses on a later click after a drag', async () => {
+        page = await loadPage();
+        const { clock } = page;
+
+        page.app.showNotification('Click me', 'info', { duration: 0 });
+        const toast = toasts()[0];
+
+        touch(toast, 'touchstart', 300);
+        touch(toast, 'touchmove', 270);
+        touch(toast, 'touchend', 270);
+        clock.tick(1000);
+
+        toast.click();
+        clock.tick(300);
+        assert.equal(toast.isConnected, false);
+    });
+
+    it('runs an action once and dismisses its toast', async () => {
+        page = await loadPage();
+        const { clock } = page;
+        let undone = 0;
+
+        page.app.showNotification('Highlight removed', 'info', { actions: [{ label: 'Undo', run: () => { undone += 1; } }] });
+        const button = toasts()[0].querySelector('.notification-action');
+        assert.equal(button.textContent, 'Undo');
+
+        button.click();
+        button.click();
+        clock.tick(300);
+
+        assert.equal(undone, 1);
+        assert.equal(toasts().length, 0);
+    });
+
+    it('keeps toasts with actions longer, and sticky ones until dismissed', async () => {
+        page = await loadPage();
+        const { clock } = page;
+        const action = { label: 'Undo', run() {} };
+
+        page.app.showNotification('Undoable', 'info', { actions: [action] });
+        page.app.showNotification('Sticky', 'info', { duration: 0 });
+        clock.tick(3300);
+        assert.equal(toasts().length, 2);
+
+        clock.tick(3000);
+        assert.deepEqual(Array.from(toasts(), toast => toast.textContent.trim()), ['Sticky']);
+
+        clock.tick(60000);
+        assert.equal(toasts().length, 1);
+    });
+
+    it('offers to undo removing a bookmark from the notes list', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+        const store = page.app.annotations;
+
+        store.add({ type: 'bookmark', chapter: 'evolution', anchor: 'alphago-2016', title: 'AlphaGo' });
+        document.querySelector('.note-remove').click();
+        assert.equal(store.items.length, 0);
+        assert.equal(toasts()[0].querySelector('.notification-message').textContent, 'Bookmark removed');
+
+        toasts()[0].querySelector('.notification-action').click();
+        clock.tick(300);
+        assert.equal(store.items.length, 1);
+        assert.equal(store.items[0].anchor, 'alphago-2016');
+    });
+
+    it('words the undo toast in the reader\'s language', async () => {
+        page = await loadPage({ hash: '#es/introduction' });
+        const { document } = page;
+
+        page.app.annotations.add({ type: 'bookmark', chapter: 'evolution', anchor: 'alphago-2016', title: 'AlphaGo' });
+        document.querySelector('.note-remove').click();
+
+        assert.equal(toasts()[0].querySelector('.notification-message').textContent, 'Marcador eliminado');
+        assert.equal(toasts()[0].querySelector('.notification-action').textContent, 'Deshacer');
+    });
+});
+
+describe('notification bell', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const bell = () => page.document.querySelector('.notification-toggle');
+    const badge = () => bell().querySelector('.notification-badge');
+
+    it('counts unread notifications', async () => {
+        page = await loadPage();
+
+        assert.equal(badge().hidden, true);
+        assert.equal(bell().getAttribute('aria-label'), 'Notifications');
+
+        page.app.showNotification('One');
+        page.app.showNotification('Two');
+
+        assert.equal(badge().hidden, false);
+        assert.equal(badge().textContent, '2');
+        assert.equal(bell().getAttribute('aria-label'), 'Notifications, 2 unread');
+    });
+
+    it('lists recent notifications, newest first, after they have left the screen', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+
+        page.app.showNotification('Older');
+        page.app.showNotification('Newer <b>markup</b>', 'warning');
+        clock.tick(5000);
+
+        bell().click();
+        const panel = document.querySelector('.notification-panel');
+        const entries = panel.querySelectorAll('.notification-entry');
+        assert.equal(panel.hidden, false);
+        assert.equal(bell().getAttribute('aria-expanded'), 'true');
+        assert.deepEqual(Array.from(entries, entry => entry.querySelector('.notification-message').textContent), ['Newer <b>markup</b>', 'Older']);
+        assert.ok(entries[0].classList.contains('notification-warning'));
+        assert.ok(entries[0].querySelector('time'));
+        assert.equal(badge().hidden, true, 'opening the list marks everything read');
+    });
+
+    it('keeps an unused action available from the list', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+        let reloads = 0;
+
+        page.app.showNotification('Update ready', 'info', { actions: [{ label: 'Reload', run: () => { reloads += 1; } }] });
+        clock.tick(6300);
+        bell().click();
+
+        const action = document.querySelector('.notification-panel .notification-action');
+        action.click();
+        assert.equal(reloads, 1);
+        assert.equal(document.querySelector('.notification-panel .notification-action'), null);
+    });
+
+    it('clears the list and closes with Escape', async () => {
+        page = await loadPage();
+        const { document } = page;
+
+        page.app.showNotification('Something');
+        bell().click();
+        document.querySelector('.notification-clear').click();
+
+        const panel = document.querySelector('.notification-panel');
+        assert.equal(panel.querySelectorAll('.notification-entry').length, 0);
+        assert.equal(panel.querySelector('.notification-empty').hidden, false);
+
+        page.key('Escape', { target: panel });
+        assert.equal(panel.hidden, true);
+        assert.equal(document.activeElement, bell());
+    });
+});
+
+describe('window controls', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const click = name => page.document.querySelector(`.traffic-light.${name}`).click();
+
+    it('keeps the window open when closing is not confirmed', async () => {
+        let asked = null;
+        page = await loadPage({
+            confirm: message => {
+                asked = message;
+                return false;
+            }
+        });
+
+        click('red');
+        page.clock.tick(1000);
+
+        assert.equal(asked, 'Are you sure you want to close the AI Encyclopedia?');
+        assert.equal(page.window.closeCalls, undefined);
+        assert.equal(page.document.body.style.opacity, '');
+    });
+
+    it('fades out and closes the window once confirmed', async () => {
+        page = await loadPage({ confirm: () => true });
+        const { window, document, clock } = page;
+
+        click('red');
+        assert.equal(document.body.style.opacity, '0');
+        assert.equal(window.closeCalls, undefined);
+
+        clock.tick(500);
+        assert.equal(window.closeCalls, 1);
+    });
+
+    it('closes straight away when animations are off', async () => {
+        page = await loadPage({ confirm: () => true, storage: { 'ai-encyclopedia:settings': JSON.stringify({ animation: 'off' }) } });
+
+        click('red');
+
+        assert.equal(page.window.closeCalls, 1);
+    });
+
+    it('simulates minimising with a shrink and a notification', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+        const content = document.querySelector('.main-content');
+
+        click('yellow');
+        assert.equal(content.style.transform, 'scale(0.8)');
+        assert.equal(document.querySelector('.notification-message').textContent, 'Window minimized (simulated)');
+
+        clock.tick(300);
+        assert.equal(content.style.transform, '');
+    });
+
+    it('asks for full screen, and explains when the browser refuses', async () => {
+        page = await loadPage();
+        const { window, document } = page;
+        let requests = 0;
+        document.documentElement.requestFullscreen = () => {
+            requests += 1;
+            return window.Promise.reject(new window.Error('denied'));
+        };
+
+        click('green');
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(requests, 1);
+        const notification = document.querySelector('.notification');
+        assert.equal(notification.querySelector('.notification-message').textContent, 'Fullscreen not supported');
+        assert.ok(notification.classList.contains('notification-warning'));
+    });
+
+    it('leaves full screen when already in it', async () => {
+        page = await loadPage();
+        const { document } = page;
+        let exits = 0;
+        Object.defineProperty(document, 'fullscreenElement', { value: document.documentElement, configurable: true });
+        document.exitFullscreen = () => {
+            exits += 1;
+        };
+
+        click('green');
+
+        assert.equal(exits, 1);
+    });
+});
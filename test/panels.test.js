@@ -0,0 +1,85 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+// Menu bar panels that close on a click anywhere else
+const PANELS = [
+    { name: 'settings', toggle: '.settings-toggle', panel: '.settings-panel', instance: app => app.settingsPanel, close: 'close' },
+    { name: 'export', toggle: '.export-toggle', panel: '.export-panel', instance: app => app.exportPanel, close: 'close' },
+    { name: 'notifications', toggle: '.notification-toggle', panel: '.notification-panel', instance: app => app.notifications, close: 'closePanel' }
+];
+
+describe('menu bar panels', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    PANELS.forEach(({ name, toggle, panel, instance, close }) => {
+        it(`closes the ${name} panel on a click outside it, but not inside it`, async () => {
+            page = await loadPage();
+            const { document, clock } = page;
+
+            document.querySelector(`${toggle} i`).click();
+            clock.tick(0);
+            const element = document.querySelector(panel);
+            assert.equal(element.hidden, false);
+
+            element.querySelector('h2').click();
+            assert.equal(element.hidden, false);
+
+            document.querySelector('.content-wrapper').click();
+            assert.equal(element.hidden, true);
+        });
+
+        it(`stops listening when the ${name} panel closes before the listener is attached`, async () => {
+            page = await loadPage();
+            const { document, clock } = page;
+            const button = document.querySelector(toggle);
+
+            button.click();
+            button.click();
+            clock.tick(0);
+
+            let closes = 0;
+            const target = instance(page.app);
+            const original = target[close].bind(target);
+            target[close] = () => {
+                closes += 1;
+                original();
+            };
+
+            document.querySelector('.content-wrapper').click();
+            assert.equal(closes, 0);
+        });
+    });
+});
+
+describe('OutsideClick', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('reports clicks outside from the next tick until stopped', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+        const OutsideClick = page.global('OutsideClick');
+        const inside = document.querySelector('.sidebar');
+        let outside = 0;
+        const watcher = new OutsideClick(target => inside.contains(target), () => {
+            outside += 1;
+        });
+
+        watcher.start();
+        document.body.click();
+        assert.equal(outside, 0, 'not before the next tick');
+
+        clock.tick(0);
+        inside.click();
+        document.body.click();
+        assert.equal(outside, 1);
+
+        watcher.stop();
+        document.body.click();
+        assert.equal(outside, 1);
+    });
+});
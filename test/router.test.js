@@ -0,0 +1,122 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+const { HashRouter } = require('../ai-router');
+
+describe('HashRouter.parse and format', () => {
+    const locales = ['en', 'es', 'ar'];
+
+    it('reads a chapter, a card and an optional leading locale', () => {
+        assert.deepEqual(HashRouter.parse('#evolution', locales), { chapter: 'evolution', anchor: null, locale: null });
+        assert.deepEqual(HashRouter.parse('#evolution/alphago-2016', locales), { chapter: 'evolution', anchor: 'alphago-2016', locale: null });
+        assert.deepEqual(HashRouter.parse('#es/evolution/alphago-2016', locales), { chapter: 'evolution', anchor: 'alphago-2016', locale: 'es' });
+        assert.deepEqual(HashRouter.parse('', locales), { chapter: null, anchor: null, locale: null });
+    });
+
+    it('only treats known locales as a prefix', () => {
+        assert.deepEqual(HashRouter.parse('#fr/evolution', locales), { chapter: 'fr', anchor: 'evolution', locale: null });
+    });
+
+    it('leaves English out and encodes each segment', () => {
+        assert.equal(HashRouter.format({ chapter: 'evolution', anchor: 'alphago-2016', locale: 'en' }), '#evolution/alphago-2016');
+        assert.equal(HashRouter.format({ chapter: 'evolution', anchor: null, locale: 'ar' }), '#ar/evolution');
+        assert.equal(HashRouter.format({ chapter: 'a b', anchor: 'c/d' }), '#a%20b/c%2Fd');
+        assert.equal(HashRouter.format({ chapter: null, locale: 'es' }), '#es');
+        assert.equal(HashRouter.format({ chapter: null }), '');
+    });
+
+    it('keeps a segment that is not valid percent-encoding as typed', () => {
+        assert.deepEqual(HashRouter.parse('#100%', locales), { chapter: '100%', anchor: null, locale: null });
+        assert.deepEqual(HashRouter.parse('#evolution/%E0%A4%A', locales), { chapter: 'evolution', anchor: '%E0%A4%A', locale: null });
+    });
+
+    it('round-trips a route', () => {
+        const route = { chapter: 'future', anchor: 'agi-timeline', locale: 'es' };
+        assert.deepEqual(HashRouter.parse(HashRouter.format(route), locales), route);
+    });
+});
+
+describe('hash handling', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    it('opens the chapter and card named in the address', async () => {
+        page = await loadPage({ hash: '#evolution/alphago-2016' });
+        const { document } = page;
+
+        assert.equal(page.app.currentSection, 'evolution');
+        const card = document.querySelector('#evolution [data-anchor="alphago-2016"]');
+        assert.ok(card.classList.contains('anchor-target'));
+
+        page.clock.tick(2000);
+        assert.ok(!card.classList.contains('anchor-target'));
+    });
+
+    it('follows hashes edited in the address bar', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+
+        window.location.hash = '#genesis';
+        await settle();
+        clock.tick(400);
+
+        assert.equal(page.app.currentSection, 'genesis');
+    });
+
+    it('records chapter changes in history and goes back through them', async () => {
+        page = await loadPage();
+        const { window, clock } = page;
+
+        page.app.goTo('genesis');
+        clock.tick(400);
+        page.app.goTo('evolution');
+        clock.tick(400);
+        assert.equal(window.location.hash, '#evolution');
+
+        window.history.back();
+        await settle();
+        clock.tick(400);
+
+        assert.equal(window.location.hash, '#genesis');
+        assert.equal(page.app.currentSection, 'genesis');
+    });
+
+    it('ignores and reports an unknown chapter', async () => {
+        page = await loadPage({ hash: '#no-such-chapter' });
+
+        assert.equal(page.app.currentSection, 'introduction');
+        assert.ok(page.logs.warn.some(message => message.includes('[router] Unknown chapter "no-such-chapter"')));
+    });
+
+    it('starts on the introduction when the hash is malformed', async () => {
+        page = await loadPage({ hash: '#100%' });
+
+        assert.equal(page.app.currentSection, 'introduction');
+        assert.ok(page.logs.warn.some(message => message.includes('[router] Unknown chapter "100%"')));
+    });
+
+    it('shows the page in the language the address names', async () => {
+        page = await loadPage({ hash: '#es/genesis' });
+        const { document } = page;
+
+        assert.equal(document.documentElement.lang, 'es');
+        assert.equal(page.app.currentSection, 'genesis');
+        assert.equal(page.window.location.hash, '#es/genesis');
+    });
+
+    it('writes the current language into a link that leaves it out', async () => {
+        page = await loadPage({ hash: '#ar/introduction' });
+        const { window, document, clock } = page;
+
+        window.location.hash = '#evolution/deep-blue-1997';
+        await settle();
+        clock.tick(400);
+
+        assert.equal(document.documentElement.dir, 'rtl');
+        assert.equal(window.location.hash, '#ar/evolution/deep-blue-1997');
+        assert.equal(page.app.currentSection, 'evolution');
+    });
+});
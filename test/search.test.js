@@ -0,0 +1,164 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+const { TextHighlighter } = require('../ai-highlighter');
+
+describe('search', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const type = (input, value) => {
+        input.value = value;
+        input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+    };
+
+    it('opens with / and lists matching cards', async () => {
+        page = await loadPage();
+        const { document } = page;
+
+        page.key('/');
+        const input = document.querySelector('.search-input');
+        assert.equal(document.querySelector('.search-overlay').hidden, false);
+        assert.equal(document.activeElement, input);
+
+        type(input, 'Turing');
+        const results = document.querySelectorAll('.search-result');
+        assert.ok(results.length > 0);
+        assert.match(results[0].textContent, /Turing/);
+        assert.match(document.querySelector('.search-status').textContent, /^\d+ results? · /);
+        assert.equal(results[0].getAttribute('aria-selected'), 'true');
+    });
+
+    it('finishes with a "no results" message instead of searching forever', async () => {
+        page = await loadPage();
+        const { document } = page;
+
+        page.app.showSearchDialog();
+        type(document.querySelector('.search-input'), 'zzzzqqq');
+
+        assert.equal(document.querySelectorAll('.search-result').length, 0);
+        assert.equal(document.querySelector('.search-status').textContent, 'No results found for "zzzzqqq"');
+        assert.equal(page.app.performSearch('zzzzqqq').length, 0);
+    });
+
+    it('treats regular expression characters as plain text', async () => {
+        page = await loadPage();
+
+        ['(', '[ai', 'a+b*', '\\', 'c++', '$200B+'].forEach(query => {
+            assert.doesNotThrow(() => page.app.performSearch(query), query);
+            assert.doesNotThrow(() => page.app.highlightText(query), query);
+        });
+    });
+
+    it('opens the chosen result at its card and highlights the words there', async () => {
+        page = await loadPage();
+        const { document, clock } = page;
+
+        page.app.showSearchDialog();
+        const input = document.querySelector('.search-input');
+        type(input, 'AlphaGo');
+        page.key('Enter', { target: input });
+        clock.tick(1000);
+
+        const result = page.app.performSearch('AlphaGo')[0];
+        assert.equal(document.querySelector('.search-overlay').hidden, true);
+        assert.equal(page.app.currentSection, result.chapterId);
+        assert.ok(document.querySelectorAll('mark.find-highlight').length > 0);
+        assert.equal(document.querySelector('.find-bar').hidden, false);
+    });
+
+    it('closes with Escape and gives focus back', async () => {
+        page = await loadPage();
+        const { document } = page;
+        const toggle = document.querySelector('.search-toggle');
+
+        toggle.focus();
+        toggle.click();
+        page.key('Escape', { target: document.querySelector('.search-input') });
+
+        assert.equal(document.querySelector('.search-overlay').hidden, true);
+        assert.equal(document.activeElement, toggle);
+    });
+});
+
+describe('highlighting', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    it('marks every match, steps through them and restores the text when cleared', async () => {
+        page = await loadPage();
+        const { document } = page;
+        const content = document.querySelector('.content-wrapper');
+        const before = content.textContent;
+
+        page.app.highlightText('intelligence');
+        const marks = document.querySelectorAll('mark.find-highlight');
+        const count = document.querySelector('.find-count');
+        assert.ok(marks.length > 1);
+        assert.equal(count.textContent, `1 of ${marks.length}`);
+        assert.ok(marks[0].classList.contains('current'));
+
+        page.key('Enter', { target: document.querySelector('.find-input') });
+        assert.equal(count.textContent, `2 of ${marks.length}`);
+
+        page.key('Escape', { target: document.querySelector('.find-input') });
+        assert.equal(document.querySelectorAll('mark.find-highlight').length, 0);
+        assert.equal(content.textContent, before);
+    });
+
+    it('leaves the timeline chart\'s SVG labels alone', async () => {
+        page = await loadPage({ hash: '#evolution' });
+        const { document } = page;
+        const chart = document.querySelector('#evolution .timeline-svg');
+        const labels = chart.textContent;
+        assert.match(labels, /2016/);
+
+        page.app.highlightText('2016');
+        const marks = document.querySelectorAll('mark.find-highlight');
+
+        assert.ok(marks.length > 0);
+        assert.ok(Array.from(marks).every(mark => !mark.closest('svg')));
+        assert.equal(document.querySelector('.find-count').textContent, `1 of ${marks.length}`);
+        assert.equal(chart.querySelectorAll('mark').length, 0);
+        assert.equal(chart.textContent, labels);
+    });
+
+    it('leaves predictor names in the forecast explorer alone', async () => {
+        page = await loadPage({ hash: '#singularity' });
+        const { document } = page;
+        const plot = document.querySelector('#singularity .explorer-svg');
+        const labels = plot.textContent;
+        assert.match(labels, /Kurzweil/);
+
+        page.app.highlightText('Kurzweil');
+        const marks = document.querySelectorAll('mark.find-highlight');
+
+        assert.ok(marks.length > 0);
+        assert.ok(Array.from(marks).every(mark => !mark.closest('svg')));
+        assert.equal(plot.querySelectorAll('mark').length, 0);
+        assert.equal(plot.textContent, labels);
+    });
+
+    it('reports when nothing matches', async () => {
+        page = await loadPage();
+
+        page.app.highlightText('(unmatched[');
+
+        assert.equal(page.document.querySelectorAll('mark.find-highlight').length, 0);
+        assert.equal(page.document.querySelector('.find-count').textContent, 'No matches');
+    });
+});
+
+describe('TextHighlighter.buildPattern', () => {
+    it('escapes regular expression syntax and matches each word case-insensitively', () => {
+        const pattern = TextHighlighter.buildPattern('C++ (beta)');
+
+        assert.deepEqual('c++ and (BETA) but not c'.match(pattern), ['c++', '(BETA)']);
+    });
+
+    it('returns null for a blank query', () => {
+        assert.equal(TextHighlighter.buildPattern('   '), null);
+    });
+});
@@ -0,0 +1,40 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page');
+
+describe('interactive timeline', () => {
+    let page;
+
+    afterEach(() => page.close());
+
+    const ticks = () => Array.from(page.document.querySelectorAll('[data-timeline] .timeline-tick-label'), label => label.textContent);
+
+    const wheel = (options = {}) => {
+        const svg = page.document.querySelector('[data-timeline] svg');
+        const event = new page.window.WheelEvent('wheel', { deltaY: -100, bubbles: true, cancelable: true, ...options });
+        svg.dispatchEvent(event);
+        return event;
+    };
+
+    it('lets the wheel scroll the page over the chart', async () => {
+        page = await loadPage();
+        const before = ticks();
+
+        const event = wheel();
+
+        assert.equal(event.defaultPrevented, false);
+        assert.deepEqual(ticks(), before);
+    });
+
+    it('zooms with Ctrl or Cmd and the wheel, as trackpad pinches send', async () => {
+        page = await loadPage();
+        const before = ticks();
+
+        assert.equal(wheel({ ctrlKey: true }).defaultPrevented, true);
+        assert.notDeepEqual(ticks(), before);
+
+        const zoomed = ticks();
+        assert.equal(wheel({ metaKey: true }).defaultPrevented, true);
+        assert.notDeepEqual(ticks(), zoomed);
+    });
+});